@@ -0,0 +1,56 @@
+const { parseCommandArgs, parseDateOption, formatCommandHelp } = require('../args');
+const { UsageError } = require('../../errors');
+
+describe('args', () => {
+    const options = {
+        all: { type: 'boolean', description: 'Sync every board' },
+        format: { type: 'string', value: '<format>', choices: ['table', 'json'], description: 'Output format' }
+    };
+
+    describe('parseCommandArgs', () => {
+        it('should parse options, global options and positionals', () => {
+            const { values, positionals } = parseCommandArgs(['board1', '--all', '--format=json', '-q'], options);
+
+            expect(values).toEqual({ all: true, format: 'json', quiet: true });
+            expect(positionals).toEqual(['board1']);
+        });
+
+        it('should reject unknown options', () => {
+            expect(() => parseCommandArgs(['--bogus'], options)).toThrow(UsageError);
+        });
+
+        it('should reject values outside the choices', () => {
+            expect(() => parseCommandArgs(['--format=xml'], options))
+                .toThrow('Invalid value "xml" for --format, expected one of: table, json');
+        });
+    });
+
+    describe('parseDateOption', () => {
+        it('should accept days and ISO dates and times', () => {
+            expect(parseDateOption('since', '2024-02-29')).toBe('2024-02-29');
+            expect(parseDateOption('since', '2024-01-31T12:30:00.000Z')).toBe('2024-01-31T12:30:00.000Z');
+            expect(parseDateOption('since', undefined)).toBeUndefined();
+        });
+
+        it('should reject other values and dates that do not exist', () => {
+            expect(() => parseDateOption('until', '2025-13-45')).toThrow(UsageError);
+            expect(() => parseDateOption('until', '2025-02-30')).toThrow(UsageError);
+            expect(() => parseDateOption('since', 'yesterday', 'an action ID'))
+                .toThrow('Invalid date "yesterday" for --since, expected a date such as 2024-01-31 or an action ID');
+        });
+    });
+
+    describe('formatCommandHelp', () => {
+        it('should list the options with their values and choices', () => {
+            const help = formatCommandHelp('trello-tracker', {
+                usage: 'sync [options]',
+                summary: 'Sync boards.',
+                options
+            });
+
+            expect(help).toContain('Usage: trello-tracker sync [options]');
+            expect(help).toMatch(/--format <format>\s+Output format \(table, json\)/);
+            expect(help).toMatch(/-h, --help\s+Show help/);
+        });
+    });
+});
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CacheService = require('../../services/cacheService');
+const CsvService = require('../../services/csvService');
+const EXIT_CODES = require('../exitCodes');
+const { run, getExitCode } = require('..');
+const { UsageError, TrelloAuthError, TrelloNotFoundError } = require('../../errors');
+
+jest.mock('../../services/cacheService');
+
+describe('cli', () => {
+    let stdoutSpy;
+    let consoleErrorSpy;
+
+    beforeEach(() => {
+        stdoutSpy = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+        consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+    });
+
+    afterEach(() => {
+        stdoutSpy.mockRestore();
+        consoleErrorSpy.mockRestore();
+        jest.clearAllMocks();
+    });
+
+    const output = () => stdoutSpy.mock.calls.map(([text]) => text).join('');
+
+    it('should list the commands without arguments', async () => {
+        expect(await run([])).toBe(EXIT_CODES.OK);
+        expect(output()).toMatch(/boards[\s\S]*sync[\s\S]*report[\s\S]*cache/);
+    });
+
+    it('should print the help of a command', async () => {
+        expect(await run(['sync', '--help'])).toBe(EXIT_CODES.OK);
+        expect(output()).toContain('Usage: trello-tracker sync [board-id...] [options]');
+    });
+
+    it('should return the usage exit code for unknown commands and options', async () => {
+        expect(await run(['bogus'])).toBe(EXIT_CODES.USAGE);
+        expect(await run(['cache', 'stats', '--bogus'])).toBe(EXIT_CODES.USAGE);
+        expect(await run(['cache', 'bogus'])).toBe(EXIT_CODES.USAGE);
+    });
+
+    it('should print cache statistics in the requested format', async () => {
+        CacheService.prototype.stats.mockResolvedValue({ path: '.cache', entries: 2 });
+
+        expect(await run(['cache', 'stats', '--format=json'])).toBe(EXIT_CODES.OK);
+        expect(JSON.parse(output())).toEqual([{ path: '.cache', entries: 2 }]);
+    });
+
+    it('should silence progress messages with --quiet', async () => {
+        const consoleLogSpy = jest.spyOn(console, 'log');
+        CacheService.prototype.prune.mockImplementation(async () => {
+            console.log('Pruning');
+            return 1;
+        });
+
+        expect(await run(['cache', 'prune', '--quiet'])).toBe(EXIT_CODES.OK);
+        expect(consoleLogSpy).not.toHaveBeenCalled();
+        expect(output()).toContain('Deleted 1 cache entry');
+        consoleLogSpy.mockRestore();
+    });
+
+    describe('report', () => {
+        let dir;
+
+        const writeHistory = rows => fs.writeFileSync(path.join(dir, 'card_movements.csv'), [
+            'Card Name,Old Board/List Name,New Board/List Name,Timestamp of Movement,Member ID,Moved By',
+            ...rows
+        ].join('\n'));
+        const report = (...args) => run([
+            'report', ...args, '--format=json', '--quiet',
+            `--config=${path.join(dir, 'config.json')}`,
+            `--output=${path.join(dir, 'card_movements.csv')}`
+        ]);
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trello-tracker-cli-'));
+            fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({
+                analytics: { doneLists: ['Shipped'] },
+                csv: { columns: ['member'] }
+            }));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should count the cards moved to the configured done lists', async () => {
+            writeHistory([
+                'Card 1,Review,Shipped,2024-01-01T00:00:00.000Z,m1,Ada',
+                'Card 2,Review,Done,2024-01-02T00:00:00.000Z,m2,Grace'
+            ]);
+
+            expect(await report('members')).toBe(EXIT_CODES.OK);
+            expect(JSON.parse(output())).toEqual([
+                { 'Member': 'Ada', 'Moves': 1, 'Cards Done': 1 },
+                { 'Member': 'Grace', 'Moves': 1, 'Cards Done': 0 }
+            ]);
+        });
+
+        it('should keep stdout parseable without --quiet, progress going to stderr', async () => {
+            writeHistory(['Card 1,Review,Shipped,2024-01-01T00:00:00.000Z,m1,Ada']);
+
+            expect(await run([
+                'report', 'members', '--format=json',
+                `--config=${path.join(dir, 'config.json')}`,
+                `--output=${path.join(dir, 'card_movements.csv')}`
+            ])).toBe(EXIT_CODES.OK);
+
+            expect(JSON.parse(output())).toEqual([{ 'Member': 'Ada', 'Moves': 1, 'Cards Done': 1 }]);
+            expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Report written to'));
+        });
+    });
+
+    describe('alerts', () => {
+        let dir;
+
+        const alerts = () => run([
+            'alerts', '--format=json', '--quiet',
+            `--config=${path.join(dir, 'config.json')}`,
+            `--output=${path.join(dir, 'card_movements.csv')}`
+        ]);
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trello-tracker-cli-'));
+            fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({
+                alerts: { thresholds: { Review: 1 } }
+            }));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should leave the cards archived in a history written with the default columns out', async () => {
+            const move = (actionId, cardId, list, eventType) => ({
+                cardName: cardId, cardId, oldLocation: 'To Do', newLocation: list,
+                timestamp: '2024-01-01T00:00:00.000Z', actionId, eventType
+            });
+            jest.spyOn(console, 'log').mockImplementation();
+            await new CsvService(path.join(dir, 'card_movements.csv')).writeMovements([
+                move('a1', 'card1', 'Review', 'move'),
+                move('a2', 'card2', 'Review', 'move'),
+                { ...move('a3', 'card2', 'Review', 'archive'), oldLocation: 'Review', timestamp: '2024-01-02T00:00:00.000Z' }
+            ]);
+            console.log.mockRestore();
+
+            expect(await alerts()).toBe(EXIT_CODES.ALERTS);
+            expect(JSON.parse(output()).map(card => card['Card ID'])).toEqual(['card1']);
+        });
+    });
+
+    it('should reject invalid dates with the usage exit code', async () => {
+        expect(await run(['sync', 'board1', '--until=2025-13-45'])).toBe(EXIT_CODES.USAGE);
+        expect(await run(['sync', 'board1', '--since=yesterday'])).toBe(EXIT_CODES.USAGE);
+        expect(await run(['report', 'cfd', '--since=garbage'])).toBe(EXIT_CODES.USAGE);
+        expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Invalid date "garbage" for --since'));
+    });
+
+    it('should report missing Trello credentials as a configuration error', async () => {
+        const { TRELLO_API_KEY, TRELLO_TOKEN } = process.env;
+        delete process.env.TRELLO_API_KEY;
+        delete process.env.TRELLO_TOKEN;
+        try {
+            expect(await run(['boards'])).toBe(EXIT_CODES.CONFIG);
+            expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('set TRELLO_API_KEY and TRELLO_TOKEN'));
+        } finally {
+            Object.assign(process.env, { TRELLO_API_KEY, TRELLO_TOKEN });
+        }
+    });
+
+    it('should map errors to exit codes', () => {
+        expect(getExitCode(new UsageError('bad'))).toBe(EXIT_CODES.USAGE);
+        expect(getExitCode(new TrelloAuthError('denied', { status: 401 }))).toBe(EXIT_CODES.TRELLO_AUTH);
+        expect(getExitCode(new TrelloNotFoundError('missing', { status: 404 }))).toBe(EXIT_CODES.NOT_FOUND);
+        expect(getExitCode(new Error('boom'))).toBe(EXIT_CODES.FAILURE);
+    });
+});
@@ -0,0 +1,130 @@
+const { parseArgs } = require('util');
+const { UsageError } = require('../errors');
+
+/**
+ * @typedef {Object} OptionSpec
+ * @property {'string'|'boolean'} type - Option type
+ * @property {string} description - Help text
+ * @property {string} [short] - Single-letter alias
+ * @property {string} [value] - Placeholder of the value in help, e.g. `<path>`
+ * @property {string[]} [choices] - Allowed values
+ */
+
+/**
+ * @typedef {Object} Command
+ * @property {string} name - Subcommand name
+ * @property {string} summary - One-line description
+ * @property {string} usage - Usage line after the program name
+ * @property {Object<string, OptionSpec>} options - Options of the command
+ * @property {function(ParsedArgs): Promise<number|void>} run - Runs the command, resolving to an exit code
+ */
+
+/**
+ * @typedef {Object} ParsedArgs
+ * @property {Object<string, string|boolean>} values - Option values
+ * @property {string[]} positionals - Positional arguments
+ */
+
+/**
+ * Options accepted by every command
+ * @type {Object<string, OptionSpec>}
+ */
+const GLOBAL_OPTIONS = {
+    help: { type: 'boolean', short: 'h', description: 'Show help for the command' },
+    quiet: { type: 'boolean', short: 'q', description: 'Only print results and errors' },
+    config: { type: 'string', value: '<path>', description: 'Configuration file (default: trello-tracker.config.json)' },
+    profile: { type: 'string', value: '<name>', description: 'Configuration profile, e.g. work or personal' }
+};
+
+/**
+ * Parse the arguments of a command
+ * @param {string[]} args - Arguments after the command name
+ * @param {Object<string, OptionSpec>} options - Options of the command
+ * @returns {ParsedArgs}
+ * @throws {UsageError} On unknown options, missing values or invalid choices
+ */
+function parseCommandArgs(args, options) {
+    const specs = { ...GLOBAL_OPTIONS, ...options };
+
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args,
+            options: Object.fromEntries(
+                Object.entries(specs).map(([name, { type, short }]) => [name, { type, ...(short && { short }) }])
+            ),
+            allowPositionals: true,
+            strict: true
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    Object.entries(specs).forEach(([name, { choices }]) => {
+        const value = parsed.values[name];
+        if (choices && value !== undefined && !choices.includes(value)) {
+            throw new UsageError(`Invalid value "${value}" for --${name}, expected one of: ${choices.join(', ')}`);
+        }
+    });
+
+    return { values: parsed.values, positionals: parsed.positionals };
+}
+
+// Dates accepted by options, a day or an ISO date and time
+const DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * Check the value of a date option
+ * @param {string} name - Option name
+ * @param {string|undefined} value - Option value
+ * @param {string} [alternative] - Other kind of value the option accepts, for the error message
+ * @returns {string|undefined} The value, undefined when the option is not set
+ * @throws {UsageError} When the value is not a valid date
+ */
+function parseDateOption(name, value, alternative) {
+    if (value === undefined) return undefined;
+
+    // Date.parse rolls days over, e.g. February 30th into March
+    const match = DATE_PATTERN.exec(value);
+    const valid = match && !Number.isNaN(Date.parse(value)) &&
+        new Date(`${match[1]}T00:00:00.000Z`).toISOString().startsWith(match[1]);
+    if (!valid) {
+        throw new UsageError(`Invalid date "${value}" for --${name}, expected a date such as 2024-01-31` +
+            `${alternative ? ` or ${alternative}` : ''}`);
+    }
+    return value;
+}
+
+/**
+ * Format the help text of a command
+ * @param {string} program - Program name
+ * @param {Command} command
+ * @returns {string}
+ */
+function formatCommandHelp(program, command) {
+    const specs = { ...command.options, ...GLOBAL_OPTIONS };
+    const flags = Object.entries(specs).map(([name, { short, value, type }]) =>
+        `${short ? `-${short}, ` : '    '}--${name}${type === 'string' ? ` ${value || '<value>'}` : ''}`
+    );
+    const width = Math.max(...flags.map(flag => flag.length));
+
+    const lines = Object.values(specs).map(({ description, choices }, index) =>
+        `  ${flags[index].padEnd(width)}  ${description}${choices ? ` (${choices.join(', ')})` : ''}`
+    );
+
+    return [
+        `Usage: ${program} ${command.usage}`,
+        '',
+        command.summary,
+        '',
+        'Options:',
+        ...lines
+    ].join('\n');
+}
+
+module.exports = {
+    GLOBAL_OPTIONS,
+    parseCommandArgs,
+    parseDateOption,
+    formatCommandHelp
+};
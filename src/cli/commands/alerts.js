@@ -0,0 +1,56 @@
+const { createCsvService } = require('../../services/csvOutput');
+const AnalyticsService = require('../../services/analyticsService');
+const AlertService = require('../../services/alertService');
+const { getConfig } = require('../../config/config');
+const EXIT_CODES = require('../exitCodes');
+const { ConfigError } = require('../../errors');
+const { print, formatRows } = require('../output');
+
+module.exports = {
+    name: 'alerts',
+    summary: 'Report the open cards that have been in their list longer than the days allowed in alerts.thresholds, ' +
+        'from the movement history stored in the CSV file. Alerts are printed, and also written to a JSON file and ' +
+        'posted to a webhook when configured. Exits with code 7 when cards are aging, for scheduled checks.',
+    usage: 'alerts [options]',
+    options: {
+        output: { type: 'string', value: '<path>', description: 'CSV file to read (default: csv.path setting)' },
+        json: { type: 'string', value: '<path>', description: 'Also write the alerts to this JSON file (default: alerts.path setting)' },
+        webhook: { type: 'string', value: '<url>', description: 'Also post the alerts to this webhook (default: alerts.webhookUrl setting)' },
+        format: { type: 'string', value: '<format>', choices: ['table', 'json', 'csv'], description: 'Output format' }
+    },
+
+    async run({ values }) {
+        const config = getConfig();
+        const { thresholds = {} } = config.alerts;
+        if (Object.keys(thresholds).length === 0) {
+            throw new ConfigError('No thresholds to check: set the days allowed in each list in "alerts.thresholds"');
+        }
+
+        const csvService = createCsvService(values.output || config.csv.path, config.csv);
+        const analyticsService = new AnalyticsService(config.analytics);
+        const alertService = new AlertService();
+        const format = values.format || 'table';
+
+        const history = await csvService.readExistingMovements();
+        const cards = analyticsService.computeAgingCards(history, thresholds);
+        const report = AlertService.createReport(cards);
+
+        const table = analyticsService.toAgingTable(cards);
+        print(format === 'table' && cards.length === 0
+            ? report.text
+            : formatRows(format, table.columns, table.rows));
+
+        const jsonPath = values.json || config.alerts.path;
+        if (jsonPath) {
+            await alertService.writeFile(jsonPath, report);
+        }
+
+        // A quiet check does not ping anyone
+        const webhookUrl = values.webhook || config.alerts.webhookUrl;
+        if (webhookUrl && cards.length > 0) {
+            await alertService.postWebhook(webhookUrl, report);
+        }
+
+        return cards.length > 0 ? EXIT_CODES.ALERTS : EXIT_CODES.OK;
+    }
+};
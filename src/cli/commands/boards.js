@@ -0,0 +1,36 @@
+const TrelloService = require('../../services/trelloService');
+const { getConfig, getTrelloCredentials } = require('../../config/config');
+const { print, formatRows } = require('../output');
+
+module.exports = {
+    name: 'boards',
+    summary: 'List the Trello boards you have access to.',
+    usage: 'boards [options]',
+    options: {
+        name: { type: 'string', value: '<text>', description: 'Only list boards whose name contains this text' },
+        tracked: { type: 'boolean', description: 'Only list the boards in tracked-boards.json' },
+        fresh: { type: 'boolean', description: 'Bypass the cache' },
+        format: { type: 'string', value: '<format>', choices: ['table', 'json', 'csv'], description: 'Output format' }
+    },
+
+    async run({ values }) {
+        const config = getConfig();
+        const trelloService = new TrelloService(getTrelloCredentials(config));
+        let boards = await trelloService.getBoards(Boolean(values.fresh));
+
+        if (values.tracked) {
+            const trackedIds = new Set(config.tracking.boards.map(({ id }) => id));
+            boards = boards.filter(({ id }) => trackedIds.has(id));
+        }
+        if (values.name) {
+            const name = values.name.toLowerCase();
+            boards = boards.filter(board => board.name.toLowerCase().includes(name));
+        }
+
+        print(formatRows(
+            values.format || 'table',
+            ['ID', 'Name', 'URL'],
+            boards.map(({ id, name, url }) => [id, name, url || ''])
+        ));
+    }
+};
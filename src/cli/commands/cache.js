@@ -0,0 +1,46 @@
+const CacheService = require('../../services/cacheService');
+const { getConfig } = require('../../config/config');
+const { UsageError } = require('../../errors');
+const { print, formatRows } = require('../output');
+
+const ACTIONS = ['stats', 'clear', 'prune'];
+
+module.exports = {
+    name: 'cache',
+    summary: 'Inspect or clean up the Trello response cache. `stats` summarizes the cache, `clear` ' +
+        'deletes every entry and `prune` deletes expired ones.',
+    usage: 'cache <stats|clear|prune> [options]',
+    options: {
+        format: { type: 'string', value: '<format>', choices: ['table', 'json', 'csv'], description: 'Output format of stats' }
+    },
+
+    async run({ values, positionals }) {
+        const [action, ...extra] = positionals;
+        if (!ACTIONS.includes(action) || extra.length > 0) {
+            throw new UsageError(`Expected one action, one of: ${ACTIONS.join(', ')}`);
+        }
+
+        const { cache } = getConfig();
+        const cacheService = new CacheService({
+            cachePath: cache.path,
+            lifetime: cache.lifetime,
+            staleAfter: cache.staleAfter
+        });
+
+        if (action === 'stats') {
+            const stats = await cacheService.stats();
+            const format = values.format || 'table';
+
+            // One statistic per line reads better than a single wide row
+            print(format === 'table'
+                ? formatRows(format, ['Statistic', 'Value'], Object.entries(stats))
+                : formatRows(format, Object.keys(stats), [Object.values(stats)]));
+            return;
+        }
+
+        const deleted = action === 'clear'
+            ? await cacheService.clear()
+            : await cacheService.prune();
+        print(`Deleted ${deleted} cache ${deleted === 1 ? 'entry' : 'entries'}`);
+    }
+};
@@ -0,0 +1,30 @@
+const { createCsvService } = require('../../services/csvOutput');
+const { getConfig } = require('../../config/config');
+const { UsageError } = require('../../errors');
+const { print } = require('../output');
+
+const ACTIONS = ['compact'];
+
+module.exports = {
+    name: 'csv',
+    summary: 'Maintain the CSV movement files. `compact` sorts a file chronologically, drops duplicate rows, ' +
+        'converts it to the configured columns and format and rebuilds its index; syncs only append new rows. ' +
+        'Without paths, compacts the csv.path file, or every monthly partition of it with csv.partition set to month.',
+    usage: 'csv compact [path...] [options]',
+    options: {},
+
+    async run({ positionals }) {
+        const [action, ...paths] = positionals;
+        if (!ACTIONS.includes(action)) {
+            throw new UsageError(`Expected one action, one of: ${ACTIONS.join(', ')}`);
+        }
+
+        const { csv } = getConfig();
+
+        for (const outputPath of paths.length > 0 ? paths : [csv.path]) {
+            const { rows, removed } = await createCsvService(outputPath, csv).compact();
+            print(`${outputPath}: ${rows} ${rows === 1 ? 'row' : 'rows'}, ` +
+                `${removed} ${removed === 1 ? 'duplicate' : 'duplicates'} removed`);
+        }
+    }
+};
@@ -0,0 +1,98 @@
+const { createCsvService } = require('../../services/csvOutput');
+const GoogleSheetsService = require('../../services/googleSheetsService');
+const AnalyticsService = require('../../services/analyticsService');
+const { getConfig } = require('../../config/config');
+const { UsageError, ConfigError } = require('../../errors');
+const { print, formatRows } = require('../output');
+const { parseDateOption } = require('../args');
+
+const REPORTS = ['metrics', 'cfd', 'members', 'regressions'];
+
+module.exports = {
+    name: 'report',
+    summary: 'Run analytics over the movement history stored in the CSV file. `metrics` prints per-list ' +
+        'time-in-list statistics and exports per-card metrics, `cfd` exports cumulative flow data, ' +
+        '`members` counts the moves and done cards of every member, `regressions` lists the moves back to ' +
+        'an earlier workflow stage. None needs Trello.',
+    usage: 'report [metrics|cfd|members|regressions] [options]',
+    options: {
+        output: { type: 'string', value: '<path>', description: 'CSV file to read (default: csv.path setting)' },
+        sheet: { type: 'string', value: '<spreadsheet-id>', description: 'Also write the report to this Google Sheet (default: sheets.spreadsheetId setting)' },
+        since: { type: 'string', value: '<date>', description: 'First day of the cumulative flow' },
+        until: { type: 'string', value: '<date>', description: 'Last day of the cumulative flow' },
+        interval: { type: 'string', value: '<interval>', choices: ['day', 'week'], description: 'Cumulative flow interval' },
+        'cycle-start': { type: 'string', value: '<list>', description: 'List where the cycle time starts' },
+        'cycle-end': { type: 'string', value: '<list>', description: 'List where the cycle time ends' },
+        member: { type: 'string', value: '<name>', description: 'Only count cards this member moved' },
+        label: { type: 'string', value: '<label>', description: 'Only count cards with this label' },
+        assignee: { type: 'string', value: '<name>', description: 'Only count cards assigned to this member' },
+        format: { type: 'string', value: '<format>', choices: ['table', 'json', 'csv'], description: 'Output format' }
+    },
+
+    async run({ values, positionals }) {
+        const [reportName = 'metrics', ...extra] = positionals;
+        if (!REPORTS.includes(reportName) || extra.length > 0) {
+            throw new UsageError(`Expected one report, one of: ${REPORTS.join(', ')}`);
+        }
+
+        const from = parseDateOption('since', values.since);
+        const to = parseDateOption('until', values.until);
+
+        const config = getConfig();
+        const csvService = createCsvService(values.output || config.csv.path, config.csv);
+        const spreadsheetId = values.sheet || config.sheets.spreadsheetId;
+        const format = values.format || 'table';
+
+        const analyticsService = new AnalyticsService({
+            cycleStartList: values['cycle-start'] || config.analytics.cycleStartList,
+            cycleEndList: values['cycle-end'] || config.analytics.cycleEndList,
+            doneLists: config.analytics.doneLists,
+            workflow: config.workflow
+        });
+
+        const history = AnalyticsService.filterMovements(await csvService.readExistingMovements(), {
+            member: values.member,
+            label: values.label,
+            assignee: values.assignee
+        });
+
+        let title;
+        let table;
+        if (reportName === 'metrics') {
+            const cardMetrics = analyticsService.computeCardMetrics(history);
+            title = 'Card Metrics';
+            table = analyticsService.toTable(cardMetrics);
+
+            // The per-list summary is the readable form, the per-card table is exported
+            print(format === 'table'
+                ? analyticsService.formatSummary(analyticsService.summarizeLists(cardMetrics))
+                : formatRows(format, table.columns, table.rows));
+        } else if (reportName === 'regressions') {
+            const { lists = {}, boards = {} } = config.workflow;
+            if (Object.keys(lists).length === 0 && Object.keys(boards).length === 0) {
+                throw new ConfigError('No workflow to detect regressions with: map lists to stages in "workflow.lists"');
+            }
+            title = 'Regressions';
+            table = analyticsService.computeRegressions(history);
+            print(formatRows(format, table.columns, table.rows));
+        } else if (reportName === 'members') {
+            title = 'Member Activity';
+            table = analyticsService.computeMemberActivity(history);
+            print(formatRows(format, table.columns, table.rows));
+        } else {
+            title = 'Cumulative Flow';
+            table = analyticsService.computeCumulativeFlow(history, {
+                from,
+                to,
+                interval: values.interval
+            });
+            print(formatRows(format, table.columns, table.rows));
+        }
+
+        await csvService.writeReport(reportName, table.columns, table.rows);
+
+        if (spreadsheetId) {
+            await new GoogleSheetsService(config.sheets).writeReport(spreadsheetId, title, table.columns, table.rows);
+        }
+    }
+};
@@ -0,0 +1,37 @@
+const GoogleAuthService = require('../../services/googleAuthService');
+const { getConfig } = require('../../config/config');
+const { UsageError } = require('../../errors');
+const { print } = require('../output');
+
+const ACTIONS = ['login', 'logout'];
+
+module.exports = {
+    name: 'sheets',
+    summary: 'Sign in to Google Sheets as yourself, for the oauth auth mode. `login` opens the Google consent ' +
+        'in the browser and stores the refresh token, `logout` revokes and deletes it.',
+    usage: 'sheets <login|logout> [options]',
+    options: {},
+
+    async run({ positionals }) {
+        const [action, ...extra] = positionals;
+        if (!ACTIONS.includes(action) || extra.length > 0) {
+            throw new UsageError(`Expected one action, one of: ${ACTIONS.join(', ')}`);
+        }
+
+        const { sheets } = getConfig();
+        const authService = new GoogleAuthService({
+            clientSecretsPath: sheets.clientSecretsPath,
+            tokenPath: sheets.tokenPath
+        });
+
+        if (action === 'login') {
+            await authService.login();
+            print(sheets.auth === 'oauth'
+                ? 'Signed in to Google'
+                : 'Signed in to Google. Set sheets.auth to "oauth" to write to Google Sheets as this user.');
+            return;
+        }
+
+        print(await authService.logout() ? 'Signed out of Google' : 'Not signed in to Google');
+    }
+};
@@ -0,0 +1,186 @@
+const TrelloService = require('../../services/trelloService');
+const SyncStateService = require('../../services/syncStateService');
+const SyncService = require('../../services/syncService');
+const { createSinks, writeSinks } = require('../../sinks');
+const { getConfig, getTrelloCredentials } = require('../../config/config');
+const EXIT_CODES = require('../exitCodes');
+const { UsageError } = require('../../errors');
+const { mapWithConcurrency } = require('../../utils/concurrency');
+const { EVENT_TYPES } = require('../../utils/movements');
+const { resolveWorkflow } = require('../../utils/workflow');
+const { print, formatRows, toObjects } = require('../output');
+const { parseDateOption } = require('../args');
+
+// Trello IDs, which --since accepts besides dates
+const ACTION_ID = /^[0-9a-f]{24}$/i;
+
+module.exports = {
+    name: 'sync',
+    summary: 'Fetch card movements from Trello and write them to the enabled sinks: the CSV file, JSON file and Google Sheet. ' +
+        'Without board IDs, syncs the boards listed in tracked-boards.json.',
+    usage: 'sync [board-id...] [options]',
+    options: {
+        all: { type: 'boolean', description: 'Sync every board you have access to' },
+        full: { type: 'boolean', description: 'Ignore the stored sync state and rebuild from the full history' },
+        fresh: { type: 'boolean', description: 'Bypass the cache' },
+        since: { type: 'string', value: '<date|action-id>', description: 'Only fetch actions after this date or action' },
+        until: { type: 'string', value: '<date>', description: 'Ignore actions after this date' },
+        events: {
+            type: 'string',
+            value: '<types>',
+            description: `Card events to track, comma-separated among ${EVENT_TYPES.join(', ')} (default: trello.events setting)`
+        },
+        'list-names': {
+            type: 'string',
+            value: '<names>',
+            choices: ['historical', 'current'],
+            description: 'Name lists as named at the time of each move, or by their current name (default: tracking.listNames setting)'
+        },
+        enrich: { type: 'boolean', description: 'Add the labels, members and due date of the cards (default: trello.enrichCards setting)' },
+        output: { type: 'string', value: '<path>', description: 'CSV file to write (default: csv.path setting)' },
+        json: {
+            type: 'string',
+            value: '<path>',
+            description: 'Also write the movements as JSON, an array for .json files and NDJSON otherwise; - streams them to stdout'
+        },
+        'json-format': { type: 'string', value: '<format>', choices: ['ndjson', 'json'], description: 'JSON format (default: json.format setting, else from the file name)' },
+        sheet: { type: 'string', value: '<spreadsheet-id>', description: 'Also write to this Google Sheet (default: sheets.spreadsheetId setting)' },
+        tab: { type: 'string', value: '<name>', description: 'Tab to write, created if missing (default: sheets.sheetName setting, else the first tab)' },
+        'tab-per-board': { type: 'boolean', description: 'Write each board to a tab named after it' },
+        'sheet-mode': {
+            type: 'string',
+            value: '<mode>',
+            choices: ['append', 'rewrite'],
+            description: 'Append new rows only, or rewrite the sorted tab (default: sheets.writeMode setting)'
+        },
+        format: { type: 'string', value: '<format>', choices: ['table', 'json', 'csv'], description: 'Format of the sync summary' }
+    },
+
+    async run({ values, positionals }) {
+        if (values.all && positionals.length > 0) {
+            throw new UsageError('Use either board IDs or --all, not both');
+        }
+
+        const since = values.since && ACTION_ID.test(values.since)
+            ? values.since
+            : parseDateOption('since', values.since, 'an action ID');
+        const until = parseDateOption('until', values.until);
+
+        const loaded = getConfig();
+        const { tracking } = loaded;
+
+        const events = values.events
+            ? values.events.split(',').map(event => event.trim()).filter(Boolean)
+            : loaded.trello.events;
+        const unknownEvents = events.filter(event => !EVENT_TYPES.includes(event));
+        if (events.length === 0 || unknownEvents.length > 0) {
+            throw new UsageError(`Expected --events among ${EVENT_TYPES.join(', ')}, got: ${values.events}`);
+        }
+
+        // --json enables the JSON sink, whatever the sinks setting
+        const config = values.json && !loaded.sinks.enabled.includes('json')
+            ? { ...loaded, sinks: { enabled: [...loaded.sinks.enabled, 'json'] } }
+            : loaded;
+
+        // Movements streamed to stdout own it, so the summary goes to stderr like progress messages
+        const streaming = config.sinks.enabled.includes('json') && (values.json || config.json.path) === '-';
+        const printSummary = streaming ? text => console.error(text) : print;
+
+        const forceFresh = Boolean(values.fresh || values.full);
+
+        const trelloService = new TrelloService(getTrelloCredentials(config));
+        const syncService = new SyncService({
+            trelloService,
+            syncStateService: new SyncStateService()
+        });
+
+        // Board arguments win over --all, which wins over the tracked boards file
+        const boards = await trelloService.getBoards(forceFresh);
+        let trackedBoards = tracking.boards;
+        if (positionals.length > 0) {
+            trackedBoards = positionals.map(id => ({ id }));
+        } else if (values.all) {
+            trackedBoards = boards;
+        }
+
+        if (trackedBoards.length === 0) {
+            throw new UsageError('No boards to sync: pass board IDs, list them in tracked-boards.json or use --all');
+        }
+
+        const boardNames = new Map(boards.map(({ id, name }) => [id, name]));
+        trackedBoards = trackedBoards.map(({ id, name }) => ({
+            id,
+            name: name || boardNames.get(id) || id
+        }));
+
+        const workflows = new Map(trackedBoards.map(({ id }) => [id, resolveWorkflow(config.workflow, id)]));
+
+        // Fetch boards concurrently, keeping going when one of them fails
+        const results = await mapWithConcurrency(trackedBoards, tracking.concurrency, async board => {
+            try {
+                const boardSync = await syncService.fetchBoard(board.id, {
+                    full: values.full,
+                    forceFresh,
+                    since,
+                    until,
+                    enrich: Boolean(values.enrich || config.trello.enrichCards),
+                    events,
+                    listNames: values['list-names'] || tracking.listNames,
+                    workflow: workflows.get(board.id)
+                });
+                return { board, boardSync };
+            } catch (error) {
+                console.error(`Failed to sync board ${board.name}:`, error.message);
+                return { board, error };
+            }
+        });
+
+        const synced = results.filter(({ error }) => !error);
+        const failed = results.filter(({ error }) => error);
+
+        if (synced.length === 0) {
+            throw failed[0].error;
+        }
+
+        const sinks = createSinks({ config, values, boards: trackedBoards });
+        const sinkResults = await writeSinks(sinks, synced.map(({ board, boardSync }) => ({
+            board,
+            movements: boardSync.movements
+        })));
+
+        const failedSinks = sinkResults.filter(({ error }) => error);
+        if (sinkResults.length > 0 && failedSinks.length === sinkResults.length) {
+            throw failedSinks[0].error;
+        }
+
+        // A mark only advances once every target of its board was written, so failed writes are fetched again
+        for (const { board, boardSync } of synced) {
+            if (!failedSinks.some(result => result.boards.includes(board.id))) {
+                await syncService.commit(boardSync);
+            }
+        }
+
+        const boardColumns = ['Board ID', 'Board Name', 'New Movements', 'Error'];
+        const boardRows = results.map(({ board, boardSync, error }) => [
+            board.id,
+            board.name,
+            boardSync ? boardSync.movements.length : '',
+            error ? error.message : ''
+        ]);
+        const sinkColumns = ['Sink', 'Target', 'Written', 'Skipped', 'Error'];
+        const sinkRows = sinkResults.map(({ sink, target, written, skipped, error }) => [
+            sink,
+            target,
+            error ? '' : written,
+            error ? '' : skipped,
+            error ? error.message : ''
+        ]);
+
+        const format = values.format || 'table';
+        printSummary(format === 'json'
+            ? JSON.stringify({ boards: toObjects(boardColumns, boardRows), sinks: toObjects(sinkColumns, sinkRows) }, null, 2)
+            : `${formatRows(format, boardColumns, boardRows)}\n\n${formatRows(format, sinkColumns, sinkRows)}`);
+
+        return failed.length > 0 || failedSinks.length > 0 ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.OK;
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * Process exit codes of the command line interface
+ */
+const EXIT_CODES = {
+    OK: 0,
+    FAILURE: 1,
+    USAGE: 2,
+    TRELLO_AUTH: 3,
+    NOT_FOUND: 4,
+    PARTIAL_FAILURE: 5,
+    CONFIG: 6,
+    ALERTS: 7
+};
+
+module.exports = EXIT_CODES;
@@ -0,0 +1,121 @@
+const EXIT_CODES = require('./exitCodes');
+const { parseCommandArgs, formatCommandHelp } = require('./args');
+const { print } = require('./output');
+const { useConfig } = require('../config/config');
+const { UsageError, ConfigError, TrelloAuthError, TrelloNotFoundError } = require('../errors');
+
+const PROGRAM = 'trello-tracker';
+
+/**
+ * Available commands, in help order
+ * @type {import('./args').Command[]}
+ */
+const COMMANDS = [
+    require('./commands/boards'),
+    require('./commands/sync'),
+    require('./commands/report'),
+    require('./commands/alerts'),
+    require('./commands/cache'),
+    require('./commands/csv'),
+    require('./commands/sheets')
+];
+
+/**
+ * Format the list of commands
+ * @returns {string}
+ */
+function formatUsage() {
+    const width = Math.max(...COMMANDS.map(({ name }) => name.length));
+
+    return [
+        `Usage: ${PROGRAM} <command> [options]`,
+        '',
+        'Commands:',
+        ...COMMANDS.map(({ name, summary }) => `  ${name.padEnd(width)}  ${summary.split('. ')[0].replace(/\.$/, '')}`),
+        '',
+        `Run "${PROGRAM} <command> --help" for the options of a command.`
+    ].join('\n');
+}
+
+/**
+ * Exit code of an error thrown by a command
+ * @param {Error} error
+ * @returns {number}
+ */
+function getExitCode(error) {
+    if (error instanceof UsageError) return EXIT_CODES.USAGE;
+    if (error instanceof ConfigError) return EXIT_CODES.CONFIG;
+    if (error instanceof TrelloAuthError) return EXIT_CODES.TRELLO_AUTH;
+    if (error instanceof TrelloNotFoundError) return EXIT_CODES.NOT_FOUND;
+    return EXIT_CODES.FAILURE;
+}
+
+/**
+ * Report an error on stderr
+ * @param {Error} error
+ */
+function reportError(error) {
+    if (error instanceof UsageError) {
+        console.error(`${error.message}\n\n${formatUsage()}`);
+    } else if (error instanceof ConfigError) {
+        console.error(error.message);
+    } else if (error instanceof TrelloAuthError) {
+        console.error('Trello authentication failed, check TRELLO_API_KEY and TRELLO_TOKEN:', error.message);
+    } else if (error instanceof TrelloNotFoundError) {
+        console.error('Application error:', error.message);
+    } else {
+        console.error('Application error:', error);
+    }
+}
+
+/**
+ * Run the command line interface
+ * @param {string[]} argv - Arguments after the program name
+ * @returns {Promise<number>} Process exit code
+ */
+async function run(argv) {
+    const [commandName, ...args] = argv;
+
+    if (!commandName || ['help', '--help', '-h'].includes(commandName)) {
+        print(formatUsage());
+        return EXIT_CODES.OK;
+    }
+
+    const command = COMMANDS.find(({ name }) => name === commandName);
+    if (!command) {
+        reportError(new UsageError(`Unknown command "${commandName}"`));
+        return EXIT_CODES.USAGE;
+    }
+
+    const { log } = console;
+    try {
+        const parsed = parseCommandArgs(args, command.options);
+
+        if (parsed.values.help) {
+            print(formatCommandHelp(PROGRAM, command));
+            return EXIT_CODES.OK;
+        }
+
+        useConfig({ configPath: parsed.values.config, profile: parsed.values.profile });
+
+        // Results go through print() to stdout, which progress messages stay out of to keep it parseable
+        console.log = parsed.values.quiet ? () => {} : console.error;
+
+        return (await command.run(parsed)) ?? EXIT_CODES.OK;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`${error.message}\n\n${formatCommandHelp(PROGRAM, command)}`);
+        } else {
+            reportError(error);
+        }
+        return getExitCode(error);
+    } finally {
+        console.log = log;
+    }
+}
+
+module.exports = {
+    COMMANDS,
+    run,
+    getExitCode
+};
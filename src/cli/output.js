@@ -0,0 +1,73 @@
+const { createArrayCsvStringifier } = require('csv-writer');
+
+/**
+ * Write a command result to stdout. Results are printed even with --quiet,
+ * which only silences progress messages.
+ * @param {string} text
+ */
+function print(text) {
+    process.stdout.write(`${text}\n`);
+}
+
+/**
+ * Format rows as a table with aligned columns
+ * @param {string[]} columns - Column titles
+ * @param {Array<Array<string|number>>} rows
+ * @returns {string}
+ */
+function formatTable(columns, rows) {
+    const cells = [columns, ...rows].map(row => row.map(cell => String(cell ?? '')));
+    const widths = columns.map((_, index) =>
+        Math.max(...cells.map(row => row[index].length))
+    );
+
+    return cells
+        .map(row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd())
+        .join('\n');
+}
+
+/**
+ * Format rows as CSV
+ * @param {string[]} columns - Column titles
+ * @param {Array<Array<string|number>>} rows
+ * @returns {string}
+ */
+function formatCsv(columns, rows) {
+    const stringifier = createArrayCsvStringifier({ header: columns });
+    return (stringifier.getHeaderString() + stringifier.stringifyRecords(rows)).trimEnd();
+}
+
+/**
+ * Rows as objects keyed by column title, for JSON output
+ * @param {string[]} columns - Column titles
+ * @param {Array<Array<string|number>>} rows
+ * @returns {Object[]}
+ */
+function toObjects(columns, rows) {
+    return rows.map(row => Object.fromEntries(columns.map((column, index) => [column, row[index]])));
+}
+
+/**
+ * Format rows in the requested output format
+ * @param {'table'|'json'|'csv'} format
+ * @param {string[]} columns - Column titles, also the keys of JSON objects
+ * @param {Array<Array<string|number>>} rows
+ * @returns {string}
+ */
+function formatRows(format, columns, rows) {
+    if (format === 'json') {
+        return JSON.stringify(toObjects(columns, rows), null, 2);
+    }
+    if (format === 'csv') {
+        return formatCsv(columns, rows);
+    }
+    return formatTable(columns, rows);
+}
+
+module.exports = {
+    print,
+    formatTable,
+    formatCsv,
+    toObjects,
+    formatRows
+};
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../config');
+const { ConfigError } = require('../../errors');
+const { resolveFormat } = require('../../utils/csvSchema');
+
+describe('config', () => {
+    let cwd;
+
+    const writeFile = (name, content) => {
+        const filePath = path.join(cwd, name);
+        fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+        return filePath;
+    };
+
+    beforeEach(() => {
+        cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'trello-tracker-config-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(cwd, { recursive: true, force: true });
+    });
+
+    it('should use the defaults without a configuration file', () => {
+        const config = loadConfig({ cwd, env: {} });
+
+        expect(config.csv.path).toBe('card_movements.csv');
+        expect(config.cache).toEqual({ path: '.cache', lifetime: 86400000, staleAfter: 3600000 });
+        expect(config.sheets).toEqual({ auth: 'service-account', tabPerBoard: false, writeMode: 'append', summary: true });
+        expect(config.tracking).toEqual({ boards: [], output: 'combined', concurrency: 3, listNames: 'historical' });
+        expect(config.sinks).toEqual({ enabled: ['csv', 'json', 'sheets'] });
+        expect(config.json).toEqual({});
+        expect(config.trello.events).toEqual(['move', 'archive', 'delete']);
+        expect(config.file).toBeNull();
+    });
+
+    it('should add the workflow column to the default CSV columns when a workflow is configured', () => {
+        expect(loadConfig({ cwd, env: {} }).csv.columns).toBeUndefined();
+
+        writeFile('trello-tracker.config.json', { workflow: { lists: { 'To Do': 'backlog', Done: 'done' } } });
+        expect(resolveFormat(loadConfig({ cwd, env: {} }).csv).columns.map(({ id }) => id)).toContain('transition');
+
+        writeFile('trello-tracker.config.json', { workflow: { lists: { Done: 'done' } }, csv: { columns: ['ids'] } });
+        expect(loadConfig({ cwd, env: {} }).csv.columns).toEqual(['ids']);
+    });
+
+    it('should merge the file, the profile and the environment in that order', () => {
+        writeFile('trello-tracker.config.json', {
+            csv: { path: 'movements.csv' },
+            cache: { lifetime: 1000 },
+            profiles: {
+                work: { csv: { path: 'work.csv' }, sheets: { spreadsheetId: 'sheet-work' } }
+            }
+        });
+
+        const config = loadConfig({ cwd, profile: 'work', env: { CACHE_LIFETIME: '5000', SHEET_NAME: 'Moves' } });
+
+        expect(config.csv.path).toBe('work.csv');
+        expect(config.cache).toEqual({ path: '.cache', lifetime: 5000, staleAfter: 3600000 });
+        expect(config.sheets).toEqual({
+            sheetName: 'Moves',
+            auth: 'service-account',
+            tabPerBoard: false,
+            writeMode: 'append',
+            summary: true,
+            spreadsheetId: 'sheet-work'
+        });
+        expect(config.profile).toBe('work');
+    });
+
+    it('should select the profile from the environment or the default profile', () => {
+        writeFile('trello-tracker.config.json', {
+            defaultProfile: 'personal',
+            profiles: {
+                work: { csv: { path: 'work.csv' } },
+                personal: { csv: { path: 'personal.csv' } }
+            }
+        });
+
+        expect(loadConfig({ cwd, env: {} }).csv.path).toBe('personal.csv');
+        expect(loadConfig({ cwd, env: { TRELLO_TRACKER_PROFILE: 'work' } }).csv.path).toBe('work.csv');
+    });
+
+    it('should load a JavaScript configuration module', () => {
+        const configPath = writeFile('custom.config.js', 'module.exports = { csv: { path: "from-js.csv" } };');
+
+        expect(loadConfig({ cwd, configPath, env: {} }).csv.path).toBe('from-js.csv');
+    });
+
+    it('should list every invalid setting', () => {
+        writeFile('trello-tracker.config.json', {
+            cache: { lifetime: -1, lifeTime: 1000 },
+            tracking: { output: 'merged' },
+            csv: { columns: ['ids', 'mood'], delimiter: '"', partition: 'week' },
+            trello: { events: ['move', 'comment'] },
+            alerts: { thresholds: { 'Code Review': '3 days' }, webhookUrl: 'hooks.example.com' },
+            workflow: { stages: ['backlog', 'backlog'], boards: { board1: { stages: ['done'] } } },
+            sheet: {}
+        });
+
+        expect(() => loadConfig({ cwd, env: {} })).toThrow(ConfigError);
+        try {
+            loadConfig({ cwd, env: {} });
+        } catch (error) {
+            expect(error.message).toContain('"cache.lifetime" must be a positive number of milliseconds');
+            expect(error.message).toContain('unknown setting "cache.lifeTime"');
+            expect(error.message).toContain('"tracking.output" must be one of combined, separate');
+            expect(error.message).toContain('"csv.columns" must be an array of column groups or columns');
+            expect(error.message).toContain('"csv.delimiter" must be one of , ;');
+            expect(error.message).toContain('"csv.partition" must be one of none, month');
+            expect(error.message).toContain('"trello.events" must be a non-empty array of events');
+            expect(error.message).toContain('"workflow.stages" must be a non-empty array of distinct stage names');
+            expect(error.message).toContain('"workflow.boards" must map board IDs to { "lists", "stages" } workflows');
+            expect(error.message).toContain('"alerts.thresholds" must map list names or IDs to a positive number of days');
+            expect(error.message).toContain('"alerts.webhookUrl" must be an http or https URL');
+            expect(error.message).toContain('unknown section "sheet"');
+        }
+    });
+
+    it('should read the sinks from the environment', () => {
+        expect(loadConfig({ cwd, env: { SINKS: 'csv, sheets', JSON_PATH: 'movements.ndjson' } })).toMatchObject({
+            sinks: { enabled: ['csv', 'sheets'] },
+            json: { path: 'movements.ndjson' }
+        });
+    });
+
+    it('should read the tracked card events from the environment', () => {
+        expect(loadConfig({ cwd, env: { TRELLO_EVENTS: 'move, create,archive' } }).trello.events)
+            .toEqual(['move', 'create', 'archive']);
+    });
+
+    it('should reject invalid environment variables', () => {
+        expect(() => loadConfig({ cwd, env: { CACHE_STALE_AFTER: 'soon' } }))
+            .toThrow('CACHE_STALE_AFTER must be a positive number of milliseconds');
+    });
+
+    it('should reject unknown profiles and missing files', () => {
+        writeFile('trello-tracker.config.json', { profiles: { work: {} } });
+
+        expect(() => loadConfig({ cwd, profile: 'home', env: {} }))
+            .toThrow('Unknown profile "home"');
+        expect(() => loadConfig({ cwd, configPath: path.join(cwd, 'missing.json'), env: {} }))
+            .toThrow('does not exist');
+    });
+
+    it('should reject profiles that are not objects of settings', () => {
+        writeFile('trello-tracker.config.json', { profiles: { work: null, home: 'csv' } });
+
+        expect(() => loadConfig({ cwd, profile: 'work', env: {} })).toThrow(ConfigError);
+        expect(() => loadConfig({ cwd, profile: 'home', env: {} }))
+            .toThrow('"profiles.home" must be an object of settings');
+
+        writeFile('trello-tracker.config.json', { profiles: null });
+        expect(() => loadConfig({ cwd, env: {} })).toThrow('"profiles" must map profile names to objects of settings');
+    });
+
+    it('should read the tracked boards file', () => {
+        writeFile('tracked-boards.json', { boards: ['board1', { id: 'board2', name: 'Team' }], output: 'separate' });
+
+        expect(loadConfig({ cwd, env: {} }).tracking).toEqual({
+            boards: [{ id: 'board1' }, { id: 'board2', name: 'Team' }],
+            output: 'separate',
+            concurrency: 3,
+            listNames: 'historical'
+        });
+    });
+});
@@ -1,10 +1,428 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('../errors');
+const { COLUMN_NAMES, DEFAULT_COLUMNS, DEFAULT_TITLES, ENCODINGS, DELIMITERS, PARTITIONS } = require('../utils/csvSchema');
+const { EVENT_TYPES } = require('../utils/movements');
 
-const config = {
-    trello: {
-        apiKey: process.env.TRELLO_API_KEY,
-        token: process.env.TRELLO_TOKEN
+const CONFIG_FILES = ['trello-tracker.config.json', 'trello-tracker.config.js'];
+const OUTPUT_MODES = ['combined', 'separate'];
+const SHEET_WRITE_MODES = ['append', 'rewrite'];
+const SHEET_AUTH_MODES = ['service-account', 'oauth'];
+const JSON_FORMATS = ['ndjson', 'json'];
+const LIST_NAMES = ['historical', 'current'];
+
+/**
+ * @typedef {Object} TrackedBoard
+ * @property {string} id - Board ID
+ * @property {string} [name] - Board name, used for per-board files and tabs
+ */
+
+/**
+ * @typedef {Object} TrackingConfig
+ * @property {TrackedBoard[]} boards - Boards synced when no board is given
+ * @property {'combined'|'separate'} output - One output for all boards, or one file and tab per board
+ * @property {number} concurrency - Boards fetched at once
+ * @property {'historical'|'current'} listNames - Name lists as named at the time of each action, or by their current name
+ */
+
+/**
+ * @typedef {Object} Config
+ * @property {{ apiKey?: string, token?: string, enrichCards?: boolean, events: string[] }} trello - Trello credentials, whether synced movements get the labels, members and due date of their card, and the card events tracked
+ * @property {{ path: string, columns?: string[], titles?: Object<string, string>, delimiter?: ','|';', encoding?: string, bom?: boolean, partition?: 'none'|'month' }} csv - CSV output and its format
+ * @property {{ path: string, lifetime: number, staleAfter: number }} cache - Trello response cache, lifetimes in milliseconds
+ * @property {{ auth: 'service-account'|'oauth', credentialsPath?: string, clientSecretsPath?: string, tokenPath?: string, spreadsheetId?: string, sheetName?: string, tabPerBoard: boolean, writeMode: 'append'|'rewrite', summary: boolean }} sheets - Google Sheets output
+ * @property {{ path?: string, format?: 'ndjson'|'json' }} json - JSON output, written when a path is set
+ * @property {{ enabled: string[] }} sinks - Outputs synced movements are written to, when configured
+ * @property {{ cycleStartList?: string, cycleEndList?: string, doneLists?: string[] }} analytics - Cycle time and throughput lists
+ * @property {import('../utils/workflow').WorkflowSettings} workflow - Workflow stages of the lists
+ * @property {{ thresholds?: Object<string, number>, path?: string, webhookUrl?: string }} alerts - Days allowed
+ *     in each list before its cards are reported as aging, and where alerts go besides stdout
+ * @property {TrackingConfig} tracking - Boards synced without a board argument
+ * @property {string|null} profile - Selected profile
+ * @property {string|null} file - Loaded configuration file
+ */
+
+/**
+ * @typedef {Object} LoadOptions
+ * @property {string} [configPath] - Configuration file, instead of TRELLO_TRACKER_CONFIG or the default files
+ * @property {string} [profile] - Profile, instead of TRELLO_TRACKER_PROFILE or the file's defaultProfile
+ * @property {Object<string, string>} [env=process.env] - Environment variables
+ * @property {string} [cwd=process.cwd()] - Directory of the default files
+ */
+
+const DEFAULTS = {
+    // Archived and deleted cards are tracked so alerts can leave finished cards out
+    trello: { events: ['move', 'archive', 'delete'] },
+    csv: { path: 'card_movements.csv' },
+    cache: { path: '.cache', lifetime: 24 * 60 * 60 * 1000, staleAfter: 60 * 60 * 1000 },
+    sheets: { auth: 'service-account', tabPerBoard: false, writeMode: 'append', summary: true },
+    json: {},
+    sinks: { enabled: ['csv', 'json', 'sheets'] },
+    analytics: {},
+    workflow: { stages: ['backlog', 'active', 'done'] },
+    alerts: {},
+    tracking: { boards: [], output: 'combined', concurrency: 3, listNames: 'historical' }
+};
+
+/**
+ * Whether a value maps names to non-empty strings, e.g. lists to workflow stages
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isStageMap(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+        Object.values(value).every(stage => typeof stage === 'string' && stage !== '');
+}
+
+/**
+ * Checks of each setting, returning what is wrong with a value or null
+ */
+const checks = {
+    boolean: value => (typeof value === 'boolean' ? null : 'must be true or false'),
+    string: value => (typeof value === 'string' && value !== '' ? null : 'must be a non-empty string'),
+    duration: value => (Number.isInteger(value) && value > 0 ? null : 'must be a positive number of milliseconds'),
+    positiveInteger: value => (Number.isInteger(value) && value > 0 ? null : 'must be a positive integer'),
+    output: value => (OUTPUT_MODES.includes(value) ? null : `must be one of ${OUTPUT_MODES.join(', ')}`),
+    writeMode: value => (SHEET_WRITE_MODES.includes(value) ? null : `must be one of ${SHEET_WRITE_MODES.join(', ')}`),
+    auth: value => (SHEET_AUTH_MODES.includes(value) ? null : `must be one of ${SHEET_AUTH_MODES.join(', ')}`),
+    columns: value => (Array.isArray(value) && value.every(name => COLUMN_NAMES.includes(name))
+        ? null
+        : `must be an array of column groups or columns, among ${COLUMN_NAMES.join(', ')}`),
+    titles: value => (value && typeof value === 'object' && !Array.isArray(value) &&
+        Object.entries(value).every(([id, title]) => id in DEFAULT_TITLES && typeof title === 'string' && title !== '')
+        ? null
+        : `must map columns, among ${Object.keys(DEFAULT_TITLES).join(', ')}, to header titles`),
+    delimiter: value => (DELIMITERS.includes(value) ? null : `must be one of ${DELIMITERS.join(' ')}`),
+    encoding: value => (ENCODINGS.includes(value) ? null : `must be one of ${ENCODINGS.join(', ')}`),
+    partition: value => (PARTITIONS.includes(value) ? null : `must be one of ${PARTITIONS.join(', ')}`),
+    listNames: value => (LIST_NAMES.includes(value) ? null : `must be one of ${LIST_NAMES.join(', ')}`),
+    jsonFormat: value => (JSON_FORMATS.includes(value) ? null : `must be one of ${JSON_FORMATS.join(', ')}`),
+    events: value => (Array.isArray(value) && value.length > 0 && value.every(event => EVENT_TYPES.includes(event))
+        ? null
+        : `must be a non-empty array of events, among ${EVENT_TYPES.join(', ')}`),
+    names: value => (Array.isArray(value) && value.every(name => typeof name === 'string' && name !== '')
+        ? null
+        : 'must be an array of names'),
+    lists: value => (Array.isArray(value) && value.length > 0 && value.every(list => typeof list === 'string' && list !== '')
+        ? null
+        : 'must be a non-empty array of list names'),
+    stages: value => (Array.isArray(value) && value.length > 0 &&
+        value.every(stage => typeof stage === 'string' && stage !== '') && new Set(value).size === value.length
+        ? null
+        : 'must be a non-empty array of distinct stage names'),
+    stageMap: value => (isStageMap(value) ? null : 'must map list names or IDs to stage names'),
+    workflows: value => (value && typeof value === 'object' && !Array.isArray(value) &&
+        Object.values(value).every(board => board && isStageMap(board.lists) &&
+            Object.keys(board).every(key => key === 'lists' || (key === 'stages' && checks.stages(board.stages) === null)))
+        ? null
+        : 'must map board IDs to { "lists", "stages" } workflows'),
+    thresholds: value => (value && typeof value === 'object' && !Array.isArray(value) &&
+        Object.values(value).every(days => typeof days === 'number' && days > 0)
+        ? null
+        : 'must map list names or IDs to a positive number of days'),
+    url: value => (/^https?:\/\/\S+$/.test(value) ? null : 'must be an http or https URL'),
+    boards: value => (Array.isArray(value) &&
+        value.every(board => typeof board === 'string' || (board && typeof board.id === 'string'))
+        ? null
+        : 'must be an array of board IDs or { "id", "name" } objects')
+};
+
+const SCHEMA = {
+    trello: { apiKey: checks.string, token: checks.string, enrichCards: checks.boolean, events: checks.events },
+    csv: {
+        path: checks.string,
+        columns: checks.columns,
+        titles: checks.titles,
+        delimiter: checks.delimiter,
+        encoding: checks.encoding,
+        bom: checks.boolean,
+        partition: checks.partition
+    },
+    cache: { path: checks.string, lifetime: checks.duration, staleAfter: checks.duration },
+    sheets: {
+        auth: checks.auth,
+        credentialsPath: checks.string,
+        clientSecretsPath: checks.string,
+        tokenPath: checks.string,
+        spreadsheetId: checks.string,
+        sheetName: checks.string,
+        tabPerBoard: checks.boolean,
+        writeMode: checks.writeMode,
+        summary: checks.boolean
+    },
+    json: { path: checks.string, format: checks.jsonFormat },
+    sinks: { enabled: checks.names },
+    analytics: { cycleStartList: checks.string, cycleEndList: checks.string, doneLists: checks.lists },
+    workflow: { stages: checks.stages, lists: checks.stageMap, boards: checks.workflows },
+    alerts: { thresholds: checks.thresholds, path: checks.string, webhookUrl: checks.url },
+    tracking: {
+        boards: checks.boards,
+        output: checks.output,
+        concurrency: checks.positiveInteger,
+        listNames: checks.listNames
     }
 };
 
-module.exports = config;
+/**
+ * Environment variables overriding a setting, with the conversion of their value
+ */
+const ENV_OVERRIDES = {
+    TRELLO_API_KEY: ['trello', 'apiKey'],
+    TRELLO_TOKEN: ['trello', 'token'],
+    TRELLO_EVENTS: ['trello', 'events', value => value.split(',').map(event => event.trim())],
+    CSV_PATH: ['csv', 'path'],
+    CSV_PARTITION: ['csv', 'partition'],
+    CACHE_PATH: ['cache', 'path'],
+    CACHE_LIFETIME: ['cache', 'lifetime', Number],
+    CACHE_STALE_AFTER: ['cache', 'staleAfter', Number],
+    SHEETS_AUTH: ['sheets', 'auth'],
+    GOOGLE_CREDENTIALS_PATH: ['sheets', 'credentialsPath'],
+    GOOGLE_CLIENT_SECRETS_PATH: ['sheets', 'clientSecretsPath'],
+    GOOGLE_TOKEN_PATH: ['sheets', 'tokenPath'],
+    SPREADSHEET_ID: ['sheets', 'spreadsheetId'],
+    SHEET_NAME: ['sheets', 'sheetName'],
+    SHEET_WRITE_MODE: ['sheets', 'writeMode'],
+    JSON_PATH: ['json', 'path'],
+    LIST_NAMES: ['tracking', 'listNames'],
+    ALERTS_PATH: ['alerts', 'path'],
+    ALERTS_WEBHOOK_URL: ['alerts', 'webhookUrl'],
+    SINKS: ['sinks', 'enabled', value => value.split(',').map(name => name.trim())],
+    CYCLE_START_LIST: ['analytics', 'cycleStartList'],
+    CYCLE_END_LIST: ['analytics', 'cycleEndList'],
+    DONE_LISTS: ['analytics', 'doneLists', value => value.split(',').map(list => list.trim())]
+};
+
+/**
+ * Validate the settings of one section
+ * @param {string} section - Section name, e.g. `cache`
+ * @param {*} values - Section settings
+ * @param {string} prefix - Prefix of the setting names in messages, e.g. `cache.`
+ * @returns {string[]} Problems found
+ */
+function validateSection(section, values, prefix) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        return [`"${prefix.slice(0, -1) || section}" must be an object`];
+    }
+
+    return Object.entries(values).flatMap(([key, value]) => {
+        const check = SCHEMA[section][key];
+        if (!check) {
+            return [`unknown setting "${prefix}${key}"`];
+        }
+        const problem = check(value);
+        return problem ? [`"${prefix}${key}" ${problem}`] : [];
+    });
+}
+
+/**
+ * Validate the sections of a configuration file or profile
+ * @param {Object} layer - Settings by section
+ * @param {string} prefix - Prefix of the setting names in messages, e.g. `profiles.work.`
+ * @returns {string[]} Problems found
+ */
+function validateLayer(layer, prefix = '') {
+    if (!layer || typeof layer !== 'object' || Array.isArray(layer)) {
+        return [`"${prefix.slice(0, -1)}" must be an object of settings`];
+    }
+
+    return Object.entries(layer).flatMap(([section, values]) => {
+        if (!SCHEMA[section]) {
+            return [`unknown section "${prefix}${section}"`];
+        }
+        return validateSection(section, values, `${prefix}${section}.`);
+    });
+}
+
+/**
+ * Throw the problems found in a source, if any
+ * @param {string} source - Where the settings come from
+ * @param {string[]} problems
+ * @throws {ConfigError}
+ */
+function assertValid(source, problems) {
+    if (problems.length > 0) {
+        throw new ConfigError(`Invalid configuration in ${source}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    }
+}
+
+/**
+ * Read a JSON file, or a `.js` module exporting the settings
+ * @param {string} filePath
+ * @returns {Object}
+ * @throws {ConfigError}
+ */
+function readSettingsFile(filePath) {
+    let settings;
+    try {
+        settings = filePath.endsWith('.js')
+            ? require(path.resolve(filePath))
+            : JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(`Invalid configuration in ${filePath}: ${error.message}`);
+    }
+
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new ConfigError(`Invalid configuration in ${filePath}: expected an object of settings`);
+    }
+    return settings;
+}
+
+/**
+ * Load the tracked boards file, if present. The file lists board IDs
+ * (or `{ "id", "name" }` objects) under `boards`, plus optional
+ * `output` and `concurrency` settings.
+ * @param {string} filePath - Path to the tracked boards file
+ * @returns {Object} Settings layer with a `tracking` section, empty without a file
+ */
+function loadTracking(filePath) {
+    if (!fs.existsSync(filePath)) return {};
+
+    const tracking = readSettingsFile(filePath);
+    assertValid(filePath, validateSection('tracking', tracking, ''));
+    return { tracking };
+}
+
+/**
+ * Find the configuration file to load
+ * @param {LoadOptions} options
+ * @returns {string|null}
+ * @throws {ConfigError} When an explicitly given file does not exist
+ */
+function findConfigFile({ configPath, env, cwd }) {
+    const explicitPath = configPath || env.TRELLO_TRACKER_CONFIG;
+    if (explicitPath) {
+        if (!fs.existsSync(explicitPath)) {
+            throw new ConfigError(`Configuration file ${explicitPath} does not exist`);
+        }
+        return explicitPath;
+    }
+
+    return CONFIG_FILES
+        .map(file => path.join(cwd, file))
+        .find(file => fs.existsSync(file)) || null;
+}
+
+/**
+ * Settings layer from the environment variables
+ * @param {Object<string, string>} env
+ * @returns {Object}
+ */
+function loadEnvironment(env) {
+    const layer = {};
+    const problems = [];
+
+    Object.entries(ENV_OVERRIDES).forEach(([name, [section, key, convert = String]]) => {
+        if (env[name] === undefined || env[name] === '') return;
+
+        const value = convert(env[name]);
+        const problem = SCHEMA[section][key](value);
+        if (problem) {
+            problems.push(`${name} ${problem}`);
+            return;
+        }
+        layer[section] = { ...layer[section], [key]: value };
+    });
+
+    assertValid('the environment', problems);
+    return layer;
+}
+
+/**
+ * Load the configuration. Settings are merged per section, each source
+ * overriding the previous one: defaults, the tracked boards file, the
+ * configuration file, the selected profile and the environment. Command
+ * line flags override the result where commands accept them.
+ * @param {LoadOptions} [options]
+ * @returns {Config}
+ * @throws {ConfigError} When a source is invalid or the profile does not exist
+ */
+function loadConfig(options = {}) {
+    const { env = process.env, cwd = process.cwd() } = options;
+
+    const layers = [DEFAULTS, loadTracking(env.TRACKED_BOARDS_FILE || path.join(cwd, 'tracked-boards.json'))];
+
+    const file = findConfigFile({ ...options, env, cwd });
+    let profile = options.profile || env.TRELLO_TRACKER_PROFILE || null;
+
+    if (file) {
+        const { profiles = {}, defaultProfile, ...settings } = readSettingsFile(file);
+        assertValid(file, validateLayer(settings));
+        layers.push(settings);
+
+        profile = profile || defaultProfile || null;
+        if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+            assertValid(file, ['"profiles" must map profile names to objects of settings']);
+        }
+        if (profile) {
+            if (!Object.prototype.hasOwnProperty.call(profiles, profile)) {
+                const available = Object.keys(profiles);
+                throw new ConfigError(`Unknown profile "${profile}" in ${file}` +
+                    (available.length ? `, available profiles: ${available.join(', ')}` : ', it defines no profiles'));
+            }
+            assertValid(file, validateLayer(profiles[profile], `profiles.${profile}.`));
+            layers.push(profiles[profile]);
+        }
+    } else if (profile) {
+        throw new ConfigError(`Profile "${profile}" requires a configuration file (${CONFIG_FILES.join(' or ')})`);
+    }
+
+    layers.push(loadEnvironment(env));
+
+    const config = Object.fromEntries(Object.keys(SCHEMA).map(section => [
+        section,
+        Object.assign({}, ...layers.map(layer => layer[section]))
+    ]));
+    config.tracking.boards = config.tracking.boards.map(board => (typeof board === 'string' ? { id: board } : board));
+
+    // A configured workflow flags the transition of every move, which the default CSV columns then keep
+    const { lists = {}, boards = {} } = config.workflow;
+    if (!config.csv.columns && (Object.keys(lists).length > 0 || Object.keys(boards).length > 0)) {
+        config.csv.columns = [...DEFAULT_COLUMNS, 'workflow'];
+    }
+
+    return { ...config, profile, file };
+}
+
+/**
+ * Trello credentials of the configuration, which every command calling Trello needs
+ * @param {Config} config
+ * @returns {{ apiKey: string, token: string }}
+ * @throws {ConfigError} When the API key or the token is missing
+ */
+function getTrelloCredentials(config) {
+    const { apiKey, token } = config.trello;
+    if (!apiKey || !token) {
+        throw new ConfigError('Trello API key and token are required: set TRELLO_API_KEY and TRELLO_TOKEN, ' +
+            'or "trello.apiKey" and "trello.token" in the configuration file');
+    }
+    return { apiKey, token };
+}
+
+let current = null;
+
+/**
+ * Load the configuration and make it the one returned by getConfig
+ * @param {LoadOptions} [options]
+ * @returns {Config}
+ */
+function useConfig(options) {
+    current = loadConfig(options);
+    return current;
+}
+
+/**
+ * Current configuration, loaded with the default options on first use
+ * @returns {Config}
+ */
+function getConfig() {
+    return current || useConfig();
+}
+
+module.exports = {
+    CONFIG_FILES,
+    loadConfig,
+    useConfig,
+    getConfig,
+    getTrelloCredentials
+};
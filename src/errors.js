@@ -0,0 +1,61 @@
+/**
+ * Error returned by the Trello API
+ */
+class TrelloApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [details]
+     * @param {number} [details.status] - HTTP status of the response
+     * @param {string} [details.path] - Requested API path
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = details.status;
+        this.path = details.path;
+    }
+}
+
+/**
+ * Trello rejected the API key or token
+ */
+class TrelloAuthError extends TrelloApiError {}
+
+/**
+ * The requested board or resource does not exist or is not visible
+ */
+class TrelloNotFoundError extends TrelloApiError {}
+
+/**
+ * Trello kept rate limiting the request after every retry
+ */
+class TrelloRateLimitError extends TrelloApiError {}
+
+/**
+ * The command line was invalid
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * The configuration file, a profile or an environment variable is invalid
+ */
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+module.exports = {
+    UsageError,
+    ConfigError,
+    TrelloApiError,
+    TrelloAuthError,
+    TrelloNotFoundError,
+    TrelloRateLimitError
+};
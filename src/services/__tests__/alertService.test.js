@@ -0,0 +1,104 @@
+const AlertService = require('../alertService');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const card = {
+    cardId: 'card1',
+    cardName: 'Fix login',
+    boardName: 'Board',
+    list: 'Code Review',
+    since: '2024-01-01T00:00:00.000Z',
+    days: 4.5,
+    thresholdDays: 3
+};
+
+describe('AlertService', () => {
+    let consoleLogSpy;
+
+    beforeEach(() => {
+        consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(() => {
+        consoleLogSpy.mockRestore();
+    });
+
+    describe('createReport', () => {
+        it('should summarize the aging cards', () => {
+            const report = AlertService.createReport([card], new Date('2024-01-05T12:00:00.000Z'));
+
+            expect(report).toEqual({
+                generatedAt: '2024-01-05T12:00:00.000Z',
+                text: '1 card stuck in their list: Fix login (Code Review, 4.5 days > 3)',
+                cards: [card]
+            });
+            expect(AlertService.createReport([]).text).toBe('No cards stuck in their list');
+        });
+    });
+
+    describe('writeFile', () => {
+        it('should replace the JSON file with the report', async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trello-tracker-alerts-'));
+            const filePath = path.join(dir, 'reports', 'alerts.json');
+            const report = AlertService.createReport([card]);
+
+            try {
+                await new AlertService().writeFile(filePath, AlertService.createReport([]));
+                await new AlertService().writeFile(filePath, report);
+
+                expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual(report);
+                expect(fs.readdirSync(path.dirname(filePath))).toEqual(['alerts.json']);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('postWebhook', () => {
+        let server;
+        let received;
+        let status;
+        let url;
+
+        beforeEach(async () => {
+            received = [];
+            status = 200;
+            server = http.createServer((request, response) => {
+                let body = '';
+                request.on('data', chunk => { body += chunk; });
+                request.on('end', () => {
+                    received.push({ method: request.method, type: request.headers['content-type'], body: JSON.parse(body) });
+                    response.writeHead(status);
+                    response.end();
+                });
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            url = `http://127.0.0.1:${server.address().port}/hooks/alerts`;
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        it('should post the report as JSON', async () => {
+            const report = AlertService.createReport([card]);
+
+            await new AlertService().postWebhook(url, report);
+
+            expect(received).toEqual([{
+                method: 'POST',
+                type: expect.stringContaining('application/json'),
+                body: report
+            }]);
+        });
+
+        it('should fail when the webhook rejects the alerts', async () => {
+            status = 500;
+
+            await expect(new AlertService().postWebhook(url, AlertService.createReport([card])))
+                .rejects.toThrow('Failed to send alerts to the webhook: status 500');
+        });
+    });
+});
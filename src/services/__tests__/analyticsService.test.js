@@ -0,0 +1,439 @@
+const AnalyticsService = require('../analyticsService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const move = (cardId, oldLocation, newLocation, day) => ({
+    cardId,
+    cardName: `Card ${cardId}`,
+    oldLocation,
+    newLocation,
+    timestamp: new Date(Date.UTC(2024, 0, 1) + day * DAY).toISOString()
+});
+
+describe('AnalyticsService', () => {
+    let analyticsService;
+
+    beforeEach(() => {
+        analyticsService = new AnalyticsService({
+            cycleStartList: 'In Progress',
+            cycleEndList: 'Done'
+        });
+    });
+
+    describe('computeCardMetrics', () => {
+        it('should compute time in list, lead time and cycle time per card', () => {
+            const [metrics] = analyticsService.computeCardMetrics([
+                move('card1', 'In Progress', 'Review', 3),
+                move('card1', 'To Do', 'In Progress', 1),
+                move('card1', 'Review', 'Done', 4)
+            ]);
+
+            expect(metrics.cardId).toBe('card1');
+            expect(metrics.timeInList).toEqual({
+                'In Progress': 2 * DAY,
+                'Review': 1 * DAY
+            });
+            expect(metrics.leadTime).toBe(3 * DAY);
+            expect(metrics.cycleTime).toBe(3 * DAY);
+        });
+
+        it('should add up repeated visits to the same list', () => {
+            const [metrics] = analyticsService.computeCardMetrics([
+                move('card1', 'To Do', 'In Progress', 0),
+                move('card1', 'In Progress', 'Review', 1),
+                move('card1', 'Review', 'In Progress', 2),
+                move('card1', 'In Progress', 'Done', 5)
+            ]);
+
+            expect(metrics.timeInList['In Progress']).toBe(4 * DAY);
+        });
+
+        it('should leave cycle time empty for cards that did not finish', () => {
+            const [metrics] = analyticsService.computeCardMetrics([
+                move('card1', 'To Do', 'In Progress', 0)
+            ]);
+
+            expect(metrics.cycleTime).toBeNull();
+            expect(metrics.leadTime).toBeNull();
+        });
+
+        it('should skip cycle time when no lists are configured', () => {
+            const [metrics] = new AnalyticsService().computeCardMetrics([
+                move('card1', 'To Do', 'In Progress', 0),
+                move('card1', 'In Progress', 'Done', 2)
+            ]);
+
+            expect(metrics.cycleTime).toBeNull();
+        });
+
+        it('should fall back to card names for rows without card ID', () => {
+            const metrics = analyticsService.computeCardMetrics([
+                { ...move('', 'To Do', 'Doing', 0), cardName: 'A' },
+                { ...move('', 'To Do', 'Doing', 0), cardName: 'B' }
+            ]);
+
+            expect(metrics.map(({ cardName }) => cardName)).toEqual(['A', 'B']);
+        });
+    });
+
+    describe('card events', () => {
+        it('should count time from creation and ignore events leaving the card in place', () => {
+            const [metrics] = analyticsService.computeCardMetrics([
+                { ...move('card1', 'N/A', 'To Do', 0), eventType: 'create' },
+                { ...move('card1', 'To Do', 'To Do', 1), eventType: 'due' },
+                move('card1', 'To Do', 'Done', 2),
+                { ...move('card1', 'Done', 'Done', 5), eventType: 'archive' }
+            ]);
+
+            expect(metrics.timeInList).toEqual({ 'To Do': 2 * DAY });
+            expect(metrics.leadTime).toBe(2 * DAY);
+        });
+    });
+
+    describe('renamed lists', () => {
+        it('should count a renamed list once, under its latest name', () => {
+            const rows = analyticsService.computeCumulativeFlow([
+                { ...move('card1', 'To Do', 'Doing', 0), listBeforeId: 'l1', listAfterId: 'l2' },
+                { ...move('card2', 'To Do', 'In Progress', 1), listBeforeId: 'l1', listAfterId: 'l2' }
+            ], { to: '2024-01-02' });
+
+            expect(rows.columns).toEqual(['Date', 'To Do', 'In Progress']);
+            expect(rows.rows).toEqual([['2024-01-01', 0, 1], ['2024-01-02', 0, 2]]);
+
+            const [metrics] = analyticsService.computeCardMetrics([
+                { ...move('card1', 'To Do', 'Doing', 0), listBeforeId: 'l1', listAfterId: 'l2' },
+                { ...move('card1', 'In Progress', 'Done', 2), listBeforeId: 'l2', listAfterId: 'l3' }
+            ]);
+            expect(metrics.timeInList).toEqual({ 'In Progress': 2 * DAY });
+        });
+    });
+
+    describe('cross-board moves', () => {
+        // Card 2 arrives from another board, both its locations prefixed with their board
+        const movements = [
+            { ...move('card1', 'To Do', 'Doing', 0), listBeforeId: 'l1', listAfterId: 'l2', boardName: 'Main' },
+            {
+                ...move('card2', 'Intake / Inbox', 'Main / Doing', 1),
+                listBeforeId: 'x1',
+                listAfterId: 'l2',
+                boardName: 'Main'
+            }
+        ];
+
+        it('should keep the bare name of lists entered from another board', () => {
+            const { columns, rows } = analyticsService.computeCumulativeFlow(movements, { to: '2024-01-02' });
+
+            expect(columns).toEqual(['Date', 'To Do', 'Doing', 'Intake / Inbox']);
+            expect(rows[1]).toEqual(['2024-01-02', 0, 2, 0]);
+        });
+
+        it('should match the thresholds of lists entered from another board', () => {
+            const cards = analyticsService.computeAgingCards(movements, { Doing: 3 }, new Date(Date.UTC(2024, 0, 29)));
+
+            expect(cards.map(({ cardId, list }) => [cardId, list])).toEqual([['card1', 'Doing'], ['card2', 'Doing']]);
+        });
+
+        it('should keep list names containing the board separator on moves within the board', () => {
+            const { columns } = analyticsService.computeCumulativeFlow([
+                { ...move('card1', 'QA / Review', 'Main / Doing', 0), listBeforeId: 'l3', listAfterId: 'l4', boardName: 'Main' },
+                { ...move('card2', 'Main / Doing', 'QA / Review', 1), listBeforeId: 'l4', listAfterId: 'l3', boardName: 'Main' }
+            ], { to: '2024-01-02' });
+
+            expect(columns).toEqual(['Date', 'QA / Review', 'Main / Doing']);
+        });
+    });
+
+    describe('summarizeLists', () => {
+        it('should report mean, median, p85 and max per list', () => {
+            const cardMetrics = [1, 2, 3, 4, 10].map(days => ({
+                timeInList: { Review: days * DAY }
+            }));
+
+            expect(analyticsService.summarizeLists(cardMetrics)).toEqual([{
+                list: 'Review',
+                cards: 5,
+                mean: 4 * DAY,
+                median: 3 * DAY,
+                p85: 10 * DAY,
+                max: 10 * DAY
+            }]);
+        });
+    });
+
+    describe('toTable', () => {
+        it('should flatten metrics into rows in days', () => {
+            const { columns, rows } = analyticsService.toTable([{
+                cardId: 'card1',
+                cardName: 'Card',
+                timeInList: { Review: 1.5 * DAY },
+                leadTime: 2 * DAY,
+                cycleTime: null
+            }]);
+
+            expect(columns).toEqual([
+                'Card Name', 'Card ID', 'Lead Time (days)', 'Cycle Time (days)', 'Time in Review (days)'
+            ]);
+            expect(rows).toEqual([['Card', 'card1', 2, '', 1.5]]);
+        });
+    });
+
+    describe('toListTable', () => {
+        it('should convert the list summary to days', () => {
+            const table = analyticsService.toListTable([{
+                list: 'Review', cards: 2, mean: 1.5 * DAY, median: DAY, p85: 2 * DAY, max: 2 * DAY
+            }]);
+
+            expect(table).toEqual({
+                columns: ['List', 'Cards', 'Average (days)', 'Median (days)', 'P85 (days)', 'Max (days)'],
+                rows: [['Review', 2, 1.5, 1, 2, 2]]
+            });
+        });
+    });
+
+    describe('computeThroughput', () => {
+        // 2024-01-01 is a Monday
+        const history = [
+            move('card1', 'To Do', 'Done', 1),
+            move('card2', 'To Do', 'Done', 6),
+            move('card1', 'Done', 'In Progress', 8),
+            move('card1', 'In Progress', 'Done', 9),
+            move('card3', 'To Do', 'Done', 16)
+        ];
+
+        it('should count the cards first done in every week', () => {
+            const { columns, rows } = analyticsService.computeThroughput(history, { to: '2024-01-21' });
+
+            expect(columns).toEqual(['Week', 'Cards Done']);
+            expect(rows).toEqual([
+                ['2024-01-01', 2],
+                ['2024-01-08', 0],
+                ['2024-01-15', 1]
+            ]);
+        });
+
+        it('should treat lists named done as done lists without configuration', () => {
+            const service = new AnalyticsService();
+            const { rows } = service.computeThroughput([
+                move('card1', 'To Do', 'Done (Sprint 1)', 0),
+                move('card2', 'To Do', 'Undone', 0)
+            ], { to: '2024-01-01' });
+
+            expect(rows).toEqual([['2024-01-01', 1]]);
+        });
+
+        it('should use the configured done lists', () => {
+            const service = new AnalyticsService({ cycleEndList: 'Done', doneLists: ['Shipped'] });
+            const { rows } = service.computeThroughput([
+                move('card1', 'To Do', 'Done', 0),
+                move('card2', 'To Do', 'Shipped', 0)
+            ], { to: '2024-01-01' });
+
+            expect(rows).toEqual([['2024-01-01', 1]]);
+        });
+
+        it('should return no rows without history', () => {
+            expect(analyticsService.computeThroughput([]).rows).toEqual([]);
+        });
+    });
+
+    describe('computeMemberActivity', () => {
+        it('should count moves and the cards each member moved to done first', () => {
+            const { columns, rows } = analyticsService.computeMemberActivity([
+                { ...move('card1', 'To Do', 'In Progress', 0), memberName: 'Ada' },
+                { ...move('card1', 'In Progress', 'Done', 1), memberName: 'Grace' },
+                { ...move('card2', 'To Do', 'Done', 1), memberName: 'Grace' },
+                { ...move('card2', 'Done', 'Archive', 2), memberName: 'Ada' },
+                move('card3', 'To Do', 'In Progress', 2)
+            ]);
+
+            expect(columns).toEqual(['Member', 'Moves', 'Cards Done']);
+            expect(rows).toEqual([
+                ['Grace', 2, 2],
+                ['Ada', 2, 0],
+                ['Unknown', 1, 0]
+            ]);
+        });
+
+        it('should not count creations and other card events as moves', () => {
+            const { rows } = analyticsService.computeMemberActivity([
+                { ...move('card1', 'N/A', 'To Do', 0), eventType: 'create', memberName: 'Ada' },
+                { ...move('card1', 'To Do', 'Done', 1), eventType: 'move', memberName: 'Ada' },
+                { ...move('card1', 'Done', 'Done', 2), eventType: 'archive', memberName: 'Ada' }
+            ]);
+
+            expect(rows).toEqual([['Ada', 1, 1]]);
+        });
+    });
+
+    describe('computeRegressions', () => {
+        it('should list the moves back to an earlier stage, oldest first', () => {
+            const service = new AnalyticsService({
+                workflow: {
+                    stages: ['backlog', 'active', 'done'],
+                    lists: { 'To Do': 'backlog', 'In Progress': 'active', 'Done': 'done' }
+                }
+            });
+
+            const { columns, rows } = service.computeRegressions([
+                { ...move('card1', 'Done', 'In Progress', 3), memberName: 'Ada' },
+                move('card1', 'To Do', 'Done', 1),
+                move('card2', 'In Progress', 'To Do', 2)
+            ]);
+
+            expect(columns).toEqual(['Timestamp', 'Card', 'From', 'To', 'Transition', 'Moved By']);
+            expect(rows).toEqual([
+                ['2024-01-03T00:00:00.000Z', 'Card card2', 'In Progress', 'To Do', 'backward', ''],
+                ['2024-01-04T00:00:00.000Z', 'Card card1', 'Done', 'In Progress', 're-open', 'Ada']
+            ]);
+        });
+    });
+
+    describe('computeAgingCards', () => {
+        const now = new Date(Date.UTC(2024, 0, 11));
+
+        it('should report the open cards past the threshold of their list', () => {
+            const cards = analyticsService.computeAgingCards([
+                move('card1', 'In Progress', 'Code Review', 5),
+                move('card2', 'In Progress', 'Code Review', 9),
+                { ...move('card3', 'In Progress', 'Code Review', 1), listAfterId: 'list9' },
+                move('card4', 'To Do', 'Backlog', 0)
+            ], { 'Code Review': 3, list9: 20 }, now);
+
+            expect(cards).toEqual([{
+                cardId: 'card1',
+                cardName: 'Card card1',
+                boardName: undefined,
+                list: 'Code Review',
+                since: '2024-01-06T00:00:00.000Z',
+                days: 5,
+                thresholdDays: 3
+            }]);
+        });
+
+        it('should skip archived and deleted cards unless unarchived', () => {
+            const cards = analyticsService.computeAgingCards([
+                move('card1', 'In Progress', 'Code Review', 0),
+                { ...move('card1', 'Code Review', 'Code Review', 1), eventType: 'archive' },
+                move('card2', 'In Progress', 'Code Review', 0),
+                { ...move('card2', 'Code Review', 'Code Review', 1), eventType: 'archive' },
+                { ...move('card2', 'Code Review', 'Code Review', 2), eventType: 'unarchive' }
+            ], { 'Code Review': 3 }, now);
+
+            expect(cards.map(({ cardId }) => cardId)).toEqual(['card2']);
+        });
+    });
+
+    describe('filterMovements', () => {
+        const movements = [
+            { ...move('card1', 'To Do', 'Done', 0), memberId: 'm1', memberName: 'Ada Lovelace', labels: 'Bug, Urgent', members: 'Grace' },
+            { ...move('card2', 'To Do', 'Done', 0), memberId: 'm2', memberName: 'Grace', labels: 'Feature', members: '' }
+        ];
+
+        it('should match the member by name or ID, case-insensitively', () => {
+            expect(AnalyticsService.filterMovements(movements, { member: 'ada lovelace' })).toEqual([movements[0]]);
+            expect(AnalyticsService.filterMovements(movements, { member: 'm2' })).toEqual([movements[1]]);
+        });
+
+        it('should keep every move of the cards the member moved', () => {
+            const history = [
+                { ...move('card1', 'To Do', 'Doing', 0), memberId: 'm2', memberName: 'Grace' },
+                { ...move('card1', 'Doing', 'Done', 1), memberId: 'm1', memberName: 'Ada Lovelace' },
+                { ...move('card2', 'To Do', 'Doing', 0), memberId: 'm2', memberName: 'Grace' }
+            ];
+
+            expect(AnalyticsService.filterMovements(history, { member: 'm1' })).toEqual(history.slice(0, 2));
+        });
+
+        it('should match one of the labels and assignees', () => {
+            expect(AnalyticsService.filterMovements(movements, { label: 'urgent' })).toEqual([movements[0]]);
+            expect(AnalyticsService.filterMovements(movements, { label: 'Urg' })).toEqual([]);
+            expect(AnalyticsService.filterMovements(movements, { assignee: 'Grace' })).toEqual([movements[0]]);
+        });
+
+        it('should keep every movement without filters', () => {
+            expect(AnalyticsService.filterMovements(movements, {})).toEqual(movements);
+        });
+    });
+
+    describe('computeDashboard', () => {
+        it('should compute throughput, time in list and weekly cumulative flow', () => {
+            const dashboard = analyticsService.computeDashboard([
+                move('card1', 'To Do', 'In Progress', 0),
+                move('card1', 'In Progress', 'Done', 2)
+            ]);
+
+            expect(dashboard.throughput.rows[0]).toEqual(['2024-01-01', 1]);
+            expect(dashboard.timeInList.rows).toEqual([['In Progress', 1, 2, 2, 2, 2]]);
+            expect(dashboard.cumulativeFlow.columns).toEqual(['Date', 'To Do', 'In Progress', 'Done']);
+            expect(dashboard.cumulativeFlow.rows[0]).toEqual(['2024-01-07', 0, 0, 1]);
+        });
+    });
+
+    describe('computeCumulativeFlow', () => {
+        const history = [
+            move('card1', 'To Do', 'In Progress', 0),
+            move('card2', 'To Do', 'In Progress', 1),
+            move('card1', 'In Progress', 'Done', 2)
+        ];
+
+        it('should count cards per list at the end of every day', () => {
+            const { columns, rows } = analyticsService.computeCumulativeFlow(history, {
+                to: '2024-01-04'
+            });
+
+            expect(columns).toEqual(['Date', 'To Do', 'In Progress', 'Done']);
+            expect(rows).toEqual([
+                ['2024-01-01', 0, 1, 0],
+                ['2024-01-02', 0, 2, 0],
+                ['2024-01-03', 0, 1, 1],
+                ['2024-01-04', 0, 1, 1]
+            ]);
+        });
+
+        it('should honour the requested date range', () => {
+            const { rows } = analyticsService.computeCumulativeFlow(history, {
+                from: '2024-01-02',
+                to: '2024-01-02'
+            });
+
+            expect(rows).toEqual([['2024-01-02', 0, 2, 0]]);
+        });
+
+        it('should snapshot the end of every week', () => {
+            const { rows } = analyticsService.computeCumulativeFlow(history, {
+                from: '2023-12-30',
+                to: '2024-01-10',
+                interval: 'week'
+            });
+
+            expect(rows).toEqual([
+                ['2024-01-05', 0, 1, 1],
+                ['2024-01-10', 0, 1, 1]
+            ]);
+        });
+
+        it('should return no rows without history', () => {
+            expect(analyticsService.computeCumulativeFlow([])).toEqual({
+                columns: ['Date'],
+                rows: []
+            });
+        });
+
+        it('should reject unknown intervals and invalid dates', () => {
+            expect(() => analyticsService.computeCumulativeFlow(history, { interval: 'month' }))
+                .toThrow('Unknown interval "month"');
+            expect(() => analyticsService.computeCumulativeFlow(history, { from: 'yesterday' }))
+                .toThrow('Invalid date: yesterday');
+        });
+    });
+
+    describe('formatSummary', () => {
+        it('should print one line per list', () => {
+            const output = analyticsService.formatSummary([{
+                list: 'Review', cards: 2, median: DAY, p85: 2 * DAY, max: 2 * DAY
+            }]);
+
+            expect(output).toBe('Time in list:\n  Review: 2 cards, median 1d, p85 2d, max 2d');
+        });
+    });
+});
@@ -5,6 +5,7 @@ const CacheService = require('../cacheService');
 jest.mock('fs', () => ({
     promises: {
         mkdir: jest.fn(),
+        readdir: jest.fn(),
         readFile: jest.fn(),
         writeFile: jest.fn(),
         unlink: jest.fn()
@@ -201,4 +202,67 @@ describe('CacheService', () => {
             expect(consoleErrorSpy).toHaveBeenCalledWith('Cache refresh error:', expect.any(Error));
         });
     });
+
+    describe('maintenance', () => {
+        const HOUR = 60 * 60 * 1000;
+        let files;
+
+        beforeEach(() => {
+            const now = Date.now();
+            files = {
+                'fresh.json': JSON.stringify({ timestamp: now, value: 1 }),
+                'stale.json': JSON.stringify({ timestamp: now - 2 * HOUR, value: 2 }),
+                'expired.json': JSON.stringify({ timestamp: now - 25 * HOUR, value: 3 }),
+                'broken.json': 'invalid json',
+                'notes.txt': 'ignored'
+            };
+            fs.readdir.mockResolvedValue(Object.keys(files));
+            fs.readFile.mockImplementation(async filePath => files[path.basename(filePath)]);
+            fs.unlink.mockResolvedValue(undefined);
+        });
+
+        afterEach(() => {
+            fs.readFile.mockReset();
+        });
+
+        it('should summarize cache entries', async () => {
+            const stats = await cacheService.stats();
+
+            expect(stats).toEqual(expect.objectContaining({
+                path: '.cache',
+                entries: 4,
+                fresh: 1,
+                stale: 1,
+                expired: 2
+            }));
+            expect(stats.size).toBeGreaterThan(0);
+            expect(new Date(stats.oldest) < new Date(stats.newest)).toBe(true);
+        });
+
+        it('should report an empty cache when the directory is missing', async () => {
+            const enoentError = new Error('ENOENT: no such directory');
+            enoentError.code = 'ENOENT';
+            fs.readdir.mockRejectedValueOnce(enoentError);
+
+            const stats = await cacheService.stats();
+            expect(stats.entries).toBe(0);
+            expect(stats.oldest).toBeNull();
+        });
+
+        it('should clear every entry', async () => {
+            const deleted = await cacheService.clear();
+
+            expect(deleted).toBe(4);
+            expect(fs.unlink).toHaveBeenCalledTimes(4);
+            expect(fs.unlink).not.toHaveBeenCalledWith(path.join('.cache', 'notes.txt'));
+        });
+
+        it('should prune expired and unreadable entries only', async () => {
+            const deleted = await cacheService.prune();
+
+            expect(deleted).toBe(2);
+            expect(fs.unlink).toHaveBeenCalledWith(path.join('.cache', 'expired.json'));
+            expect(fs.unlink).toHaveBeenCalledWith(path.join('.cache', 'broken.json'));
+        });
+    });
 });
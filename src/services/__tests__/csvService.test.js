@@ -1,170 +1,390 @@
 const CsvService = require('../csvService');
-const fs = require('fs').promises;
-const csv = require('csv-parse');
-
-// Mock the csv-writer module
-jest.mock('csv-writer', () => ({
-    createObjectCsvWriter: jest.fn().mockReturnValue({
-        writeRecords: jest.fn().mockResolvedValue(undefined)
-    })
-}));
-
-jest.mock('fs', () => ({
-    promises: {
-        access: jest.fn(),
-        mkdir: jest.fn(),
-        readFile: jest.fn(),
-        writeFile: jest.fn(),
-        unlink: jest.fn()
-    }
-}));
-
-jest.mock('csv-parse', () => ({
-    parse: jest.fn()
-}));
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HEADER = 'Card Name,Old Board/List Name,New Board/List Name,Timestamp of Movement,' +
+    'Action ID,Card ID,Card Short Link,Old List ID,New List ID,Board ID,Board Name,Member ID,Moved By,Event';
+const LEGACY_HEADER = 'Card Name,Old Board/List Name,New Board/List Name,Timestamp of Movement';
+
+const movement = (actionId, timestamp, fields = {}) => ({
+    cardName: 'Test Card',
+    oldLocation: 'List 1',
+    newLocation: 'List 2',
+    timestamp,
+    actionId,
+    ...fields
+});
 
 describe('CsvService', () => {
+    let dir;
+    let outputPath;
     let csvService;
-    
+    let consoleSpies;
+
+    const readLines = () => fs.readFileSync(outputPath, 'utf8').trim().split('\n');
+    const readIndex = () => JSON.parse(fs.readFileSync(`${outputPath}.index`, 'utf8'));
+
     beforeEach(() => {
-        csvService = new CsvService('test.csv');
-        jest.clearAllMocks();
+        consoleSpies = ['log', 'error'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trello-tracker-csv-'));
+        outputPath = path.join(dir, 'card_movements.csv');
+        csvService = new CsvService(outputPath);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        consoleSpies.forEach(spy => spy.mockRestore());
     });
 
     describe('readExistingMovements', () => {
         it('should return empty array when file does not exist', async () => {
-            fs.access.mockRejectedValue(new Error('File not found'));
-            const result = await csvService.readExistingMovements();
-            expect(result).toEqual([]);
+            expect(await csvService.readExistingMovements()).toEqual([]);
         });
 
-        it('should handle CSV parse errors', async () => {
-            fs.access.mockResolvedValue(true);
-            fs.readFile.mockResolvedValue('invalid,csv,data');
-            csv.parse.mockImplementation((data, options, callback) => {
-                callback(new Error('Parse error'), null);
-            });
-            const result = await csvService.readExistingMovements();
-            expect(result).toEqual([]);
+        it('should fail on CSV parse errors rather than return nothing', async () => {
+            fs.writeFileSync(outputPath, `${LEGACY_HEADER}\n"Unclosed,List 1,List 2,2024-03-14\n`);
+
+            await expect(csvService.readExistingMovements())
+                .rejects.toThrow(`Cannot read CSV file ${outputPath}`);
+        });
+
+        it('should fail on files without the movement columns', async () => {
+            fs.writeFileSync(outputPath, 'Card Name,Date\nTest Card,2024-03-14\n');
+
+            await expect(csvService.readExistingMovements()).rejects.toThrow(
+                'the header has no "Old Board/List Name", "New Board/List Name", "Timestamp of Movement" column'
+            );
+        });
+
+        it('should read files written in another format', async () => {
+            fs.writeFileSync(outputPath, Buffer.concat([
+                Buffer.from([0xff, 0xfe]),
+                Buffer.from(`Card;Old Board/List Name;New Board/List Name;Timestamp of Movement;Notes\nTest Card;List 1;List 2;2024-03-14T12:00:00Z;x\n`, 'utf16le')
+            ]));
+            const service = new CsvService(outputPath, { titles: { cardName: 'Card' } });
+
+            const movements = await service.readExistingMovements();
+
+            expect(movements).toEqual([expect.objectContaining({ cardName: 'Test Card', timestamp: '2024-03-14T12:00:00Z' })]);
         });
 
         it('should parse valid CSV data correctly', async () => {
-            fs.access.mockResolvedValue(true);
-            fs.readFile.mockResolvedValue('valid,csv,data');
-            const mockData = [{
-                'Card Name': 'Test Card',
-                'Old Board/List Name': 'List 1',
-                'New Board/List Name': 'List 2',
-                'Timestamp of Movement': '2024-03-14T12:00:00Z'
-            }];
-            csv.parse.mockImplementation((data, options, callback) => {
-                callback(null, mockData);
-            });
+            fs.writeFileSync(outputPath, `${LEGACY_HEADER}\nTest Card,List 1,List 2,2024-03-14T12:00:00Z\n`);
 
-            const result = await csvService.readExistingMovements();
-            expect(result).toEqual([{
+            expect(await csvService.readExistingMovements()).toEqual([{
                 cardName: 'Test Card',
                 oldLocation: 'List 1',
                 newLocation: 'List 2',
-                timestamp: '2024-03-14T12:00:00Z'
+                timestamp: '2024-03-14T12:00:00Z',
+                actionId: '',
+                cardId: '',
+                cardShortLink: '',
+                listBeforeId: '',
+                listAfterId: '',
+                boardId: '',
+                boardName: '',
+                memberId: '',
+                memberName: '',
+                labels: '',
+                members: '',
+                due: '',
+                eventType: '',
+                transition: ''
             }]);
         });
 
         it('should handle read file errors', async () => {
-            fs.access.mockResolvedValue(true);
-            fs.readFile.mockRejectedValue(new Error('Read error'));
-            
-            const result = await csvService.readExistingMovements();
-            expect(result).toEqual([]);
+            fs.mkdirSync(outputPath);
+
+            await expect(csvService.readExistingMovements()).rejects.toThrow('EISDIR');
         });
     });
 
     describe('writeMovements', () => {
         it('should handle empty movements array', async () => {
             await csvService.writeMovements([]);
-            const csvWriter = require('csv-writer').createObjectCsvWriter;
-            expect(csvWriter().writeRecords).not.toHaveBeenCalled();
+            expect(fs.existsSync(outputPath)).toBe(false);
         });
 
         it('should create directory if it doesn\'t exist', async () => {
-            fs.access.mockRejectedValue(new Error('Directory not found'));
-            
-            const movements = [{
-                cardName: 'Test Card',
-                oldLocation: 'List 1',
-                newLocation: 'List 2',
-                timestamp: '2024-03-14T12:00:00Z'
-            }];
+            const service = new CsvService(path.join(dir, 'nested', 'card_movements.csv'));
+
+            await service.writeMovements([movement('action1', '2024-03-14T12:00:00.000Z')]);
 
-            await csvService.writeMovements(movements);
-            
-            expect(fs.mkdir).toHaveBeenCalledWith(expect.any(String), { recursive: true });
+            expect(fs.existsSync(path.join(dir, 'nested', 'card_movements.csv'))).toBe(true);
         });
 
         it('should handle invalid input types', async () => {
             await expect(csvService.writeMovements('not an array'))
                 .rejects.toThrow('Movements must be an array');
-            
+
             await expect(csvService.writeMovements(null))
                 .rejects.toThrow('Movements must be an array');
         });
 
-        it('should handle CSV writer initialization errors', async () => {
-            const csvWriter = require('csv-writer').createObjectCsvWriter;
-            csvWriter.mockImplementationOnce(() => {
-                throw new Error('Writer initialization failed');
+        it('should fail when the file cannot be written', async () => {
+            const service = new CsvService(path.join(dir, 'missing', 'card_movements.csv'), { createDirectory: false });
+
+            await expect(service.writeMovements([movement('action1', '2024-03-14T12:00:00.000Z')]))
+                .rejects.toThrow('ENOENT');
+        });
+
+        it('should deduplicate movements before writing', async () => {
+            const duplicate = movement('', '2024-03-14T12:00:00Z');
+
+            await csvService.writeMovements([duplicate, { ...duplicate }]);
+
+            expect(readLines()).toEqual([HEADER, 'Test Card,List 1,List 2,2024-03-14T12:00:00Z,,,,,,,,,,']);
+        });
+
+        it('should keep the event type of card events with the default columns', async () => {
+            await csvService.writeMovements([
+                movement('action1', '2024-03-14T12:00:00.000Z', { eventType: 'move' }),
+                movement('action2', '2024-03-15T12:00:00.000Z', { oldLocation: 'List 2', eventType: 'archive' })
+            ]);
+
+            const movements = await csvService.readExistingMovements();
+            expect(movements.map(({ actionId, eventType }) => [actionId, eventType]))
+                .toEqual([['action1', 'move'], ['action2', 'archive']]);
+        });
+
+        it('should deduplicate by action ID even when card names change', async () => {
+            await csvService.writeMovements([movement('action1', '2024-03-14T12:00:00.000Z', { cardName: 'Old Name' })]);
+            await csvService.writeMovements([movement('action1', '2024-03-14T12:00:00.000Z', { cardName: 'New Name' })]);
+
+            const movements = await csvService.readExistingMovements();
+            expect(movements.map(({ cardName }) => cardName)).toEqual(['Old Name']);
+        });
+
+        it('should keep cards with the same name apart', async () => {
+            await csvService.writeMovements([
+                movement('action1', '2024-03-14T12:00:00.000Z', { cardName: 'Same Name', cardId: 'card1' }),
+                movement('action2', '2024-03-14T12:00:00.000Z', { cardName: 'Same Name', cardId: 'card2' })
+            ]);
+
+            const movements = await csvService.readExistingMovements();
+            expect(movements.map(({ cardId }) => cardId)).toEqual(['card1', 'card2']);
+        });
+
+        it('should append new rows without rewriting the existing ones', async () => {
+            await csvService.writeMovements([movement('action2', '2024-03-15T12:00:00.000Z')]);
+            const before = fs.readFileSync(outputPath, 'utf8');
+
+            await csvService.writeMovements([
+                movement('action3', '2024-03-16T12:00:00.000Z'),
+                movement('action1', '2024-03-14T12:00:00.000Z'),
+                movement('action2', '2024-03-15T12:00:00.000Z')
+            ]);
+
+            const after = fs.readFileSync(outputPath, 'utf8');
+            expect(after.startsWith(before)).toBe(true);
+            const movements = await csvService.readExistingMovements();
+            expect(movements.map(({ actionId }) => actionId)).toEqual(['action2', 'action1', 'action3']);
+            expect(readIndex()).toEqual({
+                size: Buffer.byteLength(after),
+                format: csvService.format,
+                keys: ['action2', 'action1', 'action3'],
+                lastMoves: { 'Test Card': '2024-03-16T12:00:00.000Z' }
             });
+        });
 
-            const movements = [{
-                cardName: 'Test Card',
-                oldLocation: 'List 1',
-                newLocation: 'List 2',
-                timestamp: '2024-03-14T12:00:00Z'
-            }];
+        it('should rebuild a missing or outdated index from the file', async () => {
+            await csvService.writeMovements([movement('action1', '2024-03-14T12:00:00.000Z')]);
+            fs.appendFileSync(outputPath, 'Edited Card,List 1,List 2,2024-03-15T12:00:00.000Z,action2,,,,,,,,,\n');
+
+            await csvService.writeMovements([
+                movement('action2', '2024-03-15T12:00:00.000Z'),
+                movement('action3', '2024-03-16T12:00:00.000Z')
+            ]);
 
-            await expect(csvService.writeMovements(movements))
-                .rejects.toThrow('Writer initialization failed');
+            expect(readIndex().keys).toEqual(['action1', 'action2', 'action3']);
+
+            fs.unlinkSync(`${outputPath}.index`);
+            await csvService.writeMovements([movement('action3', '2024-03-16T12:00:00.000Z')]);
+
+            expect(readLines()).toHaveLength(4);
+            expect(readIndex().keys).toEqual(['action1', 'action2', 'action3']);
         });
 
-        it('should deduplicate movements before writing', async () => {
-            // Mock readExistingMovements to return empty array
-            jest.spyOn(csvService, 'readExistingMovements').mockResolvedValue([]);
-            
-            const movements = [
-                {
-                    cardName: 'Test Card',
-                    oldLocation: 'List 1',
-                    newLocation: 'List 2',
-                    timestamp: '2024-03-14T12:00:00Z'
-                },
-                {
-                    cardName: 'Test Card',
-                    oldLocation: 'List 1',
-                    newLocation: 'List 2',
-                    timestamp: '2024-03-14T12:00:00Z'
-                }
-            ];
-
-            await csvService.writeMovements(movements);
-            
-            const csvWriter = require('csv-writer').createObjectCsvWriter;
-            
-            // First, verify the write was called with the correct data
-            expect(csvWriter().writeRecords).toHaveBeenCalledWith(
-                expect.arrayContaining([
-                    expect.objectContaining({
-                        cardName: 'Test Card',
-                        oldLocation: 'List 1',
-                        newLocation: 'List 2',
-                        timestamp: '2024-03-14T12:00:00Z'
-                    })
-                ])
+        it('should drop the partial rows of an interrupted append', async () => {
+            await csvService.writeMovements([movement('action1', '2024-03-14T12:00:00.000Z')]);
+            const before = fs.readFileSync(outputPath, 'utf8');
+            fs.appendFileSync(outputPath, 'Test Card,List 1,List 2,2024-03-15T12:00:00.000Z,act');
+
+            await csvService.writeMovements([movement('action2', '2024-03-15T12:00:00.000Z')]);
+
+            expect(fs.readFileSync(outputPath, 'utf8')).toBe(
+                `${before}Test Card,List 1,List 2,2024-03-15T12:00:00.000Z,action2,,,,,,,,,\n`
             );
-            
-            // Then verify only one record was written
-            const writtenRecords = csvWriter().writeRecords.mock.calls[0][0];
-            expect(writtenRecords).toHaveLength(1);
-            expect(new Set(writtenRecords.map(JSON.stringify)).size).toBe(1);
+        });
+
+        it('should recover from an append that failed halfway on the next write', async () => {
+            await csvService.writeMovements([movement('action1', '2024-03-14T12:00:00.000Z')]);
+            const before = fs.readFileSync(outputPath, 'utf8');
+
+            // The run dies after writing part of the new rows, before the index is updated
+            const append = jest.spyOn(fs.promises, 'appendFile').mockImplementationOnce(async (file, data, encoding) => {
+                fs.appendFileSync(file, data.slice(0, data.length - 5), encoding);
+                throw new Error('ENOSPC: no space left on device');
+            });
+            await expect(csvService.writeMovements([
+                movement('action2', '2024-03-15T12:00:00.000Z'),
+                movement('action3', '2024-03-16T12:00:00.000Z')
+            ])).rejects.toThrow('ENOSPC');
+            append.mockRestore();
+
+            await csvService.writeMovements([
+                movement('action2', '2024-03-15T12:00:00.000Z'),
+                movement('action3', '2024-03-16T12:00:00.000Z')
+            ]);
+
+            expect(readLines()).toEqual([
+                ...before.trim().split('\n'),
+                'Test Card,List 1,List 2,2024-03-15T12:00:00.000Z,action2,,,,,,,,,',
+                'Test Card,List 1,List 2,2024-03-16T12:00:00.000Z,action3,,,,,,,,,'
+            ]);
+            expect(readIndex().keys).toEqual(['action1', 'action2', 'action3']);
+        });
+
+        it('should keep the complete rows of an append whose index was not updated', async () => {
+            await csvService.writeMovements([movement('action1', '2024-03-14T12:00:00.000Z')]);
+            fs.appendFileSync(outputPath, 'Test Card,List 1,List 2,2024-03-15T12:00:00.000Z,action2,,,,,,,,,\n');
+
+            await csvService.writeMovements([movement('action2', '2024-03-15T12:00:00.000Z')]);
+
+            expect(readLines()).toHaveLength(3);
+            expect(readIndex().keys).toEqual(['action1', 'action2']);
+        });
+
+        it('should upgrade a four-column file in place', async () => {
+            fs.writeFileSync(outputPath, `${LEGACY_HEADER}\nTest Card,List 1,List 2,2024-03-14T12:00:00.000Z\n`);
+
+            await csvService.writeMovements([
+                movement('action1', '2024-03-14T12:00:00.000Z', { cardId: 'card1', boardId: 'board1' })
+            ]);
+
+            expect(readLines()).toEqual([HEADER, 'Test Card,List 1,List 2,2024-03-14T12:00:00.000Z,action1,card1,,,,board1,,,,']);
+            expect(fs.existsSync(`${outputPath}.tmp`)).toBe(false);
+        });
+
+        it('should upgrade rows recorded without identifiers', async () => {
+            await csvService.writeMovements([
+                movement('', '2024-03-14T12:00:00.000Z'),
+                movement('action2', '2024-03-15T12:00:00.000Z')
+            ]);
+
+            await csvService.writeMovements([movement('action1', '2024-03-14T12:00:00.000Z', { cardId: 'card1' })]);
+
+            const movements = await csvService.readExistingMovements();
+            expect(movements.map(({ actionId, cardId }) => [actionId, cardId])).toEqual([
+                ['action1', 'card1'],
+                ['action2', '']
+            ]);
+            expect(readIndex().keys).toEqual(['action1', 'action2']);
+        });
+
+        it('should rewrite a four-column file even without new movements', async () => {
+            fs.writeFileSync(outputPath, `${LEGACY_HEADER}\nTest Card,List 1,List 2,2024-03-14T12:00:00.000Z\n`);
+
+            await csvService.writeMovements([]);
+
+            expect(readLines()).toEqual([HEADER, 'Test Card,List 1,List 2,2024-03-14T12:00:00.000Z,,,,,,,,,,']);
+        });
+    });
+
+    describe('schema options', () => {
+        it('should write the configured columns, titles, delimiter and byte order mark', async () => {
+            const service = new CsvService(outputPath, {
+                columns: ['board', 'duration'],
+                titles: { cardName: 'Card', durationInPreviousList: 'Days' },
+                delimiter: ';',
+                bom: true
+            });
+
+            await service.writeMovements([
+                movement('action1', '2024-03-14T12:00:00.000Z', { cardId: 'card1', boardName: 'Board' }),
+                movement('action2', '2024-03-15T00:00:00.000Z', { cardId: 'card1', boardName: 'Board' })
+            ]);
+            await service.writeMovements([movement('action3', '2024-03-17T00:00:00.000Z', { cardId: 'card1', boardName: 'Board' })]);
+
+            expect(fs.readFileSync(outputPath, 'utf8').split('\n')).toEqual([
+                '\ufeffCard;Old Board/List Name;New Board/List Name;Timestamp of Movement;Board Name;Days',
+                'Test Card;List 1;List 2;2024-03-14T12:00:00.000Z;Board;',
+                'Test Card;List 1;List 2;2024-03-15T00:00:00.000Z;Board;0.5',
+                'Test Card;List 1;List 2;2024-03-17T00:00:00.000Z;Board;2',
+                ''
+            ]);
+        });
+
+        it('should deduplicate on the descriptive fields without the ids columns', async () => {
+            const service = new CsvService(outputPath, { columns: [] });
+
+            await service.writeMovements([movement('action1', '2024-03-14T12:00:00.000Z')]);
+            await service.writeMovements([movement('action1', '2024-03-14T12:00:00.000Z')]);
+
+            expect(readLines()).toEqual([LEGACY_HEADER, 'Test Card,List 1,List 2,2024-03-14T12:00:00.000Z']);
+        });
+
+        it('should migrate a file when the configured format changes', async () => {
+            await csvService.writeMovements([movement('action1', '2024-03-14T12:00:00.000Z')]);
+            const service = new CsvService(outputPath, { columns: ['ids'], delimiter: ';', encoding: 'utf16le', bom: true });
+
+            await service.writeMovements([movement('action2', '2024-03-15T12:00:00.000Z')]);
+
+            const content = fs.readFileSync(outputPath);
+            expect(content.subarray(0, 2)).toEqual(Buffer.from([0xff, 0xfe]));
+            expect(content.subarray(2).toString('utf16le').split('\n')[0]).toBe(HEADER.split(',').slice(0, -4).join(';'));
+            expect((await service.readExistingMovements()).map(({ actionId }) => actionId)).toEqual(['action1', 'action2']);
+            expect(readIndex().format).toEqual(service.format);
+
+            // The migrated file is appended to from then on
+            await service.writeMovements([movement('action3', '2024-03-16T12:00:00.000Z')]);
+            expect((await new CsvService(outputPath).readExistingMovements())).toHaveLength(3);
+        });
+
+        it('should recognize an edited file by its header and migrate it', async () => {
+            fs.writeFileSync(outputPath, 'Card Name\tOld Board/List Name\tNew Board/List Name\tTimestamp of Movement\tAction ID\tNotes\n' +
+                'Test Card\tList 1\tList 2\t2024-03-14T12:00:00.000Z\taction1\tchecked\n');
+
+            await csvService.writeMovements([movement('action1', '2024-03-14T12:00:00.000Z')]);
+
+            expect(readLines()).toEqual([HEADER, 'Test Card,List 1,List 2,2024-03-14T12:00:00.000Z,action1,,,,,,,,,']);
+            expect(console.error).toHaveBeenCalledWith('Dropped unknown CSV columns: Notes');
+        });
+
+        it('should reject unknown columns', () => {
+            expect(() => new CsvService(outputPath, { columns: ['mood'] })).toThrow('Unknown CSV column "mood"');
+        });
+    });
+
+    describe('compact', () => {
+        it('should sort the file and drop duplicate rows', async () => {
+            fs.writeFileSync(outputPath, [
+                HEADER,
+                'Test Card,List 1,List 2,2024-03-16T12:00:00.000Z,action3,,,,,,,,,',
+                'Test Card,List 1,List 2,2024-03-14T12:00:00.000Z,action1,,,,,,,,,',
+                'Test Card,List 1,List 2,2024-03-16T12:00:00.000Z,action3,,,,,,,,,'
+            ].join('\n'));
+
+            expect(await csvService.compact()).toEqual({ rows: 2, removed: 1 });
+
+            const movements = await csvService.readExistingMovements();
+            expect(movements.map(({ actionId }) => actionId)).toEqual(['action1', 'action3']);
+            expect(readIndex().keys).toEqual(['action1', 'action3']);
+        });
+
+        it('should fail when the file does not exist', async () => {
+            await expect(csvService.compact()).rejects.toThrow(`CSV file ${outputPath} does not exist`);
+        });
+    });
+
+    describe('writeReport', () => {
+        it('should write the report next to the movements file', async () => {
+            const reportPath = await csvService.writeReport('metrics', ['Card Name', 'Lead Time (days)'], [['Card', 2]]);
+
+            expect(reportPath).toBe(path.join(dir, 'card_movements.metrics.csv'));
+            expect(fs.readFileSync(reportPath, 'utf8')).toBe('Card Name,Lead Time (days)\nCard,2\n');
         });
     });
 });
@@ -0,0 +1,58 @@
+const FileIndex = require('../fileIndex');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('FileIndex', () => {
+    let dir;
+    let filePath;
+    let rebuild;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trello-tracker-index-'));
+        filePath = path.join(dir, 'movements.ndjson');
+        rebuild = jest.fn(async size => ({ size, keys: ['rebuilt'] }));
+        jest.spyOn(console, 'log').mockImplementation();
+        jest.spyOn(console, 'error').mockImplementation();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should have no index without a file', async () => {
+        expect(await new FileIndex(filePath, { label: 'JSON' }).load(rebuild)).toBeNull();
+        expect(rebuild).not.toHaveBeenCalled();
+    });
+
+    it('should use a stored index matching the file', async () => {
+        fs.writeFileSync(filePath, 'a\n');
+        const fileIndex = new FileIndex(filePath, { label: 'JSON' });
+        await fileIndex.write({ size: 2, keys: ['a'] });
+
+        expect(await fileIndex.load(rebuild)).toEqual({ size: 2, keys: ['a'] });
+        expect(rebuild).not.toHaveBeenCalled();
+    });
+
+    it('should cut off a partial append', async () => {
+        fs.writeFileSync(filePath, 'a\nb');
+        const fileIndex = new FileIndex(filePath, { label: 'JSON' });
+        await fileIndex.write({ size: 2, keys: ['a'] });
+
+        expect(await fileIndex.load(rebuild)).toEqual({ size: 2, keys: ['a'] });
+        expect(fs.readFileSync(filePath, 'utf8')).toBe('a\n');
+    });
+
+    it('should rebuild and store a missing, invalid or outdated index', async () => {
+        fs.writeFileSync(filePath, 'a\nb\n');
+        const fileIndex = new FileIndex(filePath, { label: 'CSV', isValid: index => Boolean(index.format) });
+
+        expect(await fileIndex.load(rebuild)).toEqual({ size: 4, keys: ['rebuilt'] });
+
+        await fileIndex.write({ size: 4, keys: ['a', 'b'] });
+        expect(await fileIndex.load(rebuild)).toEqual({ size: 4, keys: ['rebuilt'] });
+        expect(rebuild).toHaveBeenLastCalledWith(4, null);
+        expect(JSON.parse(fs.readFileSync(fileIndex.path, 'utf8'))).toEqual({ size: 4, keys: ['rebuilt'] });
+    });
+});
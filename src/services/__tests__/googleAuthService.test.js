@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const GoogleAuthService = require('../googleAuthService');
+
+describe('GoogleAuthService', () => {
+    let dir;
+    let tokenServer;
+    let tokenRequests;
+    let revokeRequests;
+    let tokenResponse;
+    let service;
+    let consoleErrorSpy;
+
+    const readBody = req => new Promise(resolve => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => resolve(new URLSearchParams(body)));
+    });
+
+    beforeEach(async () => {
+        consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trello-tracker-auth-'));
+        fs.writeFileSync(path.join(dir, 'client_secret.json'), JSON.stringify({
+            installed: { client_id: 'client-id', client_secret: 'client-secret' }
+        }));
+
+        tokenRequests = [];
+        revokeRequests = [];
+        tokenResponse = { access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 3600, token_type: 'Bearer' };
+
+        // Stands in for Google's token and revoke endpoints
+        tokenServer = http.createServer(async (req, res) => {
+            const params = await readBody(req);
+            if (req.url.startsWith('/revoke')) {
+                revokeRequests.push(new URL(req.url, 'http://127.0.0.1').searchParams.get('token'));
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end('{}');
+                return;
+            }
+
+            tokenRequests.push(Object.fromEntries(params));
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(tokenResponse));
+        });
+        await new Promise(resolve => tokenServer.listen(0, '127.0.0.1', resolve));
+        const base = `http://127.0.0.1:${tokenServer.address().port}`;
+
+        service = new GoogleAuthService({
+            clientSecretsPath: path.join(dir, 'client_secret.json'),
+            tokenPath: path.join(dir, 'token.json'),
+            loginTimeout: 5000,
+            endpoints: { oauth2TokenUrl: `${base}/token`, oauth2RevokeUrl: `${base}/revoke` }
+        });
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => tokenServer.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+        consoleErrorSpy.mockRestore();
+    });
+
+    const readStoredTokens = () => JSON.parse(fs.readFileSync(path.join(dir, 'token.json'), 'utf8'));
+
+    /**
+     * Play the browser: follow the consent URL back to the loopback server
+     */
+    const consent = query => url => {
+        const params = new URL(url).searchParams;
+        const redirect = new URL(params.get('redirect_uri'));
+        redirect.searchParams.set('state', params.get('state'));
+        Object.entries(query).forEach(([key, value]) => redirect.searchParams.set(key, value));
+        http.get(redirect, res => res.resume());
+        return params;
+    };
+
+    it('should exchange the code from the loopback redirect for tokens and store them', async () => {
+        let authParams;
+        const answer = consent({ code: 'auth-code' });
+
+        const tokens = await service.login({ onAuthUrl: url => { authParams = answer(url); } });
+
+        expect(authParams.get('client_id')).toBe('client-id');
+        expect(authParams.get('access_type')).toBe('offline');
+        expect(authParams.get('code_challenge_method')).toBe('S256');
+        expect(authParams.get('redirect_uri')).toMatch(/^http:\/\/127\.0\.0\.1:\d+$/);
+
+        expect(tokenRequests).toHaveLength(1);
+        expect(tokenRequests[0]).toMatchObject({
+            grant_type: 'authorization_code',
+            code: 'auth-code',
+            client_id: 'client-id',
+            client_secret: 'client-secret',
+            redirect_uri: authParams.get('redirect_uri')
+        });
+        expect(tokenRequests[0].code_verifier).toEqual(expect.any(String));
+
+        expect(tokens.refresh_token).toBe('refresh-1');
+        expect(readStoredTokens()).toMatchObject({ access_token: 'access-1', refresh_token: 'refresh-1' });
+    });
+
+    it('should fail when the consent is denied', async () => {
+        await expect(service.login({ onAuthUrl: consent({ error: 'access_denied' }) }))
+            .rejects.toThrow('Google sign-in failed: access_denied');
+        expect(tokenRequests).toHaveLength(0);
+        expect(fs.existsSync(path.join(dir, 'token.json'))).toBe(false);
+    });
+
+    it('should fail without a refresh token', async () => {
+        delete tokenResponse.refresh_token;
+
+        await expect(service.login({ onAuthUrl: consent({ code: 'auth-code' }) }))
+            .rejects.toThrow('Google did not return a refresh token');
+    });
+
+    it('should refresh the access token and store it', async () => {
+        fs.writeFileSync(path.join(dir, 'token.json'), JSON.stringify({
+            access_token: 'expired', refresh_token: 'refresh-1', expiry_date: Date.now() - 1000
+        }));
+        tokenResponse = { access_token: 'access-2', expires_in: 3600, token_type: 'Bearer' };
+
+        const client = await service.getClient();
+        const { token } = await client.getAccessToken();
+        // The refreshed tokens are written without being awaited
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(token).toBe('access-2');
+        expect(tokenRequests[0]).toMatchObject({ grant_type: 'refresh_token', refresh_token: 'refresh-1' });
+        expect(readStoredTokens()).toMatchObject({ access_token: 'access-2', refresh_token: 'refresh-1' });
+    });
+
+    it('should require a login before creating a client', async () => {
+        await expect(service.getClient()).rejects.toThrow('Not signed in to Google, run "sheets login" first');
+    });
+
+    it('should revoke and delete the stored tokens on logout', async () => {
+        fs.writeFileSync(path.join(dir, 'token.json'), JSON.stringify({ access_token: 'access-1', refresh_token: 'refresh-1' }));
+
+        expect(await service.logout()).toBe(true);
+        expect(revokeRequests).toEqual(['refresh-1']);
+        expect(fs.existsSync(path.join(dir, 'token.json'))).toBe(false);
+
+        expect(await service.logout()).toBe(false);
+    });
+});
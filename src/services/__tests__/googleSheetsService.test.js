@@ -11,6 +11,12 @@ jest.mock('googleapis', () => ({
     }
 }));
 
+const HEADER = [
+    'Card Name', 'Old Board/List Name', 'New Board/List Name', 'Timestamp of Movement',
+    'Action ID', 'Card ID', 'Card Short Link', 'Old List ID', 'New List ID', 'Board ID', 'Board Name',
+    'Member ID', 'Moved By', 'Labels', 'Card Members', 'Due Date', 'Event', 'Transition'
+];
+
 describe('GoogleSheetsService', () => {
     let service;
     let mockAuth;
@@ -30,9 +36,20 @@ describe('GoogleSheetsService', () => {
             spreadsheets: {
                 values: {
                     get: jest.fn(),
-                    clear: jest.fn().mockResolvedValue({}),
+                    append: jest.fn().mockResolvedValue({}),
                     update: jest.fn().mockResolvedValue({})
-                }
+                },
+                get: jest.fn().mockResolvedValue({
+                    data: { sheets: [{ properties: { sheetId: 0, title: 'Sheet1', gridProperties: { rowCount: 1000, columnCount: 26 } } }] }
+                }),
+                // Added tabs get sheet ID 99
+                batchUpdate: jest.fn().mockImplementation(async ({ resource }) => ({
+                    data: {
+                        replies: resource.requests.map(request => (request.addSheet
+                            ? { addSheet: { properties: { sheetId: 99, ...request.addSheet.properties } } }
+                            : {}))
+                    }
+                }))
             }
         };
 
@@ -71,6 +88,27 @@ describe('GoogleSheetsService', () => {
             await expect(service.initialize()).rejects.toThrow('Google Sheets initialization failed');
             expect(consoleErrorSpy).toHaveBeenCalled();
         });
+
+        it('should use the signed-in user in oauth mode', async () => {
+            const authService = { getClient: jest.fn().mockResolvedValue('user-client') };
+            service = new GoogleSheetsService({ auth: 'oauth', authService });
+
+            await service.initialize();
+
+            expect(google.auth.GoogleAuth).not.toHaveBeenCalled();
+            expect(google.sheets).toHaveBeenCalledWith({ version: 'v4', auth: 'user-client' });
+        });
+
+        it('should tell to sign in when nobody is signed in', async () => {
+            const authService = { getClient: jest.fn().mockRejectedValue(new Error('Not signed in to Google, run "sheets login" first')) };
+            service = new GoogleSheetsService({ auth: 'oauth', authService });
+
+            await expect(service.initialize()).rejects.toThrow('run "sheets login" first');
+        });
+
+        it('should reject unknown auth modes', () => {
+            expect(() => new GoogleSheetsService({ auth: 'api-key' })).toThrow('Auth mode must be one of');
+        });
     });
 
     describe('readExistingMovements', () => {
@@ -93,21 +131,42 @@ describe('GoogleSheetsService', () => {
             const result = await service.readExistingMovements('test-sheet-id');
 
             expect(result).toEqual([
-                {
+                expect.objectContaining({
                     cardName: 'Card 1',
                     oldLocation: 'List A',
                     newLocation: 'List B',
-                    timestamp: '2024-01-01'
-                },
-                {
+                    timestamp: '2024-01-01',
+                    actionId: ''
+                }),
+                expect.objectContaining({
                     cardName: 'Card 2',
                     oldLocation: 'List B',
                     newLocation: 'List C',
-                    timestamp: '2024-01-02'
-                }
+                    timestamp: '2024-01-02',
+                    actionId: ''
+                })
             ]);
         });
 
+        it('should read the first tab whatever its name, with date timestamps', async () => {
+            mockSheets.spreadsheets.get.mockResolvedValue({
+                data: { sheets: [{ properties: { sheetId: 0, title: 'Hoja 1' } }] }
+            });
+            mockSheets.spreadsheets.values.get.mockResolvedValue({
+                data: { values: [HEADER, ['Card', 'A', 'B', 45292.5, 'action1', 'card1']] }
+            });
+
+            const result = await service.readExistingMovements('test-sheet-id');
+
+            expect(mockSheets.spreadsheets.values.get).toHaveBeenCalledWith(expect.objectContaining({
+                range: "'Hoja 1'"
+            }));
+            expect(result[0]).toEqual(expect.objectContaining({
+                timestamp: '2024-01-01T12:00:00.000Z',
+                actionId: 'action1'
+            }));
+        });
+
         it('should handle empty sheets', async () => {
             mockSheets.spreadsheets.values.get.mockResolvedValue({ data: { values: [] } });
             const result = await service.readExistingMovements('test-sheet-id');
@@ -125,9 +184,28 @@ describe('GoogleSheetsService', () => {
             await expect(service.readExistingMovements('test-sheet-id'))
                 .rejects.toThrow('Failed to read from Google Sheet: API Error');
         });
+
+        it('should let the next write to the tab reuse the read once', async () => {
+            mockSheets.spreadsheets.values.get.mockResolvedValue({
+                data: { values: [HEADER, ['Card 1', 'A', 'B', 45292, 'action1']] }
+            });
+            const movement = actionId => ({ cardName: 'Card 2', oldLocation: 'B', newLocation: 'C', timestamp: '2024-01-02', actionId });
+
+            await service.readExistingMovements('test-sheet-id');
+            await service.writeMovements('test-sheet-id', [movement('action2')]);
+
+            expect(mockSheets.spreadsheets.values.get).toHaveBeenCalledTimes(1);
+            expect(mockSheets.spreadsheets.get).toHaveBeenCalledTimes(1);
+
+            await service.writeMovements('test-sheet-id', [movement('action3')]);
+
+            expect(mockSheets.spreadsheets.values.get).toHaveBeenCalledTimes(2);
+        });
     });
 
     describe('writeMovements', () => {
+        const existingTab = { sheetId: 0, title: 'Sheet1', gridProperties: { rowCount: 1000, columnCount: 26 } };
+
         beforeEach(async () => {
             await service.initialize();
         });
@@ -137,40 +215,53 @@ describe('GoogleSheetsService', () => {
             await expect(service.writeMovements('sheet-id')).rejects.toThrow('Movements must be an array');
         });
 
-        it('should write new movements and skip existing ones', async () => {
-            // Mock existing movements
+        it('should append only the new movements', async () => {
             mockSheets.spreadsheets.values.get.mockResolvedValue({
                 data: {
                     values: [
-                        ['Card Name', 'Old Board/List Name', 'New Board/List Name', 'Timestamp'],
-                        ['Existing Card', 'List A', 'List B', '2024-01-01']
+                        HEADER,
+                        ['Existing Card', 'List A', 'List B', '2024-01-01', 'action1']
                     ]
                 }
             });
 
-            const newMovements = [
-                {
-                    cardName: 'New Card',
-                    oldLocation: 'List X',
-                    newLocation: 'List Y',
-                    timestamp: '2024-01-02'
-                }
-            ];
-
-            await service.writeMovements('test-sheet-id', newMovements);
+            await service.writeMovements('test-sheet-id', [
+                { cardName: 'Later', oldLocation: 'X', newLocation: 'Y', timestamp: '2024-01-03', actionId: 'action3' },
+                { cardName: 'New Card', oldLocation: 'List X', newLocation: 'List Y', timestamp: '2024-01-02', actionId: 'action2' }
+            ]);
 
-            expect(mockSheets.spreadsheets.values.update).toHaveBeenCalledWith({
+            expect(mockSheets.spreadsheets.values.append).toHaveBeenCalledWith({
                 spreadsheetId: 'test-sheet-id',
-                range: 'Sheet1!A1',
+                range: 'Sheet1!A:R',
                 valueInputOption: 'RAW',
+                insertDataOption: 'INSERT_ROWS',
                 resource: {
-                    values: expect.arrayContaining([
-                        ['Card Name', 'Old Board/List Name', 'New Board/List Name', 'Timestamp of Movement'],
-                        ['Existing Card', 'List A', 'List B', '2024-01-01'],
-                        ['New Card', 'List X', 'List Y', '2024-01-02']
-                    ])
+                    values: [
+                        ['New Card', 'List X', 'List Y', 45293, 'action2', '', '', '', '', '', '', '', '', '', '', '', '', ''],
+                        ['Later', 'X', 'Y', 45294, 'action3', '', '', '', '', '', '', '', '', '', '', '', '', '']
+                    ]
                 }
             });
+            expect(mockSheets.spreadsheets.values.update).not.toHaveBeenCalled();
+            expect(mockSheets.spreadsheets.batchUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should append in chunks', async () => {
+            const chunked = new GoogleSheetsService({ chunkSize: 2 });
+            await chunked.initialize();
+            mockSheets.spreadsheets.values.get.mockResolvedValue({ data: { values: [HEADER] } });
+
+            await chunked.writeMovements('test-sheet-id', ['a1', 'a2', 'a3', 'a4', 'a5'].map((actionId, index) => ({
+                cardName: 'Card',
+                oldLocation: 'A',
+                newLocation: 'B',
+                timestamp: `2024-01-0${index + 1}`,
+                actionId
+            })));
+
+            expect(mockSheets.spreadsheets.values.append.mock.calls
+                .map(([request]) => request.resource.values.map(row => row[4])))
+                .toEqual([['a1', 'a2'], ['a3', 'a4'], ['a5']]);
         });
 
         it('should handle case when no new movements need to be written', async () => {
@@ -184,7 +275,7 @@ describe('GoogleSheetsService', () => {
             mockSheets.spreadsheets.values.get.mockResolvedValue({
                 data: {
                     values: [
-                        ['Card Name', 'Old Board/List Name', 'New Board/List Name', 'Timestamp'],
+                        HEADER,
                         ['Card', 'List A', 'List B', '2024-01-01']
                     ]
                 }
@@ -192,30 +283,390 @@ describe('GoogleSheetsService', () => {
 
             await service.writeMovements('test-sheet-id', [existingMovement]);
 
-            expect(mockSheets.spreadsheets.values.clear).not.toHaveBeenCalled();
+            expect(mockSheets.spreadsheets.values.append).not.toHaveBeenCalled();
             expect(mockSheets.spreadsheets.values.update).not.toHaveBeenCalled();
         });
 
         it('should handle API errors during write', async () => {
-            // Mock successful read of existing movements first
-            mockSheets.spreadsheets.values.get.mockResolvedValueOnce({
+            mockSheets.spreadsheets.values.get.mockResolvedValueOnce({ data: { values: [HEADER] } });
+            mockSheets.spreadsheets.values.append.mockRejectedValueOnce(new Error('API Error'));
+
+            await expect(service.writeMovements('test-sheet-id', [{
+                cardName: 'Test',
+                oldLocation: 'A',
+                newLocation: 'B',
+                timestamp: '2024-01-01'
+            }])).rejects.toThrow('Failed to write to Google Sheet: API Error');
+        });
+
+        it('should deduplicate by action ID', async () => {
+            mockSheets.spreadsheets.values.get.mockResolvedValue({
                 data: {
                     values: [
-                        ['Card Name', 'Old Board/List Name', 'New Board/List Name', 'Timestamp'],
-                        ['Existing Card', 'List A', 'List B', '2024-01-01']
+                        HEADER,
+                        ['Old Name', 'List A', 'List B', '2024-01-01', 'action1', 'card1', '', '', '', 'board1', 'Board', '', '', '', '', '', '', '']
                     ]
                 }
             });
-            
-            // Mock the clear operation to fail
-            mockSheets.spreadsheets.values.clear.mockRejectedValueOnce(new Error('API Error'));
-            
-            await expect(service.writeMovements('test-sheet-id', [{
-                cardName: 'Test',
+
+            await service.writeMovements('test-sheet-id', [{
+                cardName: 'Renamed Card',
+                oldLocation: 'List A',
+                newLocation: 'List B',
+                timestamp: '2024-01-01',
+                actionId: 'action1'
+            }]);
+
+            expect(mockSheets.spreadsheets.values.append).not.toHaveBeenCalled();
+        });
+
+        it('should upgrade a four-column sheet through a staging tab', async () => {
+            mockSheets.spreadsheets.get.mockResolvedValue({ data: { sheets: [{ properties: existingTab }] } });
+            mockSheets.spreadsheets.values.get.mockResolvedValue({
+                data: {
+                    values: [
+                        ['Card Name', 'Old Board/List Name', 'New Board/List Name', 'Timestamp of Movement'],
+                        ['Card', 'List A', 'List B', '2024-01-01']
+                    ]
+                }
+            });
+
+            await service.writeMovements('test-sheet-id', [{
+                cardName: 'Card',
+                oldLocation: 'List A',
+                newLocation: 'List B',
+                timestamp: '2024-01-01',
+                actionId: 'action1',
+                cardId: 'card1',
+                cardShortLink: 'abc123',
+                listBeforeId: 'listA',
+                listAfterId: 'listB',
+                boardId: 'board1',
+                boardName: 'Board'
+            }]);
+
+            expect(mockSheets.spreadsheets.batchUpdate.mock.calls[0][0].resource.requests).toEqual([
+                { addSheet: { properties: { title: 'Sheet1 (rewrite)', hidden: true } } }
+            ]);
+            expect(mockSheets.spreadsheets.values.update).toHaveBeenCalledWith({
+                spreadsheetId: 'test-sheet-id',
+                range: "'Sheet1 (rewrite)'!A1",
+                valueInputOption: 'RAW',
+                resource: {
+                    values: [
+                        HEADER,
+                        ['Card', 'List A', 'List B', 45292, 'action1', 'card1', 'abc123', 'listA', 'listB', 'board1', 'Board', '', '', '', '', '', '', '']
+                    ]
+                }
+            });
+
+            // The swap clears the tab, then copies the staged rows in one batch
+            const copied = { startRowIndex: 0, endRowIndex: 2, startColumnIndex: 0, endColumnIndex: 18 };
+            expect(mockSheets.spreadsheets.batchUpdate.mock.calls[1][0].resource.requests).toEqual([
+                { updateCells: { range: { sheetId: 0 }, fields: 'userEnteredValue' } },
+                {
+                    copyPaste: {
+                        source: { sheetId: 99, ...copied },
+                        destination: { sheetId: 0, ...copied },
+                        pasteType: 'PASTE_VALUES'
+                    }
+                },
+                { deleteSheet: { sheetId: 99 } }
+            ]);
+            expect(mockSheets.spreadsheets.values.append).not.toHaveBeenCalled();
+        });
+
+        it('should rewrite the sorted tab in rewrite mode', async () => {
+            mockSheets.spreadsheets.get.mockResolvedValue({
+                data: {
+                    sheets: [
+                        { properties: { ...existingTab, gridProperties: { rowCount: 1, columnCount: 26 } } },
+                        { properties: { sheetId: 7, title: 'Sheet1 (rewrite)' } }
+                    ]
+                }
+            });
+            mockSheets.spreadsheets.values.get.mockResolvedValue({
+                data: { values: [HEADER, ['Later', 'A', 'B', '2024-01-02', 'action2']] }
+            });
+
+            await service.writeMovements('test-sheet-id', [
+                { cardName: 'Earlier', oldLocation: 'A', newLocation: 'B', timestamp: '2024-01-01', actionId: 'action1' }
+            ], { writeMode: 'rewrite' });
+
+            // A staging tab left by an interrupted run is replaced
+            expect(mockSheets.spreadsheets.batchUpdate.mock.calls[0][0].resource.requests[0])
+                .toEqual({ deleteSheet: { sheetId: 7 } });
+            expect(mockSheets.spreadsheets.values.update.mock.calls[0][0].resource.values.map(row => row[0]))
+                .toEqual(['Card Name', 'Earlier', 'Later']);
+            expect(mockSheets.spreadsheets.batchUpdate.mock.calls[1][0].resource.requests[0])
+                .toEqual({ appendDimension: { sheetId: 0, dimension: 'ROWS', length: 2 } });
+        });
+
+        it('should keep user columns with their row when rewriting', async () => {
+            mockSheets.spreadsheets.values.get.mockResolvedValue({
+                data: {
+                    values: [
+                        [...HEADER, 'Notes', 'Tag'],
+                        ['Second', 'A', 'B', 45293, 'action2', '', '', '', '', '', '', '', '', '', '', '', '', '', 'Check with QA', 'bug'],
+                        ['Third', 'A', 'B', 45294, 'action3', '', '', '', '', '', '', '', '', '', '', '', '', '', '', 'feature']
+                    ]
+                }
+            });
+
+            await service.writeMovements('test-sheet-id', [
+                { cardName: 'First', oldLocation: 'A', newLocation: 'B', timestamp: '2024-01-01', actionId: 'action1' }
+            ], { writeMode: 'rewrite' });
+
+            const values = mockSheets.spreadsheets.values.update.mock.calls[0][0].resource.values;
+            expect(values[0].slice(18)).toEqual(['Notes', 'Tag']);
+            expect(values.slice(1).map(row => [row[0], ...row.slice(18)])).toEqual([
+                ['First', '', ''],
+                ['Second', 'Check with QA', 'bug'],
+                ['Third', '', 'feature']
+            ]);
+        });
+
+        it('should move user columns of a four-column sheet after the new columns', async () => {
+            mockSheets.spreadsheets.values.get.mockResolvedValue({
+                data: {
+                    values: [
+                        ['Card Name', 'Old Board/List Name', 'New Board/List Name', 'Timestamp', 'Notes'],
+                        ['Card', 'List A', 'List B', '2024-01-01T00:00:00.000Z', 'Blocked by vendor']
+                    ]
+                }
+            });
+
+            await service.writeMovements('test-sheet-id', [{
+                cardName: 'Card',
+                oldLocation: 'List A',
+                newLocation: 'List B',
+                timestamp: '2024-01-01T00:00:00.000Z',
+                actionId: 'action1'
+            }]);
+
+            expect(mockSheets.spreadsheets.values.update.mock.calls[0][0].resource.values).toEqual([
+                [...HEADER, 'Notes'],
+                ['Card', 'List A', 'List B', 45292, 'action1', '', '', '', '', '', '', '', '', '', '', '', '', '', 'Blocked by vendor']
+            ]);
+            expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining(
+                'Moving the user columns of Google Sheet tab "Sheet1" from column E to column S'));
+        });
+
+        it('should leave user columns in place without warning when no columns are added', async () => {
+            mockSheets.spreadsheets.values.get.mockResolvedValue({
+                data: {
+                    values: [
+                        [...HEADER, 'Notes'],
+                        ['Card', 'A', 'B', 45292, 'action1', '', '', '', '', '', '', '', '', '', '', '', '', '', 'Checked']
+                    ]
+                }
+            });
+
+            await service.writeMovements('test-sheet-id', [
+                { cardName: 'Card', oldLocation: 'B', newLocation: 'C', timestamp: '2024-01-02', actionId: 'action2' }
+            ], { writeMode: 'rewrite' });
+
+            expect(mockSheets.spreadsheets.values.update.mock.calls[0][0].resource.values[1][18]).toBe('Checked');
+            expect(consoleErrorSpy).not.toHaveBeenCalled();
+        });
+
+        it('should reject unknown write modes', () => {
+            expect(() => new GoogleSheetsService({ writeMode: 'merge' })).toThrow('Write mode must be one of append, rewrite');
+        });
+    });
+
+    describe('writeMovements to a named tab', () => {
+        beforeEach(async () => {
+            await service.initialize();
+            mockSheets.spreadsheets.values.get.mockResolvedValue({ data: { values: [] } });
+        });
+
+        it('should create the tab and write to it', async () => {
+            await service.writeMovements('test-sheet-id', [{
+                cardName: 'Card',
                 oldLocation: 'A',
                 newLocation: 'B',
-                timestamp: '2024-01-01'
-            }])).rejects.toThrow('Failed to write to Google Sheet: API Error');
+                timestamp: '2024-01-01',
+                actionId: 'action1'
+            }], { sheetName: 'Team Board' });
+
+            expect(mockSheets.spreadsheets.batchUpdate).toHaveBeenCalledWith({
+                spreadsheetId: 'test-sheet-id',
+                resource: {
+                    requests: [{ addSheet: { properties: { title: 'Team Board' } } }]
+                }
+            });
+            expect(mockSheets.spreadsheets.values.get).toHaveBeenCalledWith(expect.objectContaining({
+                range: "'Team Board'"
+            }));
+            expect(mockSheets.spreadsheets.values.append).toHaveBeenCalledWith(expect.objectContaining({
+                range: "'Team Board'!A:R",
+                resource: {
+                    values: [HEADER, ['Card', 'A', 'B', 45292, 'action1', '', '', '', '', '', '', '', '', '', '', '', '', '']]
+                }
+            }));
+
+            // The new tab gets a frozen header and a date column
+            const format = mockSheets.spreadsheets.batchUpdate.mock.calls[1][0].resource.requests;
+            expect(format[0]).toEqual({
+                updateSheetProperties: {
+                    properties: { sheetId: 99, gridProperties: { frozenRowCount: 1 } },
+                    fields: 'gridProperties.frozenRowCount'
+                }
+            });
+            expect(format[2].repeatCell).toEqual(expect.objectContaining({
+                range: { sheetId: 99, startRowIndex: 1, startColumnIndex: 3, endColumnIndex: 4 },
+                fields: 'userEnteredFormat.numberFormat'
+            }));
+        });
+
+        it('should default to the configured tab', async () => {
+            const configured = new GoogleSheetsService({ sheetName: 'Movements' });
+            await configured.initialize();
+
+            await configured.writeMovements('test-sheet-id', [{
+                cardName: 'Card',
+                oldLocation: 'A',
+                newLocation: 'B',
+                timestamp: '2024-01-01',
+                actionId: 'action1'
+            }]);
+
+            expect(mockSheets.spreadsheets.values.get).toHaveBeenCalledWith({
+                spreadsheetId: 'test-sheet-id',
+                range: 'Movements',
+                valueRenderOption: 'UNFORMATTED_VALUE',
+                dateTimeRenderOption: 'SERIAL_NUMBER'
+            });
+        });
+    });
+
+    describe('writeReport', () => {
+        beforeEach(async () => {
+            await service.initialize();
+        });
+
+        it('should stage the report in a new tab and rename it', async () => {
+            await service.writeReport('test-sheet-id', 'Card Metrics', ['Card Name'], [['Card']]);
+
+            expect(mockSheets.spreadsheets.values.update).toHaveBeenCalledWith({
+                spreadsheetId: 'test-sheet-id',
+                range: "'Card Metrics (rewrite)'!A1",
+                valueInputOption: 'RAW',
+                resource: { values: [['Card Name'], ['Card']] }
+            });
+            expect(mockSheets.spreadsheets.batchUpdate).toHaveBeenCalledWith({
+                spreadsheetId: 'test-sheet-id',
+                resource: {
+                    requests: [{
+                        updateSheetProperties: {
+                            properties: { sheetId: 99, title: 'Card Metrics', hidden: false },
+                            fields: 'title,hidden'
+                        }
+                    }]
+                }
+            });
+        });
+
+        it('should replace the content of an existing report tab', async () => {
+            mockSheets.spreadsheets.get.mockResolvedValue({
+                data: { sheets: [{ properties: { sheetId: 3, title: 'Card Metrics', gridProperties: { rowCount: 100, columnCount: 26 } } }] }
+            });
+
+            await service.writeReport('test-sheet-id', 'Card Metrics', ['Card Name'], []);
+
+            const swap = mockSheets.spreadsheets.batchUpdate.mock.calls[1][0].resource.requests;
+            expect(swap[0]).toEqual({ updateCells: { range: { sheetId: 3 }, fields: 'userEnteredValue' } });
+            expect(swap[2]).toEqual({ deleteSheet: { sheetId: 99 } });
+        });
+
+        it('should wrap API errors', async () => {
+            mockSheets.spreadsheets.get.mockRejectedValue(new Error('API Error'));
+
+            await expect(service.writeReport('test-sheet-id', 'Card Metrics', [], []))
+                .rejects.toThrow('Failed to write report to Google Sheet: API Error');
+        });
+    });
+
+    describe('writeSummary', () => {
+        const dashboard = {
+            throughput: { columns: ['Week', 'Cards Done'], rows: [['2024-01-01', 2], ['2024-01-08', 1]] },
+            timeInList: { columns: ['List', 'Cards', 'Average (days)', 'Median (days)', 'P85 (days)', 'Max (days)'], rows: [['Doing', 2, 1.5, 1, 2, 2]] },
+            cumulativeFlow: { columns: ['Date', 'Doing', 'Done'], rows: [['2024-01-07', 1, 2]] }
+        };
+
+        const summaryTab = charts => ({
+            data: { sheets: [{ properties: { sheetId: 7, title: 'Summary', gridProperties: { rowCount: 100, columnCount: 26 } }, charts }] }
+        });
+
+        beforeEach(async () => {
+            await service.initialize();
+        });
+
+        it('should lay the tables out side by side', async () => {
+            mockSheets.spreadsheets.get.mockResolvedValue(summaryTab([]));
+
+            await service.writeSummary('test-sheet-id', dashboard);
+
+            const { values } = mockSheets.spreadsheets.values.update.mock.calls[0][0].resource;
+            expect(mockSheets.spreadsheets.values.update.mock.calls[0][0].range).toBe("'Summary (rewrite)'!A1");
+            expect(values).toEqual([
+                ['Week', 'Cards Done', '', 'List', 'Cards', 'Average (days)', 'Median (days)', 'P85 (days)', 'Max (days)', '', 'Date', 'Doing', 'Done'],
+                ['2024-01-01', 2, '', 'Doing', 2, 1.5, 1, 2, 2, '', '2024-01-07', 1, 2],
+                ['2024-01-08', 1, '', '', '', '', '', '', '', '', '', '', '']
+            ]);
+        });
+
+        it('should create the charts next to the tables', async () => {
+            mockSheets.spreadsheets.get.mockResolvedValue(summaryTab(undefined));
+
+            await service.writeSummary('test-sheet-id', dashboard);
+
+            const { requests } = mockSheets.spreadsheets.batchUpdate.mock.calls.at(-1)[0].resource;
+            expect(requests).toHaveLength(3);
+            expect(requests.map(({ addChart }) => addChart.chart.spec.title))
+                .toEqual(['Weekly Throughput', 'Average Time in List', 'Cumulative Flow']);
+            expect(requests[2].addChart.chart.position.overlayPosition.anchorCell)
+                .toEqual({ sheetId: 7, rowIndex: 40, columnIndex: 14 });
+
+            const throughput = requests[0].addChart.chart.spec.basicChart;
+            expect(throughput.chartType).toBe('COLUMN');
+            expect(throughput.domains[0].domain.sourceRange.sources[0]).toEqual({
+                sheetId: 7, startRowIndex: 0, endRowIndex: 3, startColumnIndex: 0, endColumnIndex: 1
+            });
+
+            const timeInList = requests[1].addChart.chart.spec.basicChart;
+            expect(timeInList.series).toEqual([{
+                series: { sourceRange: { sources: [{ sheetId: 7, startRowIndex: 0, endRowIndex: 2, startColumnIndex: 5, endColumnIndex: 6 }] } },
+                targetAxis: 'BOTTOM_AXIS'
+            }]);
+
+            const cumulativeFlow = requests[2].addChart.chart.spec.basicChart;
+            expect(cumulativeFlow.stackedType).toBe('STACKED');
+            expect(cumulativeFlow.series.map(({ series }) => series.sourceRange.sources[0].startColumnIndex)).toEqual([11, 12]);
+        });
+
+        it('should update the charts of a previous run', async () => {
+            mockSheets.spreadsheets.get.mockResolvedValue(summaryTab([
+                { chartId: 11, spec: { title: 'Weekly Throughput' } },
+                { chartId: 12, spec: { title: 'Someone else\'s chart' } }
+            ]));
+
+            await service.writeSummary('test-sheet-id', dashboard);
+
+            const { requests } = mockSheets.spreadsheets.batchUpdate.mock.calls.at(-1)[0].resource;
+            expect(requests[0]).toEqual({
+                updateChartSpec: { chartId: 11, spec: expect.objectContaining({ title: 'Weekly Throughput' }) }
+            });
+            expect(requests[1]).toHaveProperty('addChart');
+            expect(requests[2]).toHaveProperty('addChart');
+        });
+
+        it('should wrap API errors', async () => {
+            mockSheets.spreadsheets.get.mockRejectedValue(new Error('API Error'));
+
+            await expect(service.writeSummary('test-sheet-id', dashboard))
+                .rejects.toThrow('Failed to write summary to Google Sheet: API Error');
         });
     });
-});
\ No newline at end of file
+});
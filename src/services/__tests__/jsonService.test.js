@@ -0,0 +1,136 @@
+const JsonService = require('../jsonService');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const movement = (actionId, timestamp) => ({
+    cardName: 'Test Card',
+    oldLocation: 'List 1',
+    newLocation: 'List 2',
+    timestamp,
+    actionId,
+    boardId: 'board1',
+    boardName: 'Board'
+});
+
+describe('JsonService', () => {
+    let dir;
+    let consoleSpies;
+
+    const readLines = filePath => fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+    beforeEach(() => {
+        consoleSpies = ['log', 'error'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trello-tracker-json-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        consoleSpies.forEach(spy => spy.mockRestore());
+    });
+
+    it('should pick the format from the file name', () => {
+        expect(new JsonService('movements.json').format).toBe('json');
+        expect(new JsonService('movements.ndjson').format).toBe('ndjson');
+        expect(new JsonService('-').format).toBe('ndjson');
+        expect(new JsonService('movements.json', { format: 'ndjson' }).format).toBe('ndjson');
+        expect(() => new JsonService('movements.json', { format: 'xml' })).toThrow('Unknown JSON format "xml"');
+    });
+
+    describe('NDJSON', () => {
+        let outputPath;
+        let service;
+
+        beforeEach(() => {
+            outputPath = path.join(dir, 'out', 'movements.ndjson');
+            service = new JsonService(outputPath);
+        });
+
+        it('should append only new movements, in chronological order, with every field', async () => {
+            await service.writeMovements([movement('a2', '2024-01-02T00:00:00.000Z'), movement('a1', '2024-01-01T00:00:00.000Z')]);
+            await service.writeMovements([movement('a2', '2024-01-02T00:00:00.000Z'), movement('a3', '2024-01-03T00:00:00.000Z')]);
+
+            const lines = readLines(outputPath);
+            expect(lines.map(({ actionId }) => actionId)).toEqual(['a1', 'a2', 'a3']);
+            expect(lines[0]).toMatchObject({ actionId: 'a1', cardId: '', boardId: 'board1', boardName: 'Board' });
+            expect(await service.readExistingMovements()).toEqual(lines);
+        });
+
+        it('should rebuild a missing index from the file', async () => {
+            await service.writeMovements([movement('a1', '2024-01-01T00:00:00.000Z')]);
+            fs.unlinkSync(`${outputPath}.index`);
+
+            await service.writeMovements([movement('a1', '2024-01-01T00:00:00.000Z')]);
+
+            expect(readLines(outputPath)).toHaveLength(1);
+        });
+
+        it('should remove a line cut short by an interrupted append', async () => {
+            await service.writeMovements([movement('a1', '2024-01-01T00:00:00.000Z')]);
+            fs.appendFileSync(outputPath, '{"actionId":"a2","card');
+
+            await service.writeMovements([movement('a2', '2024-01-02T00:00:00.000Z')]);
+
+            expect(readLines(outputPath).map(({ actionId }) => actionId)).toEqual(['a1', 'a2']);
+        });
+
+        it('should report the line that cannot be parsed', async () => {
+            fs.mkdirSync(path.dirname(outputPath));
+            fs.writeFileSync(outputPath, `${JSON.stringify(movement('a1', '2024-01-01T00:00:00.000Z'))}\nnot json\n`);
+
+            await expect(service.readExistingMovements()).rejects.toThrow(`Cannot read JSON file ${outputPath}: line 2`);
+        });
+
+        it('should read nothing from a missing file', async () => {
+            expect(await service.readExistingMovements()).toEqual([]);
+        });
+    });
+
+    describe('JSON array', () => {
+        it('should merge new movements into the array', async () => {
+            const outputPath = path.join(dir, 'movements.json');
+            const service = new JsonService(outputPath);
+
+            await service.writeMovements([movement('a2', '2024-01-02T00:00:00.000Z')]);
+            await service.writeMovements([movement('a1', '2024-01-01T00:00:00.000Z'), movement('a2', '2024-01-02T00:00:00.000Z')]);
+
+            const records = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+            expect(records.map(({ actionId }) => actionId)).toEqual(['a1', 'a2']);
+            expect(fs.existsSync(`${outputPath}.tmp`)).toBe(false);
+        });
+
+        it('should fail on files that are not an array', async () => {
+            const outputPath = path.join(dir, 'movements.json');
+            fs.writeFileSync(outputPath, '{}');
+
+            await expect(new JsonService(outputPath).readExistingMovements())
+                .rejects.toThrow('expected an array of movements');
+        });
+    });
+
+    describe('stdout', () => {
+        let writeSpy;
+
+        beforeEach(() => {
+            writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+        });
+
+        afterEach(() => {
+            writeSpy.mockRestore();
+        });
+
+        it('should stream NDJSON lines', async () => {
+            await new JsonService('-').writeMovements([movement('a2', '2024-01-02T00:00:00.000Z'), movement('a1', '2024-01-01T00:00:00.000Z')]);
+
+            const lines = writeSpy.mock.calls.map(([text]) => text).join('').trim().split('\n').map(line => JSON.parse(line));
+            expect(lines.map(({ actionId }) => actionId)).toEqual(['a1', 'a2']);
+            expect(fs.readdirSync(dir)).toEqual([]);
+        });
+
+        it('should write a JSON array', async () => {
+            await new JsonService('-', { format: 'json' }).writeMovements([movement('a1', '2024-01-01T00:00:00.000Z')]);
+
+            expect(JSON.parse(writeSpy.mock.calls[0][0])).toEqual([expect.objectContaining({ actionId: 'a1' })]);
+        });
+    });
+});
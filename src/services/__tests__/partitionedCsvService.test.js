@@ -0,0 +1,136 @@
+const PartitionedCsvService = require('../partitionedCsvService');
+const CsvService = require('../csvService');
+const { createCsvService } = require('../csvOutput');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const movement = (actionId, timestamp) => ({
+    cardName: 'Test Card',
+    oldLocation: 'List 1',
+    newLocation: 'List 2',
+    timestamp,
+    actionId
+});
+
+describe('PartitionedCsvService', () => {
+    let dir;
+    let outputPath;
+    let service;
+    let consoleSpies;
+
+    const partitionPath = month => path.join(dir, `card_movements-${month}.csv`);
+    const readManifest = () => JSON.parse(fs.readFileSync(path.join(dir, 'card_movements.manifest.json'), 'utf8'));
+    const readRows = month => fs.readFileSync(partitionPath(month), 'utf8').trim().split('\n').slice(1);
+
+    beforeEach(() => {
+        consoleSpies = ['log', 'error'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trello-tracker-partitions-'));
+        outputPath = path.join(dir, 'card_movements.csv');
+        service = new PartitionedCsvService(outputPath);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        consoleSpies.forEach(spy => spy.mockRestore());
+    });
+
+    it('should write one file per month and list them in the manifest', async () => {
+        await service.writeMovements([
+            movement('a2', '2025-02-01T00:00:00.000Z'),
+            movement('a1', '2025-01-31T23:59:59.000Z')
+        ]);
+
+        expect(readRows('2025-01')).toHaveLength(1);
+        expect(readRows('2025-02')).toHaveLength(1);
+        expect(fs.existsSync(outputPath)).toBe(false);
+        expect(readManifest()).toEqual({
+            partitions: [
+                { month: '2025-01', file: 'card_movements-2025-01.csv' },
+                { month: '2025-02', file: 'card_movements-2025-02.csv' }
+            ]
+        });
+    });
+
+    it('should deduplicate across syncs and only touch the months with new movements', async () => {
+        await service.writeMovements([movement('a1', '2025-01-10T00:00:00.000Z'), movement('a2', '2025-02-10T00:00:00.000Z')]);
+        fs.utimesSync(partitionPath('2025-01'), new Date(0), new Date(0));
+
+        await service.writeMovements([movement('a2', '2025-02-10T00:00:00.000Z'), movement('a3', '2025-02-11T00:00:00.000Z')]);
+
+        expect(fs.statSync(partitionPath('2025-01')).mtimeMs).toBe(0);
+        expect(readRows('2025-02')).toHaveLength(2);
+        expect((await service.readExistingMovements()).map(({ actionId }) => actionId)).toEqual(['a1', 'a2', 'a3']);
+    });
+
+    it('should split an existing unpartitioned file on the first write', async () => {
+        await new CsvService(outputPath).writeMovements([
+            movement('a1', '2024-12-24T00:00:00.000Z'),
+            movement('a2', '2025-01-02T00:00:00.000Z')
+        ]);
+
+        expect(await service.readExistingMovements()).toHaveLength(2);
+
+        await service.writeMovements([movement('a2', '2025-01-02T00:00:00.000Z'), movement('a3', '2025-01-03T00:00:00.000Z')]);
+
+        expect(readRows('2024-12')).toHaveLength(1);
+        expect(readRows('2025-01')).toHaveLength(2);
+        expect(fs.existsSync(outputPath)).toBe(true);
+        expect((await service.readExistingMovements()).map(({ actionId }) => actionId)).toEqual(['a1', 'a2', 'a3']);
+    });
+
+    it('should find the partitions when the manifest is missing', async () => {
+        await service.writeMovements([movement('a1', '2025-01-10T00:00:00.000Z'), movement('a2', '2025-03-10T00:00:00.000Z')]);
+        fs.unlinkSync(path.join(dir, 'card_movements.manifest.json'));
+        fs.writeFileSync(path.join(dir, 'card_movements-sprint.csv'), 'unrelated\n');
+
+        expect(await service.readExistingMovements()).toHaveLength(2);
+
+        await service.writeMovements([movement('a1', '2025-01-10T00:00:00.000Z')]);
+
+        expect(readRows('2025-01')).toHaveLength(1);
+        expect(readManifest().partitions.map(({ month }) => month)).toEqual(['2025-01', '2025-03']);
+    });
+
+    it('should count the days in the previous list across months', async () => {
+        service = new PartitionedCsvService(outputPath, { columns: ['cardName', 'actionId', 'duration'] });
+        const days = month => readRows(month).map(row => row.split(',').pop());
+
+        await service.writeMovements([movement('a1', '2025-01-30T00:00:00.000Z'), movement('a2', '2025-02-02T00:00:00.000Z')]);
+        await service.writeMovements([movement('a3', '2025-02-03T00:00:00.000Z'), movement('a4', '2025-03-01T00:00:00.000Z')]);
+
+        expect(days('2025-01')).toEqual(['']);
+        expect(days('2025-02')).toEqual(['3', '1']);
+        expect(days('2025-03')).toEqual(['26']);
+
+        await service.compact();
+        expect(days('2025-03')).toEqual(['26']);
+    });
+
+    it('should compact every partition', async () => {
+        await service.writeMovements([movement('a1', '2025-01-10T00:00:00.000Z'), movement('a2', '2025-02-10T00:00:00.000Z')]);
+        fs.appendFileSync(partitionPath('2025-02'), fs.readFileSync(partitionPath('2025-02'), 'utf8').split('\n')[1] + '\n');
+
+        expect(await service.compact()).toEqual({ rows: 2, removed: 1 });
+        expect(readRows('2025-02')).toHaveLength(1);
+    });
+
+    it('should fail to compact without partitions', async () => {
+        await expect(service.compact()).rejects.toThrow(`No CSV partitions of ${outputPath} exist`);
+    });
+
+    it('should reject movements without a valid timestamp', async () => {
+        await expect(service.writeMovements([movement('a1', 'yesterday')]))
+            .rejects.toThrow('Invalid movement timestamp: yesterday');
+    });
+
+    it('should write reports next to the partitions', () => {
+        expect(service.getReportPath('metrics')).toBe(path.join(dir, 'card_movements.metrics.csv'));
+    });
+
+    it('should be created for the month partition setting', () => {
+        expect(createCsvService(outputPath, { partition: 'month' })).toBeInstanceOf(PartitionedCsvService);
+        expect(createCsvService(outputPath, { partition: 'none' })).toBeInstanceOf(CsvService);
+        expect(createCsvService(outputPath)).toBeInstanceOf(CsvService);
+    });
+});
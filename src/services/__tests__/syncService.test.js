@@ -0,0 +1,243 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SyncService = require('../syncService');
+const TrelloService = require('../trelloService');
+const CacheService = require('../cacheService');
+const SyncStateService = require('../syncStateService');
+
+describe('SyncService', () => {
+    let syncService;
+    let trelloService;
+    let syncStateService;
+    let consoleLogSpy;
+
+    const action = (id, date) => ({
+        id,
+        type: 'updateCard',
+        date,
+        data: {
+            card: { id: `card-${id}`, name: `Card ${id}` },
+            board: { id: 'board1', name: 'Board' },
+            listBefore: { id: 'list1', name: 'To Do' },
+            listAfter: { id: 'list2', name: 'Done' }
+        }
+    });
+
+    beforeEach(() => {
+        trelloService = { getBoardActions: jest.fn().mockResolvedValue([]) };
+        syncStateService = {
+            get: jest.fn().mockResolvedValue(null),
+            set: jest.fn().mockResolvedValue()
+        };
+        syncService = new SyncService({ trelloService, syncStateService });
+        consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(() => {
+        consoleLogSpy.mockRestore();
+    });
+
+    describe('fetchBoard', () => {
+        it('should fetch the full history of a board never synced', async () => {
+            trelloService.getBoardActions.mockResolvedValue([action('a1', '2024-01-01T00:00:00.000Z')]);
+
+            const result = await syncService.fetchBoard('board1');
+
+            expect(trelloService.getBoardActions).toHaveBeenCalledWith('board1', false, { since: undefined, events: ['move'] });
+            expect(result.movements).toEqual([expect.objectContaining({
+                actionId: 'a1',
+                boardId: 'board1'
+            })]);
+        });
+
+        it('should resume from the stored mark and skip the marked action', async () => {
+            syncStateService.get.mockResolvedValue({
+                lastActionId: 'a1',
+                lastActionDate: '2024-01-01T00:00:00.000Z'
+            });
+            trelloService.getBoardActions.mockResolvedValue([
+                action('a1', '2024-01-01T00:00:00.000Z'),
+                action('a2', '2024-01-02T00:00:00.000Z')
+            ]);
+
+            const result = await syncService.fetchBoard('board1');
+
+            expect(trelloService.getBoardActions).toHaveBeenCalledWith('board1', false, { since: 'a1', events: ['move'] });
+            expect(result.actions.map(({ id }) => id)).toEqual(['a2']);
+        });
+
+        it('should ignore the stored mark for full rebuilds', async () => {
+            syncStateService.get.mockResolvedValue({ lastActionId: 'a1' });
+
+            await syncService.fetchBoard('board1', { full: true, forceFresh: true });
+
+            expect(syncStateService.get).not.toHaveBeenCalled();
+            expect(trelloService.getBoardActions).toHaveBeenCalledWith('board1', true, { since: undefined, events: ['move'] });
+        });
+
+        it('should prefer an explicit start', async () => {
+            syncStateService.get.mockResolvedValue({ lastActionId: 'a1' });
+
+            await syncService.fetchBoard('board1', { since: '2024-01-01' });
+
+            expect(trelloService.getBoardActions).toHaveBeenCalledWith('board1', false, { since: '2024-01-01', events: ['move'] });
+        });
+    });
+
+    describe('fetchBoard until', () => {
+        it('should ignore actions after the end date', async () => {
+            trelloService.getBoardActions.mockResolvedValue([
+                action('a1', '2024-01-01T00:00:00.000Z'),
+                action('a2', '2024-02-01T00:00:00.000Z')
+            ]);
+
+            const result = await syncService.fetchBoard('board1', { until: '2024-01-31' });
+
+            expect(result.actions.map(({ id }) => id)).toEqual(['a1']);
+        });
+    });
+
+    describe('fetchBoard enrich', () => {
+        it('should add the details of the cards to their movements', async () => {
+            trelloService.getBoardActions.mockResolvedValue([action('a1', '2024-01-01T00:00:00.000Z')]);
+            trelloService.getCardDetails = jest.fn().mockResolvedValue(new Map([
+                ['card-a1', { labels: 'Bug', members: 'Ada', due: '2024-01-05T00:00:00.000Z' }]
+            ]));
+
+            const result = await syncService.fetchBoard('board1', { enrich: true });
+
+            expect(trelloService.getCardDetails).toHaveBeenCalledWith('board1', ['card-a1'], false);
+            expect(result.movements[0]).toEqual(expect.objectContaining({
+                labels: 'Bug',
+                members: 'Ada',
+                due: '2024-01-05T00:00:00.000Z'
+            }));
+        });
+
+        it('should not fetch card details by default', async () => {
+            trelloService.getBoardActions.mockResolvedValue([action('a1', '2024-01-01T00:00:00.000Z')]);
+            trelloService.getCardDetails = jest.fn();
+
+            const result = await syncService.fetchBoard('board1');
+
+            expect(trelloService.getCardDetails).not.toHaveBeenCalled();
+            expect(result.movements[0].labels).toBe('');
+        });
+    });
+
+    describe('fetchBoard listNames', () => {
+        it('should name lists after their current name when asked', async () => {
+            trelloService.getBoardActions.mockResolvedValue([action('a1', '2024-01-01T00:00:00.000Z')]);
+            trelloService.getLists = jest.fn().mockResolvedValue([{ id: 'list1', name: 'Backlog', closed: false }]);
+
+            const result = await syncService.fetchBoard('board1', { listNames: 'current' });
+
+            expect(trelloService.getLists).toHaveBeenCalledWith('board1', false);
+            expect(result.movements[0]).toEqual(expect.objectContaining({
+                oldLocation: 'Backlog',
+                newLocation: 'Done'
+            }));
+            expect(result.actions[0].data.listBefore.name).toBe('To Do');
+        });
+
+        it('should keep the historical names when the lists cannot be read', async () => {
+            const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+            trelloService.getBoardActions.mockResolvedValue([action('a1', '2024-01-01T00:00:00.000Z')]);
+            trelloService.getLists = jest.fn().mockRejectedValue(new Error('Forbidden'));
+
+            const result = await syncService.fetchBoard('board1', { listNames: 'current' });
+
+            expect(result.movements[0].oldLocation).toBe('To Do');
+            consoleErrorSpy.mockRestore();
+        });
+    });
+
+    describe('fetchBoard workflow', () => {
+        it('should classify the stage change of every movement', async () => {
+            trelloService.getBoardActions.mockResolvedValue([action('a1', '2024-01-01T00:00:00.000Z')]);
+
+            const result = await syncService.fetchBoard('board1', {
+                workflow: { stages: ['backlog', 'active', 'done'], lists: { 'To Do': 'backlog', 'Done': 'done' } }
+            });
+
+            expect(result.movements[0].transition).toBe('skip');
+        });
+    });
+
+    describe('incremental syncs through the cache', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trello-tracker-sync-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should find actions added after a sync that found nothing new', async () => {
+            const boardActions = [action('a1', '2024-01-01T00:00:00.000Z')];
+            const client = {
+                get: jest.fn(async (route, { since }) => boardActions
+                    .filter(({ id }) => !since || id > since)
+                    .slice()
+                    .reverse())
+            };
+            const service = new SyncService({
+                trelloService: new TrelloService({
+                    apiKey: 'key',
+                    token: 'token',
+                    client,
+                    cacheService: new CacheService({ cachePath: path.join(dir, 'cache') })
+                }),
+                syncStateService: new SyncStateService({ statePath: path.join(dir, 'state') })
+            });
+            const sync = async () => {
+                const boardSync = await service.fetchBoard('board1');
+                await service.commit(boardSync);
+                return boardSync.movements.map(({ actionId }) => actionId);
+            };
+
+            expect(await sync()).toEqual(['a1']);
+            expect(await sync()).toEqual([]);
+            boardActions.push(action('a2', '2024-01-02T00:00:00.000Z'));
+            expect(await sync()).toEqual(['a2']);
+
+            expect(fs.readdirSync(path.join(dir, 'cache')).filter(file => file.includes('since'))).toEqual([]);
+        });
+    });
+
+    describe('commit', () => {
+        it('should store the newest action as the new mark', async () => {
+            await syncService.commit({
+                boardId: 'board1',
+                syncState: null,
+                actions: [
+                    action('a1', '2024-01-01T00:00:00.000Z'),
+                    action('a2', '2024-01-02T00:00:00.000Z')
+                ]
+            });
+
+            expect(syncStateService.set).toHaveBeenCalledWith('board1', {
+                lastActionId: 'a2',
+                lastActionDate: '2024-01-02T00:00:00.000Z'
+            });
+        });
+
+        it('should not move the mark backwards', async () => {
+            await syncService.commit({
+                boardId: 'board1',
+                syncState: { lastActionId: 'a3', lastActionDate: '2024-01-03T00:00:00.000Z' },
+                actions: [action('a1', '2024-01-01T00:00:00.000Z')]
+            });
+
+            expect(syncStateService.set).not.toHaveBeenCalled();
+        });
+
+        it('should keep the mark when nothing was fetched', async () => {
+            await syncService.commit({ boardId: 'board1', syncState: null, actions: [] });
+            expect(syncStateService.set).not.toHaveBeenCalled();
+        });
+    });
+});
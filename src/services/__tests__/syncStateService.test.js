@@ -0,0 +1,113 @@
+const fs = require('fs').promises;
+const path = require('path');
+const SyncStateService = require('../syncStateService');
+
+jest.mock('fs', () => ({
+    promises: {
+        mkdir: jest.fn(),
+        readFile: jest.fn(),
+        writeFile: jest.fn(),
+        unlink: jest.fn()
+    }
+}));
+
+describe('SyncStateService', () => {
+    let syncStateService;
+    let consoleErrorSpy;
+
+    beforeEach(() => {
+        syncStateService = new SyncStateService();
+        jest.clearAllMocks();
+        consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+    });
+
+    afterEach(() => {
+        consoleErrorSpy.mockRestore();
+    });
+
+    describe('get', () => {
+        it('should return the stored state of a board', async () => {
+            const state = {
+                lastActionId: 'action1',
+                lastActionDate: '2024-01-01T00:00:00.000Z',
+                syncedAt: '2024-01-02T00:00:00.000Z'
+            };
+            fs.readFile.mockResolvedValueOnce(JSON.stringify(state));
+
+            const result = await syncStateService.get('board1');
+
+            expect(fs.readFile).toHaveBeenCalledWith(
+                path.join('.sync-state', 'board1.json'),
+                'utf8'
+            );
+            expect(result).toEqual(state);
+        });
+
+        it('should return null for a board that was never synced', async () => {
+            const enoentError = new Error('ENOENT: no such file');
+            enoentError.code = 'ENOENT';
+            fs.readFile.mockRejectedValueOnce(enoentError);
+
+            const result = await syncStateService.get('board1');
+            expect(result).toBeNull();
+            expect(consoleErrorSpy).not.toHaveBeenCalled();
+        });
+
+        it('should return null for corrupted state', async () => {
+            fs.readFile.mockResolvedValueOnce('invalid json');
+
+            const result = await syncStateService.get('board1');
+            expect(result).toBeNull();
+            expect(consoleErrorSpy).toHaveBeenCalledWith(
+                'Sync state read error:',
+                expect.any(SyntaxError)
+            );
+        });
+    });
+
+    describe('set', () => {
+        it('should write the mark to the board state file', async () => {
+            const state = await syncStateService.set('board1', {
+                lastActionId: 'action2',
+                lastActionDate: '2024-01-03T00:00:00.000Z'
+            });
+
+            expect(fs.mkdir).toHaveBeenCalledWith('.sync-state', { recursive: true });
+            expect(fs.writeFile.mock.calls[0][0]).toBe(path.join('.sync-state', 'board1.json'));
+
+            const written = JSON.parse(fs.writeFile.mock.calls[0][1]);
+            expect(written).toEqual(state);
+            expect(written.lastActionId).toBe('action2');
+            expect(written.lastActionDate).toBe('2024-01-03T00:00:00.000Z');
+            expect(written.syncedAt).toEqual(expect.any(String));
+        });
+
+        it('should rethrow write errors', async () => {
+            fs.writeFile.mockRejectedValueOnce(new Error('EPERM: permission denied'));
+
+            await expect(syncStateService.set('board1', {
+                lastActionId: 'action2',
+                lastActionDate: '2024-01-03T00:00:00.000Z'
+            })).rejects.toThrow('EPERM: permission denied');
+            expect(consoleErrorSpy).toHaveBeenCalledWith(
+                'Sync state write error:',
+                expect.any(Error)
+            );
+        });
+    });
+
+    describe('clear', () => {
+        it('should delete the board state file', async () => {
+            await syncStateService.clear('board1');
+            expect(fs.unlink).toHaveBeenCalledWith(path.join('.sync-state', 'board1.json'));
+        });
+
+        it('should ignore boards without state', async () => {
+            const enoentError = new Error('ENOENT: no such file');
+            enoentError.code = 'ENOENT';
+            fs.unlink.mockRejectedValueOnce(enoentError);
+
+            await expect(syncStateService.clear('board1')).resolves.toBeUndefined();
+        });
+    });
+});
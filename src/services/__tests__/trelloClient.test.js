@@ -0,0 +1,164 @@
+const http = require('http');
+const TrelloClient = require('../trelloClient');
+const {
+    TrelloApiError,
+    TrelloAuthError,
+    TrelloNotFoundError,
+    TrelloRateLimitError
+} = require('../../errors');
+
+/**
+ * Start a local Trello stub answering each request with the next queued response
+ * @param {Array<{ status: number, body?: any, headers?: Object, delay?: number }>} responses
+ */
+function startStub(responses) {
+    const stub = { requests: [], inFlight: 0, maxInFlight: 0 };
+
+    stub.server = http.createServer((req, res) => {
+        stub.requests.push(new URL(req.url, 'http://localhost'));
+        stub.inFlight++;
+        stub.maxInFlight = Math.max(stub.maxInFlight, stub.inFlight);
+
+        const { status, body = [], headers = {}, delay = 0 } = responses.shift() || { status: 200 };
+        setTimeout(() => {
+            stub.inFlight--;
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            res.end(JSON.stringify(body));
+        }, delay);
+    });
+
+    return new Promise(resolve => {
+        stub.server.listen(0, '127.0.0.1', () => {
+            stub.baseURL = `http://127.0.0.1:${stub.server.address().port}/1`;
+            resolve(stub);
+        });
+    });
+}
+
+describe('TrelloClient', () => {
+    let stub;
+    let consoleErrorSpy;
+
+    const createClient = (options = {}) => new TrelloClient({
+        apiKey: 'key',
+        token: 'token',
+        baseURL: stub.baseURL,
+        retryDelay: 1,
+        maxRetryDelay: 20,
+        ...options
+    });
+
+    beforeEach(() => {
+        consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+    });
+
+    afterEach(async () => {
+        consoleErrorSpy.mockRestore();
+        await new Promise(resolve => stub.server.close(resolve));
+    });
+
+    it('should send credentials and parameters and return the body', async () => {
+        stub = await startStub([{ status: 200, body: [{ id: 'board1' }] }]);
+
+        const data = await createClient().get('/members/me/boards', { filter: 'open' });
+
+        expect(data).toEqual([{ id: 'board1' }]);
+        expect(stub.requests[0].pathname).toBe('/1/members/me/boards');
+        expect(stub.requests[0].searchParams.get('key')).toBe('key');
+        expect(stub.requests[0].searchParams.get('token')).toBe('token');
+        expect(stub.requests[0].searchParams.get('filter')).toBe('open');
+    });
+
+    it('should retry server errors with backoff', async () => {
+        stub = await startStub([
+            { status: 500 },
+            { status: 503 },
+            { status: 200, body: ['ok'] }
+        ]);
+
+        const data = await createClient().get('/boards/board1/actions');
+
+        expect(data).toEqual(['ok']);
+        expect(stub.requests).toHaveLength(3);
+        expect(consoleErrorSpy).toHaveBeenCalledWith(
+            expect.stringContaining('failed with status 500, retrying in')
+        );
+    });
+
+    it('should wait for Retry-After on 429 responses', async () => {
+        stub = await startStub([
+            { status: 429, headers: { 'Retry-After': '1' } },
+            { status: 200, body: ['ok'] }
+        ]);
+
+        const client = createClient({ maxRetryDelay: 2000 });
+        const startedAt = Date.now();
+        await client.get('/boards/board1/actions');
+
+        expect(Date.now() - startedAt).toBeGreaterThanOrEqual(900);
+        expect(stub.requests).toHaveLength(2);
+    });
+
+    it('should pause when the rate-limit window is exhausted', async () => {
+        stub = await startStub([
+            {
+                status: 200,
+                headers: {
+                    'x-rate-limit-api-token-remaining': '0',
+                    'x-rate-limit-api-token-interval-ms': '200'
+                }
+            },
+            { status: 200 }
+        ]);
+
+        const client = createClient();
+        await client.get('/members/me/boards');
+        const startedAt = Date.now();
+        await client.get('/members/me/boards');
+
+        expect(Date.now() - startedAt).toBeGreaterThanOrEqual(150);
+    });
+
+    it('should give up after the configured retries', async () => {
+        stub = await startStub([{ status: 429 }, { status: 429 }, { status: 429 }]);
+
+        await expect(createClient({ maxRetries: 2 }).get('/boards/board1/actions'))
+            .rejects.toThrow(TrelloRateLimitError);
+        expect(stub.requests).toHaveLength(3);
+    });
+
+    it('should raise auth errors without retrying', async () => {
+        stub = await startStub([{ status: 401, body: 'invalid token' }]);
+
+        const request = createClient().get('/members/me/boards');
+
+        await expect(request).rejects.toThrow(TrelloAuthError);
+        await expect(request).rejects.toMatchObject({ status: 401, path: '/members/me/boards' });
+        expect(stub.requests).toHaveLength(1);
+    });
+
+    it('should raise not found errors for missing boards', async () => {
+        stub = await startStub([{ status: 404 }]);
+
+        await expect(createClient().get('/boards/missing/actions'))
+            .rejects.toThrow(TrelloNotFoundError);
+    });
+
+    it('should raise API errors for other client errors', async () => {
+        stub = await startStub([{ status: 400 }]);
+
+        const request = createClient().get('/boards/bad/actions');
+        await expect(request).rejects.toThrow(TrelloApiError);
+        await expect(request).rejects.toThrow('failed with status 400');
+    });
+
+    it('should cap how many requests run at once', async () => {
+        stub = await startStub(Array.from({ length: 6 }, () => ({ status: 200, delay: 30 })));
+
+        const client = createClient({ maxConcurrent: 2 });
+        await Promise.all(Array.from({ length: 6 }, () => client.get('/members/me/boards')));
+
+        expect(stub.requests).toHaveLength(6);
+        expect(stub.maxInFlight).toBe(2);
+    });
+});
@@ -1,6 +1,7 @@
 const axios = require('axios');
 const TrelloService = require('../trelloService');
 const CacheService = require('../cacheService');
+const { TrelloAuthError, TrelloNotFoundError } = require('../../errors');
 
 // Mock both axios and CacheService
 jest.mock('axios');
@@ -30,8 +31,8 @@ describe('TrelloService', () => {
     describe('getBoards', () => {
         it('should fetch and format boards correctly', async () => {
             const mockBoards = [
-                { id: 'board1', name: 'Board 1', otherField: 'value' },
-                { id: 'board2', name: 'Board 2', otherField: 'value' }
+                { id: 'board1', name: 'Board 1', url: 'https://trello.com/b/b1/board-1', otherField: 'value' },
+                { id: 'board2', name: 'Board 2', url: 'https://trello.com/b/b2/board-2', otherField: 'value' }
             ];
 
             mockCacheGet.mockResolvedValueOnce(null);
@@ -50,8 +51,8 @@ describe('TrelloService', () => {
             );
 
             expect(result).toEqual([
-                { id: 'board1', name: 'Board 1' },
-                { id: 'board2', name: 'Board 2' }
+                { id: 'board1', name: 'Board 1', url: 'https://trello.com/b/b1/board-1' },
+                { id: 'board2', name: 'Board 2', url: 'https://trello.com/b/b2/board-2' }
             ]);
         });
 
@@ -78,14 +79,18 @@ describe('TrelloService', () => {
         it('should fetch and filter board actions correctly', async () => {
             const mockActions = [
                 {
+                    id: 'action1',
                     type: 'updateCard',
+                    date: '2024-01-02T00:00:00.000Z',
                     data: {
                         listBefore: { name: 'List 1' },
                         listAfter: { name: 'List 2' }
                     }
                 },
                 {
+                    id: 'action2',
                     type: 'updateCard',
+                    date: '2024-01-01T00:00:00.000Z',
                     data: {
                         listBefore: null,
                         listAfter: null
@@ -104,7 +109,8 @@ describe('TrelloService', () => {
                     params: {
                         key: trelloService.apiKey,
                         token: trelloService.token,
-                        filter: 'updateCard'
+                        filter: 'updateCard,moveCardToBoard,moveCardFromBoard',
+                        limit: 1000
                     }
                 }
             );
@@ -128,5 +134,316 @@ describe('TrelloService', () => {
 
             await expect(trelloService.getBoardActions('board123')).rejects.toThrow('Network error');
         });
+
+        it('should widen the filter and keep the actions of the tracked events', async () => {
+            const cardData = { card: { id: 'card1', name: 'Card' }, list: { id: 'list1', name: 'To Do' } };
+            mockCacheGet.mockResolvedValueOnce(null);
+            axios.get.mockResolvedValueOnce({
+                data: [
+                    { id: 'a3', type: 'updateCard', date: '2024-01-03T00:00:00.000Z', data: { ...cardData, old: { name: 'Old' } } },
+                    { id: 'a2', type: 'updateCard', date: '2024-01-02T00:00:00.000Z', data: { ...cardData, card: { ...cardData.card, closed: true }, old: { closed: false } } },
+                    { id: 'a1', type: 'createCard', date: '2024-01-01T00:00:00.000Z', data: cardData }
+                ]
+            });
+
+            const result = await trelloService.getBoardActions('board123', false, { events: ['create', 'archive'] });
+
+            expect(axios.get.mock.calls[0][1].params.filter).toBe('createCard,copyCard,updateCard');
+            expect(result.map(({ id }) => id)).toEqual(['a1', 'a2']);
+            expect(mockCacheSet).toHaveBeenCalledWith('board_actions_board123_archive_create', result);
+        });
+
+        it('should raise a not found error for missing boards', async () => {
+            mockCacheGet.mockResolvedValueOnce(null);
+            axios.get.mockRejectedValueOnce({ response: { status: 404, headers: {}, data: 'The requested resource was not found.' } });
+
+            const request = trelloService.getBoardActions('missing');
+            await expect(request).rejects.toThrow(TrelloNotFoundError);
+            await expect(request).rejects.toThrow('Board missing was not found or is not accessible');
+        });
+
+        it('should raise an auth error for rejected credentials', async () => {
+            mockCacheGet.mockResolvedValueOnce(null);
+            axios.get.mockRejectedValueOnce({ response: { status: 401, headers: {}, data: 'invalid token' } });
+
+            await expect(trelloService.getBoardActions('board123')).rejects.toThrow(TrelloAuthError);
+        });
+
+        describe('pagination', () => {
+            const moveAction = (id, date) => ({
+                id,
+                type: 'updateCard',
+                date,
+                data: {
+                    card: { name: `Card ${id}` },
+                    listBefore: { name: 'List 1' },
+                    listAfter: { name: 'List 2' }
+                }
+            });
+
+            beforeEach(() => {
+                trelloService = new TrelloService({ pageSize: 2 });
+            });
+
+            it('should walk every page back to the start of the board', async () => {
+                axios.get
+                    .mockResolvedValueOnce({ data: [
+                        moveAction('a5', '2024-01-05T00:00:00.000Z'),
+                        moveAction('a4', '2024-01-04T00:00:00.000Z')
+                    ] })
+                    .mockResolvedValueOnce({ data: [
+                        moveAction('a3', '2024-01-03T00:00:00.000Z'),
+                        moveAction('a2', '2024-01-02T00:00:00.000Z')
+                    ] })
+                    .mockResolvedValueOnce({ data: [
+                        moveAction('a1', '2024-01-01T00:00:00.000Z')
+                    ] });
+
+                const result = await trelloService.getBoardActions('board123');
+
+                expect(axios.get).toHaveBeenCalledTimes(3);
+                expect(axios.get.mock.calls[0][1].params.before).toBeUndefined();
+                expect(axios.get.mock.calls[1][1].params.before).toBe('a4');
+                expect(axios.get.mock.calls[2][1].params.before).toBe('a2');
+                expect(result.map(action => action.id)).toEqual(['a1', 'a2', 'a3', 'a4', 'a5']);
+            });
+
+            it('should deduplicate actions repeated across pages', async () => {
+                axios.get
+                    .mockResolvedValueOnce({ data: [
+                        moveAction('a3', '2024-01-03T00:00:00.000Z'),
+                        moveAction('a2', '2024-01-02T00:00:00.000Z')
+                    ] })
+                    .mockResolvedValueOnce({ data: [
+                        moveAction('a2', '2024-01-02T00:00:00.000Z'),
+                        moveAction('a1', '2024-01-01T00:00:00.000Z')
+                    ] })
+                    .mockResolvedValueOnce({ data: [] });
+
+                const result = await trelloService.getBoardActions('board123');
+                expect(result.map(action => action.id)).toEqual(['a1', 'a2', 'a3']);
+            });
+
+            it('should stop when a page does not advance', async () => {
+                axios.get
+                    .mockResolvedValueOnce({ data: [
+                        moveAction('a2', '2024-01-02T00:00:00.000Z'),
+                        moveAction('a1', '2024-01-01T00:00:00.000Z')
+                    ] })
+                    .mockResolvedValueOnce({ data: [
+                        moveAction('a1', '2024-01-01T00:00:00.000Z'),
+                        moveAction('a1', '2024-01-01T00:00:00.000Z')
+                    ] });
+
+                const result = await trelloService.getBoardActions('board123');
+                expect(axios.get).toHaveBeenCalledTimes(2);
+                expect(result).toHaveLength(2);
+            });
+
+            it('should pass since to every page request', async () => {
+                axios.get.mockResolvedValueOnce({ data: [
+                    moveAction('a1', '2024-01-01T00:00:00.000Z')
+                ] });
+
+                await trelloService.getBoardActions('board123', false, { since: '2024-01-01' });
+
+                expect(axios.get.mock.calls[0][1].params.since).toBe('2024-01-01');
+            });
+
+            it('should cache the combined result under the board key', async () => {
+                axios.get
+                    .mockResolvedValueOnce({ data: [
+                        moveAction('a3', '2024-01-03T00:00:00.000Z'),
+                        moveAction('a2', '2024-01-02T00:00:00.000Z')
+                    ] })
+                    .mockResolvedValueOnce({ data: [
+                        moveAction('a1', '2024-01-01T00:00:00.000Z')
+                    ] });
+
+                await trelloService.getBoardActions('board123');
+
+                expect(mockCacheSet).toHaveBeenCalledTimes(1);
+                expect(mockCacheSet).toHaveBeenCalledWith(
+                    'board_actions_board123',
+                    [expect.objectContaining({ id: 'a1' }), expect.objectContaining({ id: 'a2' }), expect.objectContaining({ id: 'a3' })]
+                );
+            });
+
+            it('should neither read nor write the cache for history bounded by since', async () => {
+                axios.get.mockResolvedValueOnce({ data: [] });
+
+                await trelloService.getBoardActions('board123', false, { since: '2024-01-01T00:00:00Z' });
+
+                expect(mockCacheGet).not.toHaveBeenCalled();
+                expect(mockCacheSet).not.toHaveBeenCalled();
+                expect(axios.get.mock.calls[0][1].params.since).toBe('2024-01-01T00:00:00Z');
+            });
+        });
+    });
+
+    describe('cross-board moves', () => {
+        const moveFrom = {
+            id: 'from1',
+            type: 'moveCardFromBoard',
+            date: '2024-01-01T10:00:00.000Z',
+            data: {
+                card: { id: 'card1', name: 'Moving Card' },
+                board: { id: 'boardA', name: 'Board A' },
+                boardTarget: { id: 'boardB' },
+                list: { id: 'listA', name: 'Done' }
+            }
+        };
+        const moveTo = {
+            id: 'to1',
+            type: 'moveCardToBoard',
+            date: '2024-01-01T10:00:01.000Z',
+            data: {
+                card: { id: 'card1', name: 'Moving Card' },
+                board: { id: 'boardB', name: 'Board B' },
+                boardSource: { id: 'boardA' },
+                list: { id: 'listB', name: 'Inbox' }
+            }
+        };
+
+        const mockTrello = (routes) => {
+            axios.get.mockImplementation(url => {
+                const route = Object.keys(routes).find(path => url.endsWith(path));
+                return route
+                    ? Promise.resolve({ data: routes[route] })
+                    : Promise.reject(new Error(`Unexpected request ${url}`));
+            });
+        };
+
+        it('should complete a move away from the board with its target', async () => {
+            mockTrello({
+                '/boards/boardA/actions': [moveFrom],
+                '/cards/card1/actions': [moveTo, moveFrom]
+            });
+
+            const [action] = await trelloService.getBoardActions('boardA');
+
+            expect(action.id).toBe('from1');
+            expect(action.date).toBe(moveTo.date);
+            expect(action.data.boardBefore).toEqual({ id: 'boardA', name: 'Board A' });
+            expect(action.data.listBefore).toEqual({ id: 'listA', name: 'Done' });
+            expect(action.data.boardAfter).toEqual({ id: 'boardB', name: 'Board B' });
+            expect(action.data.listAfter).toEqual({ id: 'listB', name: 'Inbox' });
+            expect(action.data.pairedActionId).toBe('to1');
+        });
+
+        it('should resolve both halves of a move to the same movement', async () => {
+            mockTrello({
+                '/boards/boardA/actions': [moveFrom],
+                '/boards/boardB/actions': [moveTo],
+                '/cards/card1/actions': [moveTo, moveFrom]
+            });
+
+            const [fromSide] = await trelloService.getBoardActions('boardA');
+            const [toSide] = await trelloService.getBoardActions('boardB');
+
+            expect(toSide.date).toBe(fromSide.date);
+            expect(toSide.data.boardBefore).toEqual(fromSide.data.boardBefore);
+            expect(toSide.data.listBefore).toEqual(fromSide.data.listBefore);
+            expect(toSide.data.boardAfter).toEqual(fromSide.data.boardAfter);
+            expect(toSide.data.listAfter).toEqual(fromSide.data.listAfter);
+        });
+
+        it('should fall back to known board names when the other half is unavailable', async () => {
+            mockTrello({
+                '/boards/boardB/actions': [moveTo],
+                '/cards/card1/actions': [],
+                '/members/me/boards': [{ id: 'boardA', name: 'Board A' }]
+            });
+
+            const [action] = await trelloService.getBoardActions('boardB');
+
+            expect(action.data.boardBefore).toEqual({ id: 'boardA', name: 'Board A' });
+            expect(action.data.listBefore).toBeNull();
+            expect(action.data.boardAfter).toEqual({ id: 'boardB', name: 'Board B' });
+            expect(action.data.pairedActionId).toBeNull();
+        });
+
+        it('should not pair halves that happened far apart', async () => {
+            const laterMove = { ...moveTo, id: 'to2', date: '2024-02-01T00:00:00.000Z' };
+            mockTrello({
+                '/boards/boardA/actions': [moveFrom],
+                '/cards/card1/actions': [laterMove, moveFrom],
+                '/members/me/boards': []
+            });
+
+            const [action] = await trelloService.getBoardActions('boardA');
+
+            expect(action.data.listAfter).toBeNull();
+            expect(action.data.boardAfter).toEqual({ id: 'boardB', name: 'boardB' });
+        });
+    });
+
+    describe('getLists', () => {
+        it('should fetch every list of the board and cache it', async () => {
+            axios.get.mockResolvedValueOnce({
+                data: [
+                    { id: 'list1', name: 'In Progress', pos: 1 },
+                    { id: 'list2', name: 'Old', closed: true }
+                ]
+            });
+
+            const lists = await trelloService.getLists('board1');
+
+            expect(axios.get.mock.calls[0][0]).toBe('https://api.trello.com/1/boards/board1/lists');
+            expect(axios.get.mock.calls[0][1].params.filter).toBe('all');
+            expect(lists).toEqual([
+                { id: 'list1', name: 'In Progress', closed: false },
+                { id: 'list2', name: 'Old', closed: true }
+            ]);
+            expect(mockCacheSet).toHaveBeenCalledWith('board_lists_board1', lists);
+        });
+
+        it('should return cached lists if available', async () => {
+            mockCacheGet.mockResolvedValueOnce([{ id: 'list1', name: 'Cached', closed: false }]);
+
+            expect(await trelloService.getLists('board1')).toEqual([{ id: 'list1', name: 'Cached', closed: false }]);
+            expect(axios.get).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getCardDetails', () => {
+        const card = id => ({
+            id,
+            labels: [{ name: 'Bug', color: 'red' }, { name: '', color: 'green' }],
+            members: [{ fullName: 'Ada Lovelace', username: 'ada' }, { username: 'grace' }],
+            due: '2024-01-05T12:00:00.000Z'
+        });
+
+        it('should fetch the cards in batches of ten', async () => {
+            const ids = Array.from({ length: 12 }, (_, index) => `card${index}`);
+            axios.get.mockImplementation((url, { params }) => Promise.resolve({
+                data: params.urls.split(',').map(route => ({ '200': card(route.split('/')[2].split('?')[0]) }))
+            }));
+
+            const details = await trelloService.getCardDetails('board1', ids);
+
+            expect(axios.get).toHaveBeenCalledTimes(2);
+            expect(axios.get.mock.calls[0][0]).toBe('https://api.trello.com/1/batch');
+            expect(details.get('card11')).toEqual({
+                labels: 'Bug, green',
+                members: 'Ada Lovelace, grace',
+                due: '2024-01-05T12:00:00.000Z'
+            });
+            expect(mockCacheSet).toHaveBeenCalledWith('card_details_board1', expect.objectContaining({
+                card0: expect.any(Object)
+            }));
+        });
+
+        it('should only fetch the cards missing from the cache', async () => {
+            mockCacheGet.mockResolvedValueOnce({ card1: { labels: 'Cached', members: '', due: '' } });
+            axios.get.mockResolvedValueOnce({ data: [{ '404': 'not found' }] });
+
+            const details = await trelloService.getCardDetails('board1', ['card1', 'card2']);
+
+            expect(axios.get).toHaveBeenCalledTimes(1);
+            expect(axios.get.mock.calls[0][1].params.urls).toBe('/cards/card2?members=true');
+            expect(details.get('card1').labels).toBe('Cached');
+            expect(details.get('card2')).toEqual({ labels: '', members: '', due: '' });
+        });
     });
 });
@@ -0,0 +1,83 @@
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * @typedef {import('./analyticsService').AgingCard} AgingCard
+ */
+
+/**
+ * @typedef {Object} AlertReport
+ * @property {string} generatedAt - ISO time of the check
+ * @property {string} text - One-line summary, shown by chat webhooks such as Slack's
+ * @property {AgingCard[]} cards - Cards stuck in their list
+ */
+
+/**
+ * Service for delivering aging-card alerts to a JSON file or a webhook
+ */
+class AlertService {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.timeout=10000] - Milliseconds to wait for the webhook
+     */
+    constructor(options = {}) {
+        this.timeout = options.timeout || 10000;
+    }
+
+    /**
+     * Build the alert report of aging cards
+     * @param {AgingCard[]} cards
+     * @param {Date} [now=new Date()] - Time of the check
+     * @returns {AlertReport}
+     */
+    static createReport(cards, now = new Date()) {
+        const stuck = cards.map(card =>
+            `${card.cardName} (${card.list}, ${card.days} days > ${card.thresholdDays})`);
+
+        return {
+            generatedAt: now.toISOString(),
+            text: cards.length === 0
+                ? 'No cards stuck in their list'
+                : `${cards.length} ${cards.length === 1 ? 'card' : 'cards'} stuck in their list: ${stuck.join('; ')}`,
+            cards
+        };
+    }
+
+    /**
+     * Write the report to a JSON file, replacing the previous one. The file
+     * is written to a temporary file first, so readers never see half of it.
+     * @param {string} filePath - JSON file path
+     * @param {AlertReport} report
+     * @returns {Promise<void>}
+     */
+    async writeFile(filePath, report) {
+        const dir = path.dirname(filePath);
+        await fs.mkdir(dir, { recursive: true });
+
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, `${JSON.stringify(report, null, 2)}\n`, 'utf8');
+        await fs.rename(tempPath, filePath);
+
+        console.log(`Alerts written to ${filePath}`);
+    }
+
+    /**
+     * Post the report as JSON to a webhook
+     * @param {string} url - Webhook URL
+     * @param {AlertReport} report
+     * @returns {Promise<void>}
+     * @throws {Error} When the webhook cannot be reached or does not answer with a 2xx status
+     */
+    async postWebhook(url, report) {
+        try {
+            await axios.post(url, report, { timeout: this.timeout });
+            console.log(`Alerts sent to ${new URL(url).host}`);
+        } catch (error) {
+            const reason = error.response ? `status ${error.response.status}` : error.message;
+            throw new Error(`Failed to send alerts to the webhook: ${reason}`);
+        }
+    }
+}
+
+module.exports = AlertService;
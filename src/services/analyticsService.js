@@ -0,0 +1,658 @@
+const { resolveWorkflow, classifyTransition, isRegression } = require('../utils/workflow');
+
+/**
+ * @typedef {import('../utils/movements').Movement} Movement
+ */
+
+/**
+ * @typedef {Object} CardMetrics
+ * @property {string} cardId - Trello card ID, empty for rows recorded without one
+ * @property {string} cardName - Latest known name of the card
+ * @property {Object<string, number>} timeInList - Milliseconds spent in each list
+ * @property {number|null} leadTime - Milliseconds from the first to the last recorded move
+ * @property {number|null} cycleTime - Milliseconds from entering the cycle start list to entering the cycle end list
+ */
+
+/**
+ * @typedef {Object} ListSummary
+ * @property {string} list - List name
+ * @property {number} cards - Number of cards that left the list
+ * @property {number} mean - Average time in list in milliseconds
+ * @property {number} median - Median time in list in milliseconds
+ * @property {number} p85 - 85th percentile time in list in milliseconds
+ * @property {number} max - Longest time in list in milliseconds
+ */
+
+/**
+ * @typedef {Object} CumulativeFlowOptions
+ * @property {string|Date} [from] - First date of the range, defaults to the first movement
+ * @property {string|Date} [to] - Last date of the range, defaults to today
+ * @property {'day'|'week'} [interval='day'] - Time between two snapshots
+ */
+
+/**
+ * @typedef {Object} ThroughputOptions
+ * @property {string|Date} [from] - A date in the first week, defaults to the first movement
+ * @property {string|Date} [to] - A date in the last week, defaults to today
+ */
+
+/**
+ * @typedef {Object} AgingCard
+ * @property {string} cardId - Trello card ID, empty for rows recorded without one
+ * @property {string} cardName - Latest known name of the card
+ * @property {string} boardName - Board of the card's latest move
+ * @property {string} list - Current list, under its latest name
+ * @property {string} since - ISO timestamp of the move into the list
+ * @property {number} days - Days in the list so far
+ * @property {number} thresholdDays - Days the list allows
+ */
+
+/**
+ * @typedef {Object} MovementFilters
+ * @property {string} [member] - Name or ID of a member who moved the card
+ * @property {string} [label] - One of the card's labels
+ * @property {string} [assignee] - One of the card's members
+ */
+
+/**
+ * @typedef {Object} Dashboard
+ * @property {{ columns: string[], rows: Array<Array<string|number>> }} throughput - Cards done per week
+ * @property {{ columns: string[], rows: Array<Array<string|number>> }} timeInList - Time in list statistics in days
+ * @property {{ columns: string[], rows: Array<Array<string|number>> }} cumulativeFlow - Weekly cumulative flow
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const INTERVALS = {
+    day: DAY,
+    week: 7 * DAY
+};
+
+/**
+ * Service for computing flow metrics from the movement history
+ */
+class AnalyticsService {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.cycleStartList] - List whose entry starts the cycle time
+     * @param {string} [options.cycleEndList] - List whose entry ends the cycle time
+     * @param {string[]} [options.doneLists] - Lists where cards count as done, defaults to the cycle end
+     *     list, else to the lists with "done" in their name
+     * @param {import('../utils/workflow').WorkflowSettings} [options.workflow] - Workflow stages of the lists
+     */
+    constructor(options = {}) {
+        this.cycleStartList = options.cycleStartList || null;
+        this.cycleEndList = options.cycleEndList || null;
+        this.doneLists = options.doneLists || (this.cycleEndList ? [this.cycleEndList] : null);
+        this.workflow = options.workflow || {};
+    }
+
+    /**
+     * Whether a movement puts a card in a list: a move or a creation. Other
+     * card events leave the card where it is and are ignored by the metrics.
+     * @private
+     * @param {Movement} movement
+     * @returns {boolean}
+     */
+    static isPlacement(movement) {
+        const { listBeforeId, listAfterId } = movement;
+        return ['', 'move', 'create'].includes(movement.eventType || '') && (listBeforeId && listAfterId
+            ? listBeforeId !== listAfterId
+            : movement.oldLocation !== movement.newLocation);
+    }
+
+    /**
+     * List names of a movement without the board prefix of cross-board
+     * moves. The side of a cross-board move on the board it was recorded on
+     * is located as that board's name and a name its list ID is recorded
+     * under in other movements; the other side's board, and so its name, is
+     * unknown. A move into a list known from nothing else keeps its location.
+     * @private
+     * @param {Movement} movement
+     * @param {Map<string, Set<string>>} locations - Locations recorded per list ID
+     * @returns {[string|null, string|null]} Bare names of the previous and new lists
+     */
+    static getListNames({ oldLocation, newLocation, listBeforeId, listAfterId, boardName }, locations) {
+        const prefix = `${boardName} / `;
+        const onBoard = (id, location) => Boolean(boardName) && location.startsWith(prefix) &&
+            Boolean(locations.get(id)) && locations.get(id).has(location.slice(prefix.length));
+
+        if (onBoard(listBeforeId, oldLocation)) return [oldLocation.slice(prefix.length), null];
+        if (onBoard(listAfterId, newLocation)) return [null, newLocation.slice(prefix.length)];
+        return [oldLocation, newLocation];
+    }
+
+    /**
+     * Name every list after its latest recorded name, matched by list ID, so
+     * the metrics group the moves of a list by its ID and renamed lists are
+     * counted as one. Names come from the bare list names, the board-prefixed
+     * locations of cross-board moves only naming lists known from nothing
+     * else. Rows without list IDs keep their names.
+     * @private
+     * @param {Movement[]} movements
+     * @returns {Movement[]}
+     */
+    static useLatestListNames(movements) {
+        const recorded = new Map();
+        const record = (id, location) => {
+            if (!id) return;
+            if (!recorded.has(id)) recorded.set(id, new Set());
+            recorded.get(id).add(location);
+        };
+        movements.forEach(({ listBeforeId, oldLocation, listAfterId, newLocation }) => {
+            record(listBeforeId, oldLocation);
+            record(listAfterId, newLocation);
+        });
+
+        const names = new Map();
+        const locations = new Map();
+        [...movements]
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .forEach(movement => {
+                const { listBeforeId, oldLocation, listAfterId, newLocation } = movement;
+                const [before, after] = AnalyticsService.getListNames(movement, recorded);
+                if (listBeforeId) {
+                    locations.set(listBeforeId, oldLocation);
+                    if (before) names.set(listBeforeId, before);
+                }
+                if (listAfterId) {
+                    locations.set(listAfterId, newLocation);
+                    if (after) names.set(listAfterId, after);
+                }
+            });
+        const nameOf = (id, location) => names.get(id) || locations.get(id) || location;
+
+        return movements.map(movement => ({
+            ...movement,
+            oldLocation: nameOf(movement.listBeforeId, movement.oldLocation),
+            newLocation: nameOf(movement.listAfterId, movement.newLocation)
+        }));
+    }
+
+    /**
+     * Group the placements of cards by card, each group sorted chronologically,
+     * with lists named after their latest name
+     * @private
+     * @param {Movement[]} movements
+     * @returns {Movement[][]}
+     */
+    static groupByCard(movements) {
+        const cards = new Map();
+
+        AnalyticsService.useLatestListNames(movements).filter(AnalyticsService.isPlacement).forEach(movement => {
+            const key = movement.cardId || movement.cardName;
+            if (!cards.has(key)) cards.set(key, []);
+            cards.get(key).push(movement);
+        });
+
+        return Array.from(cards.values()).map(cardMovements =>
+            cardMovements.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        );
+    }
+
+    /**
+     * Compute time-in-list, lead time and cycle time for every card
+     * @param {Movement[]} movements - Movement history
+     * @returns {CardMetrics[]}
+     */
+    computeCardMetrics(movements) {
+        return AnalyticsService.groupByCard(movements).map(cardMovements => {
+            const timeInList = {};
+
+            // A card sits in the list it moved to until its next move
+            for (let i = 0; i < cardMovements.length - 1; i++) {
+                const list = cardMovements[i].newLocation;
+                if (!list || list === 'N/A') continue;
+
+                const duration = new Date(cardMovements[i + 1].timestamp) -
+                    new Date(cardMovements[i].timestamp);
+                timeInList[list] = (timeInList[list] || 0) + duration;
+            }
+
+            const first = cardMovements[0];
+            const last = cardMovements[cardMovements.length - 1];
+
+            return {
+                cardId: last.cardId || '',
+                cardName: last.cardName,
+                timeInList,
+                leadTime: cardMovements.length > 1
+                    ? new Date(last.timestamp) - new Date(first.timestamp)
+                    : null,
+                cycleTime: this.computeCycleTime(cardMovements)
+            };
+        });
+    }
+
+    /**
+     * Time from first entering the cycle start list to then entering the cycle end list
+     * @private
+     * @param {Movement[]} cardMovements - Chronological movements of one card
+     * @returns {number|null}
+     */
+    computeCycleTime(cardMovements) {
+        if (!this.cycleStartList || !this.cycleEndList) return null;
+
+        const start = cardMovements.find(m => m.newLocation === this.cycleStartList);
+        if (!start) return null;
+
+        const end = cardMovements.find(m =>
+            m.newLocation === this.cycleEndList &&
+            new Date(m.timestamp) >= new Date(start.timestamp)
+        );
+        if (!end) return null;
+
+        return new Date(end.timestamp) - new Date(start.timestamp);
+    }
+
+    /**
+     * Summarize time in list across cards
+     * @param {CardMetrics[]} cardMetrics
+     * @returns {ListSummary[]}
+     */
+    summarizeLists(cardMetrics) {
+        const durations = new Map();
+
+        cardMetrics.forEach(({ timeInList }) => {
+            Object.entries(timeInList).forEach(([list, duration]) => {
+                if (!durations.has(list)) durations.set(list, []);
+                durations.get(list).push(duration);
+            });
+        });
+
+        return Array.from(durations.entries()).map(([list, values]) => {
+            const sorted = [...values].sort((a, b) => a - b);
+            return {
+                list,
+                cards: sorted.length,
+                mean: sorted.reduce((total, value) => total + value, 0) / sorted.length,
+                median: AnalyticsService.percentile(sorted, 50),
+                p85: AnalyticsService.percentile(sorted, 85),
+                max: sorted[sorted.length - 1]
+            };
+        });
+    }
+
+    /**
+     * Nearest-rank percentile of sorted values
+     * @private
+     * @param {number[]} sorted - Values in ascending order
+     * @param {number} percentile - Percentile between 0 and 100
+     * @returns {number}
+     */
+    static percentile(sorted, percentile) {
+        const rank = Math.ceil((percentile / 100) * sorted.length);
+        return sorted[Math.max(rank - 1, 0)];
+    }
+
+    /**
+     * Flatten card metrics into table rows with durations in days
+     * @param {CardMetrics[]} cardMetrics
+     * @returns {{ columns: string[], rows: Array<Array<string|number>> }}
+     */
+    toTable(cardMetrics) {
+        const lists = Array.from(new Set(
+            cardMetrics.flatMap(({ timeInList }) => Object.keys(timeInList))
+        ));
+
+        const columns = [
+            'Card Name',
+            'Card ID',
+            'Lead Time (days)',
+            'Cycle Time (days)',
+            ...lists.map(list => `Time in ${list} (days)`)
+        ];
+
+        const rows = cardMetrics.map(metrics => [
+            metrics.cardName,
+            metrics.cardId,
+            AnalyticsService.toDays(metrics.leadTime),
+            AnalyticsService.toDays(metrics.cycleTime),
+            ...lists.map(list => AnalyticsService.toDays(metrics.timeInList[list]))
+        ]);
+
+        return { columns, rows };
+    }
+
+    /**
+     * Format the per-list summary as a table with durations in days
+     * @param {ListSummary[]} summary
+     * @returns {{ columns: string[], rows: Array<Array<string|number>> }}
+     */
+    toListTable(summary) {
+        return {
+            columns: ['List', 'Cards', 'Average (days)', 'Median (days)', 'P85 (days)', 'Max (days)'],
+            rows: summary.map(({ list, cards, mean, median, p85, max }) => [
+                list,
+                cards,
+                ...[mean, median, p85, max].map(AnalyticsService.toDays)
+            ])
+        };
+    }
+
+    /**
+     * Whether a card is done once it reaches a list
+     * @private
+     * @param {string} list - List name
+     * @returns {boolean}
+     */
+    isDoneList(list) {
+        return this.doneLists
+            ? this.doneLists.includes(list)
+            : /\bdone\b/i.test(list || '');
+    }
+
+    /**
+     * Count the cards reaching a done list in every week, Monday to Sunday
+     * in UTC. A card counts once, in the week it was first done.
+     * @param {Movement[]} movements - Movement history
+     * @param {ThroughputOptions} [options]
+     * @returns {{ columns: string[], rows: Array<Array<string|number>> }} One row per week, by its Monday
+     */
+    computeThroughput(movements, options = {}) {
+        const cards = AnalyticsService.groupByCard(movements);
+        const columns = ['Week', 'Cards Done'];
+
+        if (movements.length === 0) {
+            return { columns, rows: [] };
+        }
+
+        const counts = new Map();
+        cards.forEach(cardMovements => {
+            const done = cardMovements.find(({ newLocation }) => this.isDoneList(newLocation));
+            if (!done) return;
+
+            const week = AnalyticsService.startOfWeek(done.timestamp);
+            counts.set(week, (counts.get(week) || 0) + 1);
+        });
+
+        const earliest = movements.reduce((min, { timestamp }) => Math.min(min, new Date(timestamp).getTime()), Infinity);
+        const from = AnalyticsService.startOfWeek(options.from || earliest);
+        const to = AnalyticsService.startOfWeek(options.to || new Date());
+
+        const rows = [];
+        for (let week = from; week <= to; week += INTERVALS.week) {
+            rows.push([new Date(week).toISOString().slice(0, 10), counts.get(week) || 0]);
+        }
+
+        return { columns, rows };
+    }
+
+    /**
+     * Count the moves of every member and the cards they moved to a done
+     * list first. Creations put a card in a list but are not moves. Moves
+     * recorded without a member are counted as "Unknown".
+     * @param {Movement[]} movements - Movement history
+     * @returns {{ columns: string[], rows: Array<Array<string|number>> }} One row per member, most cards done first
+     */
+    computeMemberActivity(movements) {
+        const members = new Map();
+        const memberOf = ({ memberName, memberId }) => {
+            const name = memberName || memberId || 'Unknown';
+            if (!members.has(name)) members.set(name, { moves: 0, done: 0 });
+            return members.get(name);
+        };
+
+        movements
+            .filter(movement => AnalyticsService.isPlacement(movement) && movement.eventType !== 'create')
+            .forEach(movement => {
+                memberOf(movement).moves++;
+            });
+        AnalyticsService.groupByCard(movements).forEach(cardMovements => {
+            const done = cardMovements.find(({ newLocation }) => this.isDoneList(newLocation));
+            if (done) memberOf(done).done++;
+        });
+
+        const rows = Array.from(members, ([name, { moves, done }]) => [name, moves, done])
+            .sort((a, b) => b[2] - a[2] || b[1] - a[1] || a[0].localeCompare(b[0]));
+
+        return { columns: ['Member', 'Moves', 'Cards Done'], rows };
+    }
+
+    /**
+     * List the moves going back to an earlier stage of their board's
+     * workflow, re-opened cards included, oldest first. Lists are matched
+     * by ID and under their latest name, so the stages of renamed lists apply.
+     * @param {Movement[]} movements - Movement history
+     * @returns {{ columns: string[], rows: Array<Array<string>> }} One row per regression
+     * @throws {import('../errors').ConfigError} When a list is mapped to an unknown stage
+     */
+    computeRegressions(movements) {
+        const workflows = new Map();
+        const workflowOf = boardId => {
+            if (!workflows.has(boardId)) workflows.set(boardId, resolveWorkflow(this.workflow, boardId));
+            return workflows.get(boardId);
+        };
+
+        const rows = AnalyticsService.useLatestListNames(movements)
+            .map(movement => {
+                const workflow = workflowOf(movement.boardId);
+                return { movement, transition: workflow ? classifyTransition(movement, workflow) : '' };
+            })
+            .filter(({ transition }) => isRegression(transition))
+            .sort((a, b) => new Date(a.movement.timestamp) - new Date(b.movement.timestamp))
+            .map(({ movement, transition }) => [
+                movement.timestamp,
+                movement.cardName,
+                movement.oldLocation,
+                movement.newLocation,
+                transition,
+                movement.memberName || ''
+            ]);
+
+        return { columns: ['Timestamp', 'Card', 'From', 'To', 'Transition', 'Moved By'], rows };
+    }
+
+    /**
+     * Find the open cards that have been in their current list longer than
+     * the list allows. A card is open unless its latest event archived or
+     * deleted it; cards in lists without a threshold are never reported.
+     * @param {Movement[]} movements - Movement history
+     * @param {Object<string, number>} thresholds - Days allowed in each list, by list name or list ID
+     * @param {Date} [now=new Date()] - Time the card ages are computed at
+     * @returns {AgingCard[]} Aging cards, the longest in their list first
+     */
+    computeAgingCards(movements, thresholds, now = new Date()) {
+        const closed = new Set();
+        [...movements]
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .forEach(({ cardId, cardName, eventType }) => {
+                const card = cardId || cardName;
+                if (eventType === 'archive' || eventType === 'delete') closed.add(card);
+                else if (eventType === 'unarchive') closed.delete(card);
+            });
+
+        return AnalyticsService.groupByCard(movements)
+            .map(cardMovements => cardMovements[cardMovements.length - 1])
+            .filter(latest => !closed.has(latest.cardId || latest.cardName))
+            .map(latest => {
+                const thresholdDays = thresholds[latest.listAfterId] || thresholds[latest.newLocation];
+                const days = (now - new Date(latest.timestamp)) / DAY;
+                return thresholdDays && days > thresholdDays && {
+                    cardId: latest.cardId,
+                    cardName: latest.cardName,
+                    boardName: latest.boardName,
+                    list: latest.newLocation,
+                    since: latest.timestamp,
+                    days: Math.round(days * 10) / 10,
+                    thresholdDays
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.days - a.days);
+    }
+
+    /**
+     * Convert aging cards to a table
+     * @param {AgingCard[]} agingCards
+     * @returns {{ columns: string[], rows: Array<Array<string|number>> }}
+     */
+    toAgingTable(agingCards) {
+        return {
+            columns: ['Card', 'List', 'Days in List', 'Threshold Days', 'Since', 'Board', 'Card ID'],
+            rows: agingCards.map(card => [
+                card.cardName,
+                card.list,
+                card.days,
+                card.thresholdDays,
+                card.since,
+                card.boardName,
+                card.cardId
+            ])
+        };
+    }
+
+    /**
+     * Keep the movements matching every filter, compared case-insensitively.
+     * Labels and assignees match one entry of the comma-separated field. The
+     * member selects cards rather than moves: every move of a card the member
+     * moved is kept, so the card's time in lists and flow stay whole.
+     * @param {Movement[]} movements - Movement history
+     * @param {MovementFilters} filters
+     * @returns {Movement[]}
+     */
+    static filterMovements(movements, filters) {
+        const normalize = value => String(value || '').trim().toLowerCase();
+        const includes = (list, value) => normalize(list).split(',').map(item => item.trim()).includes(value);
+        const cardKey = movement => movement.cardId || movement.cardName;
+
+        const member = normalize(filters.member);
+        const label = normalize(filters.label);
+        const assignee = normalize(filters.assignee);
+
+        const memberCards = new Set(movements
+            .filter(movement => normalize(movement.memberName) === member || normalize(movement.memberId) === member)
+            .map(cardKey));
+
+        return movements.filter(movement =>
+            (!member || memberCards.has(cardKey(movement))) &&
+            (!label || includes(movement.labels, label)) &&
+            (!assignee || includes(movement.members, assignee))
+        );
+    }
+
+    /**
+     * Compute the tables of the metrics dashboard
+     * @param {Movement[]} movements - Movement history
+     * @returns {Dashboard}
+     */
+    computeDashboard(movements) {
+        return {
+            throughput: this.computeThroughput(movements),
+            timeInList: this.toListTable(this.summarizeLists(this.computeCardMetrics(movements))),
+            cumulativeFlow: this.computeCumulativeFlow(movements, { interval: 'week' })
+        };
+    }
+
+    /**
+     * Rebuild how many cards were in each list at the end of every day or week.
+     * A card is counted from its first recorded move onwards, in the list it
+     * moved to most recently.
+     * @param {Movement[]} movements - Movement history
+     * @param {CumulativeFlowOptions} [options]
+     * @returns {{ columns: string[], rows: Array<Array<string|number>> }}
+     *     One row per date and one column per list, lists in order of first appearance
+     */
+    computeCumulativeFlow(movements, options = {}) {
+        const { interval = 'day' } = options;
+        const step = INTERVALS[interval];
+        if (!step) {
+            throw new Error(`Unknown interval "${interval}", expected one of: ${Object.keys(INTERVALS).join(', ')}`);
+        }
+
+        const cards = AnalyticsService.groupByCard(movements);
+        const sorted = cards.flat()
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        const lists = Array.from(new Set(
+            sorted.flatMap(({ oldLocation, newLocation }) => [oldLocation, newLocation])
+        )).filter(list => list && list !== 'N/A');
+
+        if (sorted.length === 0) {
+            return { columns: ['Date', ...lists], rows: [] };
+        }
+
+        const from = AnalyticsService.startOfDay(options.from || sorted[0].timestamp);
+        const to = AnalyticsService.startOfDay(options.to || new Date());
+
+        const rows = [];
+        for (let start = from; start <= to; start += step) {
+            // Each row is a snapshot at the end of the last day of its period
+            const date = Math.min(start + step - DAY, to);
+            const endOfPeriod = date + DAY - 1;
+            const counts = Object.fromEntries(lists.map(list => [list, 0]));
+
+            cards.forEach(cardMovements => {
+                let current = null;
+                for (const movement of cardMovements) {
+                    if (new Date(movement.timestamp).getTime() > endOfPeriod) break;
+                    current = movement.newLocation;
+                }
+                if (current in counts) counts[current]++;
+            });
+
+            rows.push([
+                new Date(date).toISOString().slice(0, 10),
+                ...lists.map(list => counts[list])
+            ]);
+        }
+
+        return { columns: ['Date', ...lists], rows };
+    }
+
+    /**
+     * Timestamp of the start of the UTC day of a date
+     * @private
+     * @param {string|Date} date
+     * @returns {number}
+     */
+    static startOfDay(date) {
+        const time = new Date(date).getTime();
+        if (Number.isNaN(time)) {
+            throw new Error(`Invalid date: ${date}`);
+        }
+        return time - (time % DAY);
+    }
+
+    /**
+     * Timestamp of the start of the Monday of the UTC week of a date
+     * @private
+     * @param {string|Date|number} date
+     * @returns {number}
+     */
+    static startOfWeek(date) {
+        const day = AnalyticsService.startOfDay(date);
+        return day - ((new Date(day).getUTCDay() + 6) % 7) * DAY;
+    }
+
+    /**
+     * Format the per-list summary for printing
+     * @param {ListSummary[]} summary
+     * @returns {string}
+     */
+    formatSummary(summary) {
+        if (summary.length === 0) {
+            return 'No completed time-in-list intervals yet';
+        }
+
+        const lines = summary.map(({ list, cards, median, p85, max }) =>
+            `${list}: ${cards} cards, median ${AnalyticsService.toDays(median)}d, ` +
+            `p85 ${AnalyticsService.toDays(p85)}d, max ${AnalyticsService.toDays(max)}d`
+        );
+
+        return ['Time in list:', ...lines.map(line => `  ${line}`)].join('\n');
+    }
+
+    /**
+     * Convert milliseconds to days rounded to two decimals
+     * @private
+     * @param {number|null|undefined} duration
+     * @returns {number|string} Days, or an empty string when unknown
+     */
+    static toDays(duration) {
+        if (duration === null || duration === undefined) return '';
+        return Math.round((duration / DAY) * 100) / 100;
+    }
+}
+
+module.exports = AnalyticsService;
@@ -8,6 +8,18 @@ const path = require('path');
  * @property {number} [staleAfter=3600000] - Time after which to check for updates
  */
 
+/**
+ * @typedef {Object} CacheStats
+ * @property {string} path - Cache directory
+ * @property {number} entries - Number of cached keys
+ * @property {number} size - Total size in bytes
+ * @property {number} fresh - Entries younger than staleAfter
+ * @property {number} stale - Entries refreshed in the background on their next read
+ * @property {number} expired - Expired or unreadable entries, removed by prune
+ * @property {string|null} oldest - ISO date of the oldest entry
+ * @property {string|null} newest - ISO date of the newest entry
+ */
+
 /**
  * Service for handling file-based caching
  */
@@ -149,6 +161,101 @@ class CacheService {
             throw error;
         }
     }
+
+    /**
+     * Lists cache entries with their write time
+     * @private
+     * @returns {Promise<Array<{ filePath: string, size: number, timestamp: number|null }>>}
+     */
+    async listEntries() {
+        let files;
+        try {
+            files = await fs.readdir(this.cachePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        return Promise.all(files
+            .filter(file => file.endsWith('.json'))
+            .map(async file => {
+                const filePath = path.join(this.cachePath, file);
+                const data = await fs.readFile(filePath, 'utf8');
+
+                let timestamp = null;
+                try {
+                    timestamp = JSON.parse(data).timestamp || null;
+                } catch {
+                    // Unreadable entries have no age and count as expired
+                }
+
+                return { filePath, size: Buffer.byteLength(data), timestamp };
+            }));
+    }
+
+    /**
+     * Checks whether an entry is past its lifetime or unreadable
+     * @private
+     * @param {{ timestamp: number|null }} entry
+     * @param {number} now
+     * @returns {boolean}
+     */
+    isExpired(entry, now) {
+        return entry.timestamp === null || now - entry.timestamp > this.cacheLifetime;
+    }
+
+    /**
+     * Summarizes the cache content
+     * @returns {Promise<CacheStats>}
+     */
+    async stats() {
+        const entries = await this.listEntries();
+        const now = Date.now();
+        const timestamps = entries
+            .map(({ timestamp }) => timestamp)
+            .filter(timestamp => timestamp !== null);
+
+        const expired = entries.filter(entry => this.isExpired(entry, now)).length;
+        const stale = entries.filter(entry =>
+            !this.isExpired(entry, now) && now - entry.timestamp > this.staleAfter
+        ).length;
+
+        return {
+            path: this.cachePath,
+            entries: entries.length,
+            size: entries.reduce((total, { size }) => total + size, 0),
+            fresh: entries.length - expired - stale,
+            stale,
+            expired,
+            oldest: timestamps.length ? new Date(Math.min(...timestamps)).toISOString() : null,
+            newest: timestamps.length ? new Date(Math.max(...timestamps)).toISOString() : null
+        };
+    }
+
+    /**
+     * Deletes every cache entry
+     * @returns {Promise<number>} Number of deleted entries
+     */
+    async clear() {
+        const entries = await this.listEntries();
+        await Promise.all(entries.map(({ filePath }) => fs.unlink(filePath)));
+        return entries.length;
+    }
+
+    /**
+     * Deletes expired and unreadable cache entries
+     * @returns {Promise<number>} Number of deleted entries
+     */
+    async prune() {
+        const now = Date.now();
+        const expired = (await this.listEntries())
+            .filter(entry => this.isExpired(entry, now));
+
+        await Promise.all(expired.map(({ filePath }) => fs.unlink(filePath)));
+        return expired.length;
+    }
 }
 
 module.exports = CacheService;
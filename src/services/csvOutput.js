@@ -0,0 +1,17 @@
+const CsvService = require('./csvService');
+const PartitionedCsvService = require('./partitionedCsvService');
+
+/**
+ * Service of the movements file for the csv settings: a single file, or
+ * one file per month when `partition` is `month`
+ * @param {string} outputPath - Path to CSV file
+ * @param {Object} [options] - csv settings, see CsvService
+ * @returns {CsvService|PartitionedCsvService}
+ */
+function createCsvService(outputPath, options = {}) {
+    return options.partition === 'month'
+        ? new PartitionedCsvService(outputPath, options)
+        : new CsvService(outputPath, options);
+}
+
+module.exports = { createCsvService };
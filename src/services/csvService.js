@@ -1,110 +1,262 @@
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
 const path = require('path');
-const { createObjectCsvWriter } = require('csv-writer');
+const { createObjectCsvStringifier, createArrayCsvStringifier } = require('csv-writer');
 const csv = require('csv-parse');
+const {
+    mergeMovements,
+    selectNewMovements,
+    normalizeMovement,
+    getMovementKey,
+    getLegacyMovementKey
+} = require('../utils/movements');
+const {
+    DEFAULT_TITLES,
+    resolveFormat,
+    isSameFormat,
+    detectFormat,
+    addDerivedFields
+} = require('../utils/csvSchema');
+const FileIndex = require('./fileIndex');
 
 /**
- * @typedef {Object} Movement
- * @property {string} cardName - Name of the card
- * @property {string} oldLocation - Previous location
- * @property {string} newLocation - New location
- * @property {string} timestamp - ISO timestamp
+ * @typedef {import('../utils/movements').Movement} Movement
+ * @typedef {import('../utils/csvSchema').CsvFormat} CsvFormat
+ * @typedef {import('../utils/csvSchema').CsvSchemaOptions} CsvSchemaOptions
  */
 
+/**
+ * @typedef {Object} CsvIndex
+ * @property {number} size - Size in bytes of the CSV file when the index was written
+ * @property {CsvFormat} format - Format of the CSV file
+ * @property {string[]} keys - Movement key of every row
+ * @property {Object<string, string>} lastMoves - Timestamp of the latest move of every card
+ */
+
+// Records stringified at once when writing a whole file
+const WRITE_CHUNK = 10000;
+
+// Bytes read to detect the format of a file, enough for its header line
+const HEAD_SIZE = 64 * 1024;
+
 class CsvService {
     /**
      * @param {string} outputPath - Path to CSV file
-     * @param {Object} [options]
-     * @param {boolean} [options.createDirectory=true] - Create directory if it doesn't exist
+     * @param {CsvSchemaOptions & { createDirectory?: boolean, previousMoves?: Object<string, string> }} [options] -
+     *     Format of the file, e.g. the csv settings, whether to create its directory if it doesn't exist
+     *     (default: true), and the latest move of every card before the file's movements, which
+     *     continue a history kept in other files
      */
     constructor(outputPath, options = {}) {
         this.outputPath = outputPath;
         this.createDirectory = options.createDirectory ?? true;
-        this.headers = [
-            { id: 'cardName', title: 'Card Name' },
-            { id: 'oldLocation', title: 'Old Board/List Name' },
-            { id: 'newLocation', title: 'New Board/List Name' },
-            { id: 'timestamp', title: 'Timestamp of Movement' }
-        ];
+        this.previousMoves = options.previousMoves || {};
+        this.format = resolveFormat(options);
+
+        // Indexes written before the format was stored are rebuilt
+        this.fileIndex = new FileIndex(outputPath, {
+            label: 'CSV',
+            isValid: index => Boolean(index.format),
+            getEncoding: index => index.format.encoding
+        });
     }
 
     /**
-     * Initialize CSV writer
+     * Ensure the directory of a file exists
      * @private
-     * @param {boolean} [append=false] - Append to existing file
+     * @param {string} filePath
      */
-    async initializeCsvWriter(append = false) {
-        if (this.createDirectory) {
-            const dir = path.dirname(this.outputPath);
-            try {
-                await fs.access(dir);
-            } catch {
-                await fs.mkdir(dir, { recursive: true });
-            }
+    async ensureDirectory(filePath) {
+        if (!this.createDirectory) return;
+
+        const dir = path.dirname(filePath);
+        try {
+            await fs.access(dir);
+        } catch {
+            await fs.mkdir(dir, { recursive: true });
         }
+    }
 
-        this.csvWriter = createObjectCsvWriter({
-            path: this.outputPath,
-            header: this.headers,
-            append
-        });
+    /**
+     * Path of a report written next to the movements file,
+     * e.g. `card_movements.metrics.csv` for the `metrics` report
+     * @param {string} name - Report name
+     * @returns {string}
+     */
+    getReportPath(name) {
+        const { dir, name: baseName } = path.parse(this.outputPath);
+        return path.join(dir, `${baseName}.${name}.csv`);
     }
 
     /**
-     * Generate unique key for movement
-     * @private
-     * @param {Movement} movement
+     * Path of the index of known movement keys, next to the movements file
      * @returns {string}
      */
-    static getMovementKey(movement) {
-        return `${movement.cardName}-${movement.oldLocation}-${movement.newLocation}-${movement.timestamp}`;
+    getIndexPath() {
+        return this.fileIndex.path;
     }
 
     /**
-     * Read existing movements from CSV
-     * @returns {Promise<Movement[]>}
+     * Read existing movements from CSV, whatever format the file was written in
+     * @returns {Promise<Movement[]>} Movements, empty when the file is missing
+     * @throws {Error} When the file cannot be read or parsed
      */
     async readExistingMovements() {
+        const { movements } = await this.readExistingFile();
+        return movements;
+    }
+
+    /**
+     * Read existing movements together with the format of the file
+     * @private
+     * @param {CsvIndex|null} [index] - Index of the file, read when omitted
+     * @returns {Promise<{ movements: Movement[], format: CsvFormat|null }>}
+     */
+    async readExistingFile(index) {
+        const size = await this.fileIndex.getFileSize();
+        if (!size) return { movements: [], format: null };
+
         try {
-            const fileExists = await fs.access(this.outputPath)
-                .then(() => true)
-                .catch(() => false);
-
-            if (!fileExists) return [];
-
-            const content = await fs.readFile(this.outputPath, 'utf-8');
-            
-            return new Promise((resolve) => {
-                csv.parse(content, {
-                    columns: true,
-                    skip_empty_lines: true,
-                    trim: true
-                }, (err, records) => {
-                    if (err) {
-                        console.error('Error parsing CSV:', err);
-                        resolve([]);
-                        return;
-                    }
+            const known = index === undefined ? await this.fileIndex.read() : index;
+            const format = known && known.size === size ? known.format : await this.detectFileFormat(known);
 
-                    const movements = records.map(record => ({
-                        cardName: record['Card Name'],
-                        oldLocation: record['Old Board/List Name'],
-                        newLocation: record['New Board/List Name'],
-                        timestamp: record['Timestamp of Movement']
-                    }));
-                    resolve(movements);
-                });
-            });
+            const movements = [];
+            await this.readRecords(format, movement => movements.push(movement));
+            return { movements, format };
         } catch (error) {
-            console.error('Error reading existing CSV:', error);
-            return [];
+            throw new Error(`Cannot read CSV file ${this.outputPath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stream the rows of the file, without holding the file in memory
+     * @private
+     * @param {CsvFormat} format - Format of the file
+     * @param {function(Movement): void} onMovement - Called with every row
+     */
+    async readRecords(format, onMovement) {
+        const parser = csv.parse({
+            delimiter: format.delimiter,
+            columns: header => {
+                const titles = header.map(title => title.replace(/^\ufeff/, ''));
+                if (titles.join() !== format.columns.map(({ title }) => title).join()) {
+                    throw new Error(`unexpected header ${titles.join(format.delimiter)}`);
+                }
+                // Columns of unknown content are skipped
+                return format.columns.map(({ id }) => id || false);
+            },
+            skip_empty_lines: true,
+            trim: true
+        });
+        const input = createReadStream(this.outputPath, { encoding: format.encoding });
+        input.on('error', error => parser.destroy(error));
+
+        for await (const record of input.pipe(parser)) {
+            onMovement(normalizeMovement(record));
+        }
+    }
+
+    /**
+     * Work out the format of the file from its header
+     * @private
+     * @param {CsvIndex|null} index - Outdated index, whose titles are recognized too
+     * @returns {Promise<CsvFormat>}
+     */
+    async detectFileFormat(index) {
+        const file = await fs.open(this.outputPath, 'r');
+        let head;
+        try {
+            const { buffer, bytesRead } = await file.read(Buffer.alloc(HEAD_SIZE), 0, HEAD_SIZE, 0);
+            head = buffer.subarray(0, bytesRead);
+        } finally {
+            await file.close();
         }
+
+        const columns = [
+            ...Object.entries(DEFAULT_TITLES).map(([id, title]) => ({ id, title })),
+            ...((index && index.format && index.format.columns) || []),
+            ...this.format.columns
+        ];
+        const titles = new Map(columns.filter(({ id }) => id).map(({ id, title }) => [title, id]));
+
+        return detectFormat(head, { encoding: this.format.encoding, titles });
     }
 
     /**
-     * Write movements to CSV
+     * Index matching the movements file, rebuilt from the file when it
+     * is missing or does not match
+     * @private
+     * @returns {Promise<CsvIndex|null>} Index, null when there is no movements file
+     */
+    async loadIndex() {
+        const loaded = await this.fileIndex.load(async (size, index) => {
+            let format;
+            try {
+                format = await this.detectFileFormat(index);
+            } catch (error) {
+                throw new Error(`Cannot read CSV file ${this.outputPath}: ${error.message}`);
+            }
+
+            const getKey = CsvService.getKeyFunction(format);
+            const rebuilt = { size, format, keys: [], lastMoves: { ...this.previousMoves } };
+            await this.readRecords(format, movement => {
+                rebuilt.keys.push(getKey(movement));
+                addDerivedFields([movement], rebuilt.lastMoves);
+            });
+            return rebuilt;
+        });
+
+        // Earlier files may have gained moves since the index was written
+        if (loaded) {
+            Object.entries(this.previousMoves).forEach(([card, timestamp]) => {
+                const known = loaded.lastMoves[card];
+                if (!known || new Date(timestamp) > new Date(known)) {
+                    loaded.lastMoves[card] = timestamp;
+                }
+            });
+        }
+        return loaded;
+    }
+
+    /**
+     * Timestamp of the latest move of every card, in the file or before it
+     * @returns {Promise<Object<string, string>>} Timestamps by card ID, or card name without IDs
+     */
+    async readLastMoves() {
+        const index = await this.loadIndex();
+        return index ? index.lastMoves : { ...this.previousMoves };
+    }
+
+    /**
+     * Key identifying the movements of a file. Files without the action ID
+     * column can only tell movements apart by their descriptive fields.
+     * @private
+     * @param {CsvFormat} format
+     * @returns {function(Movement): string}
+     */
+    static getKeyFunction(format) {
+        return format.columns.some(({ id }) => id === 'actionId')
+            ? getMovementKey
+            : getLegacyMovementKey;
+    }
+
+    /**
+     * Keys of the movements in the file, from its index
+     * @returns {Promise<Set<string>>} Keys, empty when there is no file
+     */
+    async readKeys() {
+        const index = await this.loadIndex();
+        return new Set(index ? index.keys : []);
+    }
+
+    /**
+     * Write movements to CSV. New rows are appended in chronological order
+     * after the existing ones, which are neither read nor rewritten; only
+     * the index of known movement keys is. A file in another format than
+     * the configured one is migrated to it by a full rewrite, as are older
+     * files whose rows can get identifiers added.
      * @param {Movement[]} movements - New movements to write
-     * @returns {Promise<void>}
+     * @returns {Promise<number>} Number of movements added to the file
      */
     async writeMovements(movements) {
         if (!Array.isArray(movements)) {
@@ -112,41 +264,168 @@ class CsvService {
         }
 
         try {
-            const existingMovements = await this.readExistingMovements();
-            
-            // First deduplicate the new movements array itself
-            const uniqueNewMovements = Array.from(
-                new Map(
-                    movements.map(movement => [CsvService.getMovementKey(movement), movement])
-                ).values()
-            );
-
-            // Then filter against existing movements
-            const existingKeys = new Set(
-                existingMovements.map(CsvService.getMovementKey)
-            );
-
-            const newMovements = uniqueNewMovements.filter(movement => 
-                !existingKeys.has(CsvService.getMovementKey(movement))
-            );
-
-            if (newMovements.length === 0) {
+            const index = await this.loadIndex();
+            const getKey = CsvService.getKeyFunction(this.format);
+            const knownKeys = new Set(index ? index.keys : []);
+
+            const added = selectNewMovements(movements, knownKeys, getKey);
+
+            const migrated = index !== null && !isSameFormat(index.format, this.format);
+            // Rows recorded without identifiers are upgraded in place
+            const upgradable = getKey === getMovementKey && added.some(movement =>
+                movement.actionId && knownKeys.has(getLegacyMovementKey(movement)));
+
+            if (migrated || upgradable) {
+                const { movements: existingMovements } = await this.readExistingFile(index);
+                const { movements: allMovements, added: merged, upgraded } =
+                    mergeMovements(existingMovements, movements);
+
+                await this.replaceFile(allMovements);
+                if (migrated) {
+                    const dropped = index.format.columns.filter(({ id }) => !id).map(({ title }) => title);
+                    if (dropped.length > 0) {
+                        console.error(`Dropped unknown CSV columns: ${dropped.join(', ')}`);
+                    }
+                    console.log(`CSV file ${this.outputPath} migrated to the configured format`);
+                }
+                console.log(`CSV file rewritten with ${merged.length} new records, all entries sorted chronologically`);
+                if (upgraded > 0) {
+                    console.log(`Added identifiers to ${upgraded} existing CSV records`);
+                }
+                return merged.length;
+            }
+
+            if (added.length === 0) {
                 console.log('No new movements to write');
-                return;
+                return 0;
             }
 
-            const allMovements = [...existingMovements, ...newMovements]
-                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            if (!index) {
+                await this.replaceFile(added);
+                console.log(`CSV file created with ${added.length} records`);
+                return added.length;
+            }
 
-            await this.initializeCsvWriter(false);
-            await this.csvWriter.writeRecords(allMovements);
-            
-            console.log(`CSV file updated with ${newMovements.length} new records, all entries sorted chronologically`);
+            const { lastMoves } = index;
+            const records = addDerivedFields(added, lastMoves);
+            await fs.appendFile(this.outputPath, this.createStringifier().stringifyRecords(records), this.format.encoding);
+            await this.fileIndex.write({
+                size: await this.fileIndex.getFileSize(),
+                format: index.format,
+                keys: [...index.keys, ...added.map(getKey)],
+                lastMoves
+            });
+
+            console.log(`CSV file appended with ${added.length} new records`);
+            return added.length;
         } catch (error) {
             console.error('Error writing CSV:', error);
             throw error;
         }
     }
+
+    /**
+     * Stringifier of movement records in the configured format
+     * @private
+     */
+    createStringifier() {
+        return createObjectCsvStringifier({
+            header: this.format.columns,
+            fieldDelimiter: this.format.delimiter
+        });
+    }
+
+    /**
+     * Write a whole file in the configured format, header first
+     * @private
+     * @param {string} filePath
+     * @param {Object} stringifier - csv-writer stringifier of the records
+     * @param {Array} records
+     */
+    async writeFile(filePath, stringifier, records) {
+        await this.ensureDirectory(filePath);
+
+        const file = await fs.open(filePath, 'w');
+        try {
+            const bom = this.format.bom ? '\ufeff' : '';
+            await file.write(`${bom}${stringifier.getHeaderString()}`, null, this.format.encoding);
+
+            for (let start = 0; start < records.length; start += WRITE_CHUNK) {
+                const chunk = records.slice(start, start + WRITE_CHUNK);
+                await file.write(stringifier.stringifyRecords(chunk), null, this.format.encoding);
+            }
+        } finally {
+            await file.close();
+        }
+    }
+
+    /**
+     * Replace the movements file and its index. The rows are written to a
+     * temporary file renamed over the original, so a crash leaves either
+     * the old or the new file, never a truncated one.
+     * @private
+     * @param {Movement[]} movements - Every row of the new file, in chronological order
+     */
+    async replaceFile(movements) {
+        const tempPath = `${this.outputPath}.tmp`;
+        const lastMoves = { ...this.previousMoves };
+
+        await this.writeFile(tempPath, this.createStringifier(), addDerivedFields(movements, lastMoves));
+        await fs.rename(tempPath, this.outputPath);
+
+        await this.fileIndex.write({
+            size: await this.fileIndex.getFileSize(),
+            format: this.format,
+            keys: movements.map(CsvService.getKeyFunction(this.format)),
+            lastMoves
+        });
+    }
+
+    /**
+     * Sort the file chronologically, drop duplicate rows and bring it to the
+     * configured format. Syncs only append, so this is the one place the
+     * whole file is re-sorted.
+     * @returns {Promise<{ rows: number, removed: number }>} Rows kept and duplicate rows removed
+     * @throws {Error} When the file is missing or cannot be parsed
+     */
+    async compact() {
+        if (!(await this.fileIndex.getFileSize())) {
+            throw new Error(`CSV file ${this.outputPath} does not exist`);
+        }
+
+        const { movements } = await this.readExistingFile();
+        const { movements: sorted } = mergeMovements([], movements);
+
+        await this.replaceFile(sorted);
+
+        return { rows: sorted.length, removed: movements.length - sorted.length };
+    }
+
+    /**
+     * Write a report table next to the movements file, replacing any
+     * previous one. Reports use the delimiter and encoding of the movements.
+     * @param {string} name - Report name
+     * @param {string[]} columns - Column titles
+     * @param {Array<Array<string|number>>} rows - Report rows
+     * @returns {Promise<string>} Path of the written report
+     */
+    async writeReport(name, columns, rows) {
+        const reportPath = this.getReportPath(name);
+
+        try {
+            const stringifier = createArrayCsvStringifier({
+                header: columns,
+                fieldDelimiter: this.format.delimiter
+            });
+            await this.writeFile(reportPath, stringifier, rows);
+
+            console.log(`Report written to ${reportPath} with ${rows.length} rows`);
+            return reportPath;
+        } catch (error) {
+            console.error('Error writing CSV report:', error);
+            throw error;
+        }
+    }
 }
 
 module.exports = CsvService;
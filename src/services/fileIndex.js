@@ -0,0 +1,117 @@
+const fs = require('fs').promises;
+
+/**
+ * @typedef {Object} StoredIndex
+ * @property {number} size - Size in bytes of the file when the index was written
+ * @property {string[]} keys - Movement key of every record
+ */
+
+/**
+ * Index of the movement keys of an append-only file, stored next to it.
+ * The index records the size of the file it matches, so a file appended
+ * to by an interrupted run, or edited by hand, is noticed on the next load.
+ */
+class FileIndex {
+    /**
+     * @param {string} filePath - Append-only file the index describes
+     * @param {Object} options
+     * @param {string} options.label - Kind of file, in messages, e.g. CSV
+     * @param {function(Object): boolean} [options.isValid] - Whether a stored index can be used, e.g. was
+     *     written by this version. Invalid ones are treated as missing
+     * @param {function(StoredIndex): string} [options.getEncoding] - Encoding of the file an index describes
+     */
+    constructor(filePath, options) {
+        this.filePath = filePath;
+        this.path = `${filePath}.index`;
+        this.label = options.label;
+        this.isValid = options.isValid || (() => true);
+        this.getEncoding = options.getEncoding || (() => 'utf8');
+    }
+
+    /**
+     * Size of the file
+     * @returns {Promise<number|null>} Size in bytes, null when the file is missing
+     */
+    async getFileSize() {
+        try {
+            return (await fs.stat(this.filePath)).size;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Read the stored index, whether it matches the file or not
+     * @returns {Promise<StoredIndex|null>} Index, null when missing, unreadable or invalid
+     */
+    async read() {
+        try {
+            const index = JSON.parse(await fs.readFile(this.path, 'utf8'));
+            return this.isValid(index) ? index : null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Ignoring unreadable ${this.label} index:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Index matching the file. An index that lags behind the file after a
+     * run died while appending gets the partial records cut off the file;
+     * an index that is missing or does not match is rebuilt and stored.
+     * @param {function(number, StoredIndex|null): Promise<StoredIndex>} rebuild - Index of the whole file,
+     *     called with its size and the outdated index
+     * @returns {Promise<StoredIndex|null>} Index, null when there is no file
+     */
+    async load(rebuild) {
+        const size = await this.getFileSize();
+        if (!size) return null;
+
+        const index = await this.read();
+        if (index && index.size === size) return index;
+
+        // Appends end with a newline, so a missing one means the last append was cut short
+        if (index && size > index.size && !(await this.endsWithNewline(size, this.getEncoding(index)))) {
+            await fs.truncate(this.filePath, index.size);
+            console.log(`Removed an incomplete write from ${this.filePath}`);
+            return index;
+        }
+
+        const rebuilt = await rebuild(size, index);
+        await this.write(rebuilt);
+        return rebuilt;
+    }
+
+    /**
+     * Whether the file ends with a newline
+     * @private
+     * @param {number} size - File size
+     * @param {string} encoding - File encoding
+     * @returns {Promise<boolean>}
+     */
+    async endsWithNewline(size, encoding) {
+        const newline = Buffer.from('\n', encoding);
+        if (size < newline.length) return false;
+
+        const file = await fs.open(this.filePath, 'r');
+        try {
+            const { buffer } = await file.read(Buffer.alloc(newline.length), 0, newline.length, size - newline.length);
+            return buffer.equals(newline);
+        } finally {
+            await file.close();
+        }
+    }
+
+    /**
+     * Store the index, replacing the previous one atomically
+     * @param {StoredIndex} index
+     */
+    async write(index) {
+        await fs.writeFile(`${this.path}.tmp`, JSON.stringify(index));
+        await fs.rename(`${this.path}.tmp`, this.path);
+    }
+}
+
+module.exports = FileIndex;
@@ -0,0 +1,223 @@
+const fs = require('fs').promises;
+const http = require('http');
+const crypto = require('crypto');
+const { google } = require('googleapis');
+
+const DEFAULT_SCOPES = ['https://www.googleapis.com/auth/spreadsheets'];
+
+/**
+ * @typedef {Object} GoogleAuthOptions
+ * @property {string} [clientSecretsPath='client_secret.json'] - OAuth client of type "Desktop app", downloaded from the Google Cloud console
+ * @property {string} [tokenPath='.google-token.json'] - Where the tokens of the signed-in user are stored
+ * @property {string[]} [scopes] - OAuth2 scopes
+ * @property {number} [loginTimeout=300000] - Time allowed to complete the consent in the browser, in milliseconds
+ * @property {Object} [endpoints] - Google OAuth endpoints to use instead of the real ones, e.g. `oauth2TokenUrl`
+ */
+
+/**
+ * Signs a user in to Google with the OAuth flow for installed apps, using
+ * a loopback redirect and PKCE, and keeps the refresh token on disk so
+ * later runs reuse it.
+ */
+class GoogleAuthService {
+    /**
+     * @param {GoogleAuthOptions} [options]
+     */
+    constructor(options = {}) {
+        const {
+            clientSecretsPath = 'client_secret.json',
+            tokenPath = '.google-token.json',
+            scopes = DEFAULT_SCOPES,
+            loginTimeout = 5 * 60 * 1000,
+            endpoints
+        } = options;
+
+        this.clientSecretsPath = clientSecretsPath;
+        this.tokenPath = tokenPath;
+        this.scopes = scopes;
+        this.loginTimeout = loginTimeout;
+        this.endpoints = endpoints;
+    }
+
+    /**
+     * Create an OAuth client from the client secrets file
+     * @private
+     * @param {string} [redirectUri]
+     * @returns {Promise<import('google-auth-library').OAuth2Client>}
+     */
+    async createClient(redirectUri) {
+        let secrets;
+        try {
+            secrets = JSON.parse(await fs.readFile(this.clientSecretsPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read the OAuth client file ${this.clientSecretsPath}: ${error.message}`);
+        }
+
+        const { client_id: clientId, client_secret: clientSecret } = secrets.installed || secrets.web || {};
+        if (!clientId) {
+            throw new Error(`${this.clientSecretsPath} is not an OAuth client file for a desktop app`);
+        }
+
+        return new google.auth.OAuth2({
+            clientId,
+            clientSecret,
+            redirectUri,
+            ...(this.endpoints && { endpoints: this.endpoints })
+        });
+    }
+
+    /**
+     * Read the stored tokens
+     * @private
+     * @returns {Promise<Object|null>} Tokens, or null when nobody is signed in
+     */
+    async readTokens() {
+        try {
+            return JSON.parse(await fs.readFile(this.tokenPath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Store tokens, readable by the current user only
+     * @private
+     * @param {Object} tokens
+     */
+    async writeTokens(tokens) {
+        await fs.writeFile(this.tokenPath, JSON.stringify(tokens, null, 2), { mode: 0o600 });
+    }
+
+    /**
+     * Sign in through the browser and store the tokens. A one-off server on
+     * 127.0.0.1 receives the authorization code, which is exchanged for
+     * tokens together with the PKCE verifier.
+     * @param {Object} [options]
+     * @param {function(string): void} [options.onAuthUrl] - Shows the consent URL to the user, logs it by default
+     * @returns {Promise<Object>} Stored tokens
+     */
+    async login(options = {}) {
+        const { onAuthUrl = url => console.log(`Open this URL in your browser to sign in to Google:\n\n${url}\n`) } = options;
+
+        const server = http.createServer();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const redirectUri = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+            const client = await this.createClient(redirectUri);
+            const { codeVerifier, codeChallenge } = await client.generateCodeVerifierAsync();
+            const state = crypto.randomBytes(16).toString('hex');
+
+            const code = this.waitForCode(server, state);
+            // Awaited below, unless showing the URL fails first and the server closes
+            code.catch(() => {});
+
+            onAuthUrl(client.generateAuthUrl({
+                access_type: 'offline',
+                prompt: 'consent',
+                scope: this.scopes,
+                state,
+                code_challenge_method: 'S256',
+                code_challenge: codeChallenge
+            }));
+
+            const { tokens } = await client.getToken({ code: await code, codeVerifier, redirect_uri: redirectUri });
+            if (!tokens.refresh_token) {
+                throw new Error('Google did not return a refresh token');
+            }
+
+            await this.writeTokens(tokens);
+            return tokens;
+        } finally {
+            server.closeAllConnections();
+            server.close();
+        }
+    }
+
+    /**
+     * Wait for the browser to be redirected to the loopback server. Gives
+     * up after the login timeout or when the server closes.
+     * @private
+     * @param {http.Server} server
+     * @param {string} state - Expected state parameter
+     * @returns {Promise<string>} Authorization code
+     */
+    waitForCode(server, state) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('Timed out waiting for the Google sign-in')), this.loginTimeout);
+            server.on('close', () => {
+                clearTimeout(timer);
+                reject(new Error('Google sign-in was interrupted'));
+            });
+
+            server.on('request', (req, res) => {
+                const params = new URL(req.url, 'http://127.0.0.1').searchParams;
+
+                // Stray requests, e.g. for a favicon, carry no state
+                if (params.get('state') !== state) {
+                    res.writeHead(404);
+                    res.end();
+                    return;
+                }
+
+                clearTimeout(timer);
+                const error = params.get('error');
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                res.end(error
+                    ? 'Sign-in failed, you can close this window.'
+                    : 'Signed in to Google, you can close this window.');
+
+                if (error) {
+                    reject(new Error(`Google sign-in failed: ${error}`));
+                } else {
+                    resolve(params.get('code'));
+                }
+            });
+        });
+    }
+
+    /**
+     * Revoke and delete the stored tokens
+     * @returns {Promise<boolean>} Whether somebody was signed in
+     */
+    async logout() {
+        const tokens = await this.readTokens();
+        if (!tokens) return false;
+
+        try {
+            const client = await this.createClient();
+            await client.revokeToken(tokens.refresh_token || tokens.access_token);
+        } catch (error) {
+            // The local tokens go anyway, e.g. when access was already revoked from the Google account
+            console.error('Could not revoke the Google token:', error.message);
+        }
+
+        await fs.unlink(this.tokenPath);
+        return true;
+    }
+
+    /**
+     * OAuth client authorized with the stored tokens. Access tokens it
+     * refreshes are stored back.
+     * @returns {Promise<import('google-auth-library').OAuth2Client>}
+     * @throws {Error} When nobody is signed in
+     */
+    async getClient() {
+        const tokens = await this.readTokens();
+        if (!tokens) {
+            throw new Error('Not signed in to Google, run "sheets login" first');
+        }
+
+        const client = await this.createClient();
+        client.setCredentials(tokens);
+        client.on('tokens', refreshed => {
+            this.writeTokens({ ...tokens, ...refreshed })
+                .catch(error => console.error('Could not store the refreshed Google token:', error.message));
+        });
+
+        return client;
+    }
+}
+
+module.exports = GoogleAuthService;
@@ -1,24 +1,79 @@
 const { google } = require('googleapis');
 const path = require('path');
+const GoogleAuthService = require('./googleAuthService');
+const { MOVEMENT_COLUMNS, mergeMovements, getMovementKey, getLegacyMovementKey } = require('../utils/movements');
 
 /**
- * @typedef {import('./csvService').Movement} Movement
+ * @typedef {import('../utils/movements').Movement} Movement
+ * @typedef {import('./analyticsService').Dashboard} Dashboard
  */
 
+const WRITE_MODES = ['append', 'rewrite'];
+const AUTH_MODES = ['service-account', 'oauth'];
+
+// Suffix of the hidden tab a full rewrite is staged in
+const STAGING_SUFFIX = ' (rewrite)';
+
+// Last column holding movement fields, e.g. 'K'
+const LAST_COLUMN = String.fromCharCode('A'.charCodeAt(0) + MOVEMENT_COLUMNS.length - 1);
+
+const TIMESTAMP_COLUMN = MOVEMENT_COLUMNS.findIndex(({ id }) => id === 'timestamp');
+
+// Movement columns of sheets written before the identifiers were added
+const LEGACY_COLUMN_COUNT = 4;
+
+// Sheets date serial numbers count days from 1899-12-30, i.e. 25569 days before the Unix epoch
+const SERIAL_EPOCH_OFFSET = 25569;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Charts of the summary tab, one per dashboard table, found again by their title on later runs
+const SUMMARY_CHARTS = [
+    { table: 'throughput', title: 'Weekly Throughput', chartType: 'COLUMN', axes: ['Week', 'Cards done'] },
+    { table: 'timeInList', title: 'Average Time in List', chartType: 'BAR', axes: ['Days', 'List'], series: ['Average (days)'] },
+    { table: 'cumulativeFlow', title: 'Cumulative Flow', chartType: 'AREA', axes: ['Week', 'Cards'], stacked: true }
+];
+
+// Rows between the top of two summary charts
+const SUMMARY_CHART_ROWS = 20;
+
 class GoogleSheetsService {
     /**
      * @param {Object} [options]
-     * @param {string} [options.credentialsPath] - Path to credentials file
+     * @param {'service-account'|'oauth'} [options.auth='service-account'] - Sign in with the credentials file, or as the user signed in with `sheets login`
+     * @param {string} [options.credentialsPath] - Path to the service account credentials file
+     * @param {string} [options.clientSecretsPath] - OAuth client file of the oauth mode
+     * @param {string} [options.tokenPath] - Token file of the oauth mode
+     * @param {GoogleAuthService} [options.authService] - Signed-in user of the oauth mode, built from the two paths above by default
      * @param {string[]} [options.scopes] - OAuth2 scopes
+     * @param {string} [options.sheetName] - Default tab holding the movements, created if missing. Defaults to the first tab
+     * @param {'append'|'rewrite'} [options.writeMode='append'] - Append new rows only, or rewrite the sorted tab
+     * @param {number} [options.chunkSize=5000] - Rows sent per write request
      */
     constructor(options = {}) {
         this.credentialsPath = options.credentialsPath || 
             path.join(__dirname, '../../credentials.json');
+        this.authMode = options.auth || 'service-account';
+        this.authService = options.authService || null;
+        this.clientSecretsPath = options.clientSecretsPath;
+        this.tokenPath = options.tokenPath;
+        this.sheetName = options.sheetName || null;
+        this.writeMode = options.writeMode || 'append';
+        this.chunkSize = options.chunkSize || 5000;
+
+        if (!WRITE_MODES.includes(this.writeMode)) {
+            throw new Error(`Write mode must be one of ${WRITE_MODES.join(', ')}`);
+        }
+        if (!AUTH_MODES.includes(this.authMode)) {
+            throw new Error(`Auth mode must be one of ${AUTH_MODES.join(', ')}`);
+        }
         this.scopes = options.scopes || 
             ['https://www.googleapis.com/auth/spreadsheets'];
         this.auth = null;
         this.sheets = null;
         this.initialized = false;
+
+        // Tabs read by readExistingMovements, reused by the next write to the same tab
+        this.reads = new Map();
     }
 
     /**
@@ -29,43 +84,105 @@ class GoogleSheetsService {
         if (this.initialized) return;
 
         try {
-            const auth = new google.auth.GoogleAuth({
-                keyFile: this.credentialsPath,
-                scopes: this.scopes
-            });
+            if (this.authMode === 'oauth') {
+                const authService = this.authService || new GoogleAuthService({
+                    clientSecretsPath: this.clientSecretsPath,
+                    tokenPath: this.tokenPath,
+                    scopes: this.scopes
+                });
+                this.auth = await authService.getClient();
+            } else {
+                const auth = new google.auth.GoogleAuth({
+                    keyFile: this.credentialsPath,
+                    scopes: this.scopes
+                });
+                this.auth = await auth.getClient();
+            }
 
-            this.auth = await auth.getClient();
             this.sheets = google.sheets({ version: 'v4', auth: this.auth });
             this.initialized = true;
         } catch (error) {
             console.error('Failed to initialize Google Sheets:', error);
-            throw new Error('Google Sheets initialization failed');
+            throw new Error(`Google Sheets initialization failed: ${error.message}`);
         }
     }
 
     /**
-     * Read existing movements from sheet
+     * Read existing movements from sheet. The next write to the tab reuses
+     * this read instead of reading the whole tab again.
      * @param {string} spreadsheetId - Google Sheet ID
+     * @param {string} [sheetName] - Tab holding the movements, created if missing. Defaults to the service's tab
      * @returns {Promise<Movement[]>}
      */
-    async readExistingMovements(spreadsheetId) {
+    async readExistingMovements(spreadsheetId, sheetName = this.sheetName) {
+        await this.initialize();
+
+        const sheet = await this.resolveSheet(spreadsheetId, sheetName);
+        const content = await this.readSheet(spreadsheetId, sheet.title);
+        this.reads.set(`${spreadsheetId}/${sheetName || ''}`, { sheet, content });
+        return content.movements;
+    }
+
+    /**
+     * @typedef {Object} SheetContent
+     * @property {Movement[]} movements - Movements of the tab
+     * @property {string[]} columns - Header row
+     * @property {number} movementColumnCount - Movement columns of the tab, the user columns start after them
+     * @property {string[]} annotationColumns - Headers of the user columns after the movement columns
+     * @property {Map<string, Array<string|number>>} annotations - User cells of each row, by movement key
+     */
+
+    /**
+     * Read existing movements together with the header row of the sheet.
+     * Columns after the movement columns belong to the users, their cells
+     * are kept by movement so they can follow their row through a rewrite.
+     * @private
+     * @param {string} spreadsheetId - Google Sheet ID
+     * @param {string} sheetName - Tab holding the movements
+     * @returns {Promise<SheetContent>}
+     */
+    async readSheet(spreadsheetId, sheetName) {
         await this.initialize();
 
         try {
             const response = await this.sheets.spreadsheets.values.get({
                 spreadsheetId,
-                range: 'Sheet1!A:D'
+                range: GoogleSheetsService.quoteTitle(sheetName),
+                valueRenderOption: 'UNFORMATTED_VALUE',
+                dateTimeRenderOption: 'SERIAL_NUMBER'
             });
 
-            const rows = response.data.values || [];
-            if (rows.length <= 1) return [];
+            const [columns = [], ...rows] = response.data.values || [];
 
-            return rows.slice(1).map(row => ({
-                cardName: row[0] || '',
-                oldLocation: row[1] || '',
-                newLocation: row[2] || '',
-                timestamp: row[3] || ''
-            }));
+            // Older sheets hold the first four movement columns only, user columns start after them
+            const movementColumnCount = Math.max(
+                LEGACY_COLUMN_COUNT,
+                ...MOVEMENT_COLUMNS.map(({ title }) => columns.indexOf(title) + 1)
+            );
+            const annotationCount = Math.max(columns.length, ...rows.map(row => row.length)) - movementColumnCount;
+            const annotationColumns = Array.from({ length: Math.max(0, annotationCount) },
+                (_, index) => String(columns[movementColumnCount + index] ?? ''));
+
+            const annotations = new Map();
+
+            // Timestamps written as dates come back as serial numbers, older rows hold ISO strings
+            const movements = rows.map(row => {
+                const movement = Object.fromEntries(MOVEMENT_COLUMNS.map(({ id }, index) => {
+                    const cell = index < movementColumnCount ? row[index] : undefined;
+                    if (index === TIMESTAMP_COLUMN && typeof cell === 'number') {
+                        return [id, GoogleSheetsService.fromSerialDate(cell)];
+                    }
+                    return [id, cell === undefined || cell === null ? '' : String(cell)];
+                }));
+
+                const cells = row.slice(movementColumnCount);
+                if (cells.some(cell => cell !== '' && cell !== null && cell !== undefined)) {
+                    annotations.set(getMovementKey(movement), cells);
+                }
+                return movement;
+            });
+
+            return { movements, columns, movementColumnCount, annotationColumns, annotations };
         } catch (error) {
             console.error('Error reading from Google Sheet:', error);
             throw new Error(`Failed to read from Google Sheet: ${error.message}`);
@@ -73,11 +190,18 @@ class GoogleSheetsService {
     }
 
     /**
-     * Write movements to Google Sheet
+     * Write movements to Google Sheet. In append mode only the new rows are
+     * appended after the existing ones. The whole tab is rewritten in
+     * rewrite mode, and in append mode when older rows need upgrading.
+     * User columns after the movement columns move along with their row.
      * @param {string} spreadsheetId - Google Sheet ID
      * @param {Movement[]} movements - Movements to write
+     * @param {Object} [options]
+     * @param {string} [options.sheetName] - Tab holding the movements, created if missing. Defaults to the service's tab
+     * @param {'append'|'rewrite'} [options.writeMode] - Defaults to the service's mode
+     * @returns {Promise<Movement[]>} Every movement of the tab after the write
      */
-    async writeMovements(spreadsheetId, movements) {
+    async writeMovements(spreadsheetId, movements, options = {}) {
         if (!spreadsheetId) {
             throw new Error('Spreadsheet ID is required');
         }
@@ -88,41 +212,90 @@ class GoogleSheetsService {
 
         await this.initialize();
 
+        const writeMode = options.writeMode || this.writeMode;
+        const requestedName = options.sheetName || this.sheetName;
+
+        // A read is reused once, later writes see the tab as it is then
+        const readKey = `${spreadsheetId}/${requestedName || ''}`;
+        const read = this.reads.get(readKey);
+        this.reads.delete(readKey);
+
         try {
-            const existingMovements = await this.readExistingMovements(spreadsheetId);
-            const existingKeys = new Set(
-                existingMovements.map(m => 
-                    `${m.cardName}-${m.oldLocation}-${m.newLocation}-${m.timestamp}`
-                )
-            );
+            const sheet = read ? read.sheet : await this.resolveSheet(spreadsheetId, requestedName);
+            const sheetName = sheet.title;
 
-            const newMovements = movements.filter(movement => 
-                !existingKeys.has(
-                    `${movement.cardName}-${movement.oldLocation}-${movement.newLocation}-${movement.timestamp}`
-                )
-            );
+            const {
+                movements: existingMovements,
+                columns,
+                movementColumnCount,
+                annotationColumns,
+                annotations
+            } = read ? read.content : await this.readSheet(spreadsheetId, sheetName);
+
+            // Sheets written before the identifier columns existed are upgraded in place
+            const missingColumns = columns.length > 0 &&
+                MOVEMENT_COLUMNS.some(({ title }) => !columns.includes(title));
+
+            const { movements: allMovements, added, upgraded } =
+                mergeMovements(existingMovements, movements);
 
-            if (newMovements.length === 0) {
+            if (added.length === 0 && upgraded === 0 && !missingColumns) {
                 console.log('No new movements to write to Google Sheet');
-                return;
+                return allMovements;
+            }
+
+            const header = MOVEMENT_COLUMNS.map(({ title }) => title);
+            const toRow = movement => MOVEMENT_COLUMNS.map(({ id }) => (id === 'timestamp'
+                ? GoogleSheetsService.toSerialDate(movement.timestamp)
+                : movement[id]));
+
+            if (writeMode === 'rewrite' || upgraded > 0 || missingColumns) {
+                // Upgraded rows are found by the descriptive key they were read with
+                const annotationsOf = movement => {
+                    const cells = annotations.get(getMovementKey(movement)) ||
+                        annotations.get(getLegacyMovementKey(movement)) || [];
+                    return annotationColumns.map((_, index) => cells[index] ?? '');
+                };
+
+                // Formulas and filters on the user columns do not follow them to their new place
+                if (annotationColumns.length > 0 && movementColumnCount < MOVEMENT_COLUMNS.length) {
+                    const from = GoogleSheetsService.toColumnLetter(movementColumnCount);
+                    const to = GoogleSheetsService.toColumnLetter(MOVEMENT_COLUMNS.length);
+                    console.error(`Moving the user columns of Google Sheet tab "${sheetName}" from column ${from} ` +
+                        `to column ${to} to make room for new movement columns; update formulas that refer to them`);
+                }
+
+                await this.replaceSheet(spreadsheetId, sheetName, [
+                    [...header, ...annotationColumns],
+                    ...allMovements.map(movement => [...toRow(movement), ...annotationsOf(movement)])
+                ]);
+                await this.formatSheet(spreadsheetId, sheet.sheetId, {
+                    columns: MOVEMENT_COLUMNS.length,
+                    dateColumn: TIMESTAMP_COLUMN
+                });
+                console.log(`Google Sheet tab "${sheetName}" rewritten with ${added.length} new records`);
+            } else {
+                const rows = [...added]
+                    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+                    .map(toRow);
+
+                await this.appendRows(spreadsheetId, sheetName, columns.length > 0 ? rows : [header, ...rows]);
+
+                // A new or empty tab just got its header
+                if (columns.length === 0) {
+                    await this.formatSheet(spreadsheetId, sheet.sheetId, {
+                        columns: MOVEMENT_COLUMNS.length,
+                        dateColumn: TIMESTAMP_COLUMN
+                    });
+                }
+                console.log(`Google Sheet tab "${sheetName}" appended with ${added.length} new records`);
+            }
+
+            if (upgraded > 0) {
+                console.log(`Added identifiers to ${upgraded} existing Google Sheet rows`);
             }
 
-            const allMovements = [...existingMovements, ...newMovements]
-                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-            const values = [
-                ['Card Name', 'Old Board/List Name', 'New Board/List Name', 'Timestamp of Movement'],
-                ...allMovements.map(movement => [
-                    movement.cardName,
-                    movement.oldLocation,
-                    movement.newLocation,
-                    movement.timestamp
-                ])
-            ];
-
-            await this.clearAndWriteSheet(spreadsheetId, values);
-            
-            console.log(`Google Sheet updated with ${newMovements.length} new records`);
+            return allMovements;
         } catch (error) {
             console.error('Error writing to Google Sheet:', error);
             throw new Error(`Failed to write to Google Sheet: ${error.message}`);
@@ -130,23 +303,406 @@ class GoogleSheetsService {
     }
 
     /**
-     * Clear and write new values to sheet
+     * Append rows after the last row of a tab, in chunks
      * @private
      * @param {string} spreadsheetId - Google Sheet ID
-     * @param {Array<Array<string>>} values - Values to write
+     * @param {string} sheetName - Tab to append to
+     * @param {Array<Array<string>>} rows - Rows to append
      */
-    async clearAndWriteSheet(spreadsheetId, values) {
-        await this.sheets.spreadsheets.values.clear({
+    async appendRows(spreadsheetId, sheetName, rows) {
+        const tab = GoogleSheetsService.quoteTitle(sheetName);
+
+        for (let start = 0; start < rows.length; start += this.chunkSize) {
+            await this.sheets.spreadsheets.values.append({
+                spreadsheetId,
+                range: `${tab}!A:${LAST_COLUMN}`,
+                valueInputOption: 'RAW',
+                insertDataOption: 'INSERT_ROWS',
+                resource: { values: rows.slice(start, start + this.chunkSize) }
+            });
+        }
+    }
+
+    /**
+     * Write rows from the top of a tab, in chunks
+     * @private
+     * @param {string} spreadsheetId - Google Sheet ID
+     * @param {string} sheetName - Tab to write
+     * @param {Array<Array<string|number>>} rows - Rows to write
+     */
+    async writeRows(spreadsheetId, sheetName, rows) {
+        const tab = GoogleSheetsService.quoteTitle(sheetName);
+
+        for (let start = 0; start < rows.length; start += this.chunkSize) {
+            await this.sheets.spreadsheets.values.update({
+                spreadsheetId,
+                range: `${tab}!A${start + 1}`,
+                valueInputOption: 'RAW',
+                resource: { values: rows.slice(start, start + this.chunkSize) }
+            });
+        }
+    }
+
+    /**
+     * Replace the content of a tab without ever leaving it empty. The rows
+     * are staged in a hidden tab first, then copied over the target and the
+     * staging tab deleted in a single batch update, which the API applies
+     * atomically. A run that dies while staging leaves the target untouched.
+     * @private
+     * @param {string} spreadsheetId - Google Sheet ID
+     * @param {string} title - Tab to replace, created if missing
+     * @param {Array<Array<string|number>>} values - New content, header included
+     * @returns {Promise<number>} Sheet ID of the replaced tab
+     */
+    async replaceSheet(spreadsheetId, title, values) {
+        const sheets = await this.getSheetProperties(spreadsheetId);
+        const target = sheets.find(sheet => sheet.title === title);
+        const stagingTitle = `${title}${STAGING_SUFFIX}`;
+        const leftover = sheets.find(sheet => sheet.title === stagingTitle);
+
+        // A staging tab left by an interrupted run is dropped first
+        const requests = leftover ? [{ deleteSheet: { sheetId: leftover.sheetId } }] : [];
+        requests.push({ addSheet: { properties: { title: stagingTitle, hidden: true } } });
+
+        const response = await this.sheets.spreadsheets.batchUpdate({
             spreadsheetId,
-            range: 'Sheet1!A:D'
+            resource: { requests }
         });
+        const staging = response.data.replies[requests.length - 1].addSheet.properties;
+
+        await this.writeRows(spreadsheetId, stagingTitle, values);
+
+        if (!target) {
+            await this.sheets.spreadsheets.batchUpdate({
+                spreadsheetId,
+                resource: {
+                    requests: [{
+                        updateSheetProperties: {
+                            properties: { sheetId: staging.sheetId, title, hidden: false },
+                            fields: 'title,hidden'
+                        }
+                    }]
+                }
+            });
+            return staging.sheetId;
+        }
+
+        const width = Math.max(1, ...values.map(row => row.length));
+        const grid = target.gridProperties || {};
+        const swap = [];
+
+        if (values.length > (grid.rowCount || 0)) {
+            swap.push({ appendDimension: { sheetId: target.sheetId, dimension: 'ROWS', length: values.length - (grid.rowCount || 0) } });
+        }
+        if (width > (grid.columnCount || 0)) {
+            swap.push({ appendDimension: { sheetId: target.sheetId, dimension: 'COLUMNS', length: width - (grid.columnCount || 0) } });
+        }
+
+        const copied = { startRowIndex: 0, endRowIndex: values.length, startColumnIndex: 0, endColumnIndex: width };
+
+        swap.push(
+            { updateCells: { range: { sheetId: target.sheetId }, fields: 'userEnteredValue' } },
+            {
+                copyPaste: {
+                    source: { sheetId: staging.sheetId, ...copied },
+                    destination: { sheetId: target.sheetId, ...copied },
+                    pasteType: 'PASTE_VALUES'
+                }
+            },
+            { deleteSheet: { sheetId: staging.sheetId } }
+        );
 
-        await this.sheets.spreadsheets.values.update({
+        await this.sheets.spreadsheets.batchUpdate({
             spreadsheetId,
-            range: 'Sheet1!A1',
-            valueInputOption: 'RAW',
-            resource: { values }
+            resource: { requests: swap }
+        });
+        return target.sheetId;
+    }
+
+    /**
+     * Freeze and embolden the header row, format the date column and fit
+     * the column widths. Only the given leading columns are touched.
+     * @private
+     * @param {string} spreadsheetId - Google Sheet ID
+     * @param {number} sheetId - Tab to format
+     * @param {Object} options
+     * @param {number} options.columns - Number of leading columns to format
+     * @param {number} [options.dateColumn] - Index of the column holding date serial numbers
+     */
+    async formatSheet(spreadsheetId, sheetId, { columns, dateColumn }) {
+        const requests = [
+            {
+                updateSheetProperties: {
+                    properties: { sheetId, gridProperties: { frozenRowCount: 1 } },
+                    fields: 'gridProperties.frozenRowCount'
+                }
+            },
+            {
+                repeatCell: {
+                    range: { sheetId, startRowIndex: 0, endRowIndex: 1, startColumnIndex: 0, endColumnIndex: columns },
+                    cell: { userEnteredFormat: { textFormat: { bold: true } } },
+                    fields: 'userEnteredFormat.textFormat.bold'
+                }
+            }
+        ];
+
+        if (dateColumn !== undefined) {
+            requests.push({
+                repeatCell: {
+                    range: { sheetId, startRowIndex: 1, startColumnIndex: dateColumn, endColumnIndex: dateColumn + 1 },
+                    cell: { userEnteredFormat: { numberFormat: { type: 'DATE_TIME', pattern: 'yyyy-mm-dd hh:mm:ss' } } },
+                    fields: 'userEnteredFormat.numberFormat'
+                }
+            });
+        }
+
+        requests.push({
+            autoResizeDimensions: {
+                dimensions: { sheetId, dimension: 'COLUMNS', startIndex: 0, endIndex: columns }
+            }
         });
+
+        await this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId,
+            resource: { requests }
+        });
+    }
+
+    /**
+     * Convert an ISO timestamp to a Sheets date serial number, in UTC
+     * @private
+     * @param {string} timestamp
+     * @returns {number|string} Serial number, or the value unchanged when it is not a date
+     */
+    static toSerialDate(timestamp) {
+        const time = Date.parse(timestamp);
+        return Number.isNaN(time) ? timestamp : time / DAY + SERIAL_EPOCH_OFFSET;
+    }
+
+    /**
+     * Convert a Sheets date serial number, in UTC, to an ISO timestamp
+     * @private
+     * @param {number} serial
+     * @returns {string}
+     */
+    static fromSerialDate(serial) {
+        return new Date(Math.round((serial - SERIAL_EPOCH_OFFSET) * DAY)).toISOString();
+    }
+
+    /**
+     * Letter of a column in A1 notation
+     * @private
+     * @param {number} index - Zero-based column index
+     * @returns {string}
+     */
+    static toColumnLetter(index) {
+        const letter = String.fromCharCode('A'.charCodeAt(0) + (index % 26));
+        return index < 26 ? letter : GoogleSheetsService.toColumnLetter(Math.floor(index / 26) - 1) + letter;
+    }
+
+    /**
+     * Quote a tab title for use in A1 notation, when it needs quoting
+     * @private
+     * @param {string} title - Tab title
+     * @returns {string}
+     */
+    static quoteTitle(title) {
+        return /^[A-Za-z0-9_]+$/.test(title)
+            ? title
+            : `'${title.replace(/'/g, "''")}'`;
+    }
+
+    /**
+     * Properties of every tab of a spreadsheet
+     * @private
+     * @param {string} spreadsheetId - Google Sheet ID
+     * @returns {Promise<Object[]>} Tab properties, with `sheetId`, `title` and `gridProperties`
+     */
+    async getSheetProperties(spreadsheetId) {
+        const response = await this.sheets.spreadsheets.get({
+            spreadsheetId,
+            fields: 'sheets.properties'
+        });
+        return (response.data.sheets || []).map(sheet => sheet.properties);
+    }
+
+    /**
+     * Find the tab to write movements to, creating it when missing
+     * @private
+     * @param {string} spreadsheetId - Google Sheet ID
+     * @param {string} [title] - Tab title, the first visible tab when omitted
+     * @returns {Promise<Object>} Tab properties
+     */
+    async resolveSheet(spreadsheetId, title) {
+        const sheets = await this.getSheetProperties(spreadsheetId);
+
+        // The first tab is named after the spreadsheet locale, e.g. Sheet1 or Hoja 1
+        if (!title) {
+            const first = sheets.find(sheet => !sheet.hidden);
+            if (!first) {
+                throw new Error('Spreadsheet has no visible tab');
+            }
+            return first;
+        }
+
+        const existing = sheets.find(sheet => sheet.title === title);
+        if (existing) return existing;
+
+        const response = await this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId,
+            resource: {
+                requests: [{ addSheet: { properties: { title } } }]
+            }
+        });
+        return response.data.replies[0].addSheet.properties;
+    }
+
+    /**
+     * Write a report table to its own tab, replacing any previous content
+     * @param {string} spreadsheetId - Google Sheet ID
+     * @param {string} title - Tab title
+     * @param {string[]} columns - Column titles
+     * @param {Array<Array<string|number>>} rows - Report rows
+     */
+    async writeReport(spreadsheetId, title, columns, rows) {
+        if (!spreadsheetId) {
+            throw new Error('Spreadsheet ID is required');
+        }
+
+        await this.initialize();
+
+        try {
+            const sheetId = await this.replaceSheet(spreadsheetId, title, [columns, ...rows]);
+            await this.formatSheet(spreadsheetId, sheetId, { columns: Math.max(1, columns.length) });
+
+            console.log(`Google Sheet tab "${title}" updated with ${rows.length} rows`);
+        } catch (error) {
+            console.error('Error writing report to Google Sheet:', error);
+            throw new Error(`Failed to write report to Google Sheet: ${error.message}`);
+        }
+    }
+
+    /**
+     * Keep a dashboard tab up to date: the dashboard tables side by side,
+     * one empty column apart, and a chart of each next to them. Charts are
+     * created on the first run and only get their data updated afterwards,
+     * so they can be moved and resized freely.
+     * @param {string} spreadsheetId - Google Sheet ID
+     * @param {Dashboard} dashboard - Tables computed by the analytics service
+     * @param {Object} [options]
+     * @param {string} [options.sheetName='Summary'] - Dashboard tab, created if missing
+     */
+    async writeSummary(spreadsheetId, dashboard, options = {}) {
+        if (!spreadsheetId) {
+            throw new Error('Spreadsheet ID is required');
+        }
+
+        const title = options.sheetName || 'Summary';
+        await this.initialize();
+
+        try {
+            const tables = SUMMARY_CHARTS.map(chart => dashboard[chart.table]);
+            const offsets = tables.map((_, index) =>
+                tables.slice(0, index).reduce((offset, table) => offset + table.columns.length + 1, 0));
+            const width = offsets[offsets.length - 1] + tables[tables.length - 1].columns.length;
+            const height = 1 + Math.max(...tables.map(table => table.rows.length));
+
+            const values = Array.from({ length: height }, (_, rowIndex) => tables.flatMap((table, index) => {
+                const row = rowIndex === 0 ? table.columns : table.rows[rowIndex - 1] || [];
+                const cells = table.columns.map((_, column) => row[column] ?? '');
+                return index < tables.length - 1 ? [...cells, ''] : cells;
+            }));
+
+            const sheetId = await this.replaceSheet(spreadsheetId, title, values);
+            await this.formatSheet(spreadsheetId, sheetId, { columns: width });
+
+            const response = await this.sheets.spreadsheets.get({
+                spreadsheetId,
+                fields: 'sheets(properties.sheetId,charts(chartId,spec.title))'
+            });
+            const sheet = (response.data.sheets || []).find(({ properties }) => properties.sheetId === sheetId);
+            const chartIds = new Map(((sheet && sheet.charts) || []).map(({ chartId, spec }) => [spec.title, chartId]));
+
+            const requests = SUMMARY_CHARTS.map((chart, index) => {
+                const spec = GoogleSheetsService.getChartSpec(chart, sheetId, offsets[index], tables[index]);
+
+                if (chartIds.has(chart.title)) {
+                    return { updateChartSpec: { chartId: chartIds.get(chart.title), spec } };
+                }
+                return {
+                    addChart: {
+                        chart: {
+                            spec,
+                            position: {
+                                overlayPosition: {
+                                    anchorCell: { sheetId, rowIndex: index * SUMMARY_CHART_ROWS, columnIndex: width + 1 },
+                                    widthPixels: 600,
+                                    heightPixels: 371
+                                }
+                            }
+                        }
+                    }
+                };
+            });
+
+            await this.sheets.spreadsheets.batchUpdate({
+                spreadsheetId,
+                resource: { requests }
+            });
+
+            console.log(`Google Sheet tab "${title}" updated`);
+        } catch (error) {
+            console.error('Error writing summary to Google Sheet:', error);
+            throw new Error(`Failed to write summary to Google Sheet: ${error.message}`);
+        }
+    }
+
+    /**
+     * Chart spec of a summary table: its first column against the others,
+     * or against the columns listed in the chart's `series`
+     * @private
+     * @param {Object} chart - Entry of SUMMARY_CHARTS
+     * @param {number} sheetId - Summary tab
+     * @param {number} offset - Index of the first column of the table
+     * @param {{ columns: string[], rows: Array<Array<string|number>> }} table
+     * @returns {Object} Chart spec
+     */
+    static getChartSpec(chart, sheetId, offset, table) {
+        const source = column => ({
+            sourceRange: {
+                sources: [{
+                    sheetId,
+                    startRowIndex: 0,
+                    endRowIndex: table.rows.length + 1,
+                    startColumnIndex: offset + column,
+                    endColumnIndex: offset + column + 1
+                }]
+            }
+        });
+        const series = chart.series
+            ? chart.series.map(title => table.columns.indexOf(title))
+            : table.columns.slice(1).map((_, index) => index + 1);
+        const [bottomTitle, leftTitle] = chart.axes;
+
+        return {
+            title: chart.title,
+            basicChart: {
+                chartType: chart.chartType,
+                ...(chart.stacked && { stackedType: 'STACKED' }),
+                legendPosition: series.length > 1 ? 'BOTTOM_LEGEND' : 'NO_LEGEND',
+                headerCount: 1,
+                axis: [
+                    { position: 'BOTTOM_AXIS', title: bottomTitle },
+                    { position: 'LEFT_AXIS', title: leftTitle }
+                ],
+                domains: [{ domain: source(0) }],
+                // Bar charts are horizontal, their values run along the bottom axis
+                series: series.map(column => ({
+                    series: source(column),
+                    targetAxis: chart.chartType === 'BAR' ? 'BOTTOM_AXIS' : 'LEFT_AXIS'
+                }))
+            }
+        };
     }
 }
 
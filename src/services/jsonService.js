@@ -0,0 +1,262 @@
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const { once } = require('events');
+const path = require('path');
+const readline = require('readline');
+const { mergeMovements, selectNewMovements, normalizeMovement, getMovementKey } = require('../utils/movements');
+const FileIndex = require('./fileIndex');
+
+/**
+ * @typedef {import('../utils/movements').Movement} Movement
+ */
+
+/**
+ * @typedef {Object} JsonIndex
+ * @property {number} size - Size in bytes of the NDJSON file when the index was written
+ * @property {string[]} keys - Movement key of every line
+ */
+
+const FORMATS = ['ndjson', 'json'];
+
+// Path writing to stdout instead of a file
+const STDOUT = '-';
+
+// Records serialized at once
+const WRITE_CHUNK = 10000;
+
+/**
+ * Movements written as JSON, with every movement field: one object per
+ * line (NDJSON), or a single array. NDJSON files grow like the CSV file,
+ * by appending new movements found missing from an index of the known
+ * ones; arrays are rewritten whole with the new movements merged in.
+ */
+class JsonService {
+    /**
+     * @param {string} outputPath - Path to JSON file, `-` for stdout
+     * @param {Object} [options]
+     * @param {'ndjson'|'json'} [options.format] - Format, by default a JSON array for `.json` files and NDJSON otherwise
+     * @param {boolean} [options.createDirectory=true] - Create the directory of the file if it doesn't exist
+     */
+    constructor(outputPath, options = {}) {
+        const format = options.format || (path.extname(outputPath) === '.json' ? 'json' : 'ndjson');
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Unknown JSON format "${format}", expected one of: ${FORMATS.join(', ')}`);
+        }
+
+        this.outputPath = outputPath;
+        this.format = format;
+        this.createDirectory = options.createDirectory ?? true;
+        this.fileIndex = new FileIndex(outputPath, { label: 'JSON' });
+    }
+
+    /**
+     * Whether movements are written to stdout
+     * @returns {boolean}
+     */
+    isStdout() {
+        return this.outputPath === STDOUT;
+    }
+
+    /**
+     * Path of the index of known movement keys, next to an NDJSON file
+     * @returns {string}
+     */
+    getIndexPath() {
+        return this.fileIndex.path;
+    }
+
+    /**
+     * Read existing movements
+     * @returns {Promise<Movement[]>} Movements, empty when the file is missing or for stdout
+     * @throws {Error} When the file cannot be read or parsed
+     */
+    async readExistingMovements() {
+        if (this.isStdout()) return [];
+
+        try {
+            if (this.format === 'json') {
+                const records = JSON.parse(await fs.readFile(this.outputPath, 'utf8'));
+                if (!Array.isArray(records)) {
+                    throw new Error('expected an array of movements');
+                }
+                return records.map(normalizeMovement);
+            }
+
+            const movements = [];
+            await this.readLines(movement => movements.push(movement));
+            return movements;
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw new Error(`Cannot read JSON file ${this.outputPath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stream the movements of an NDJSON file, without holding the file in memory
+     * @private
+     * @param {function(Movement): void} onMovement - Called with every line
+     */
+    async readLines(onMovement) {
+        const input = createReadStream(this.outputPath, { encoding: 'utf8' });
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+        let number = 0;
+        for await (const line of lines) {
+            number += 1;
+            if (line.trim() === '') continue;
+
+            try {
+                onMovement(normalizeMovement(JSON.parse(line)));
+            } catch (error) {
+                throw new Error(`line ${number}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Index matching the NDJSON file, rebuilt from the file when it is
+     * missing or does not match
+     * @private
+     * @returns {Promise<JsonIndex|null>} Index, null when there is no file
+     */
+    async loadIndex() {
+        return this.fileIndex.load(async size => {
+            const rebuilt = { size, keys: [] };
+            try {
+                await this.readLines(movement => rebuilt.keys.push(getMovementKey(movement)));
+            } catch (error) {
+                throw new Error(`Cannot read JSON file ${this.outputPath}: ${error.message}`);
+            }
+            return rebuilt;
+        });
+    }
+
+    /**
+     * Keys of the movements in the file
+     * @returns {Promise<Set<string>>} Keys, empty when there is no file or for stdout
+     */
+    async readKeys() {
+        if (this.isStdout()) return new Set();
+
+        if (this.format === 'json') {
+            return new Set((await this.readExistingMovements()).map(getMovementKey));
+        }
+        const index = await this.loadIndex();
+        return new Set(index ? index.keys : []);
+    }
+
+    /**
+     * Ensure the directory of the file exists
+     * @private
+     */
+    async ensureDirectory() {
+        if (!this.createDirectory) return;
+        await fs.mkdir(path.dirname(this.outputPath), { recursive: true });
+    }
+
+    /**
+     * Write movements as JSON. To stdout, all the given movements are written,
+     * deduplicated and in chronological order; to a file, only the ones it lacks.
+     * @param {Movement[]} movements - New movements to write
+     * @returns {Promise<number>} Number of movements written
+     */
+    async writeMovements(movements) {
+        if (!Array.isArray(movements)) {
+            throw new Error('Movements must be an array');
+        }
+
+        try {
+            if (this.isStdout()) {
+                const added = selectNewMovements(movements, new Set());
+                await JsonService.writeStdout(this.serialize(added));
+                return added.length;
+            }
+
+            return this.format === 'json'
+                ? await this.mergeFile(movements)
+                : await this.appendLines(movements);
+        } catch (error) {
+            console.error('Error writing JSON:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Serialize movements in the configured format
+     * @private
+     * @param {Movement[]} movements
+     * @returns {string}
+     */
+    serialize(movements) {
+        if (this.format === 'json') {
+            return `${JSON.stringify(movements, null, 2)}\n`;
+        }
+        return movements.map(movement => `${JSON.stringify(movement)}\n`).join('');
+    }
+
+    /**
+     * Append the unknown movements to the NDJSON file and update its index
+     * @private
+     * @param {Movement[]} movements
+     * @returns {Promise<number>} Number of movements appended
+     */
+    async appendLines(movements) {
+        const index = await this.loadIndex();
+        const added = selectNewMovements(movements, new Set(index ? index.keys : []));
+
+        if (added.length === 0) {
+            console.log('No new movements to write to JSON');
+            return 0;
+        }
+
+        await this.ensureDirectory();
+        for (let start = 0; start < added.length; start += WRITE_CHUNK) {
+            await fs.appendFile(this.outputPath, this.serialize(added.slice(start, start + WRITE_CHUNK)));
+        }
+        await this.fileIndex.write({
+            size: await this.fileIndex.getFileSize(),
+            keys: [...(index ? index.keys : []), ...added.map(getMovementKey)]
+        });
+
+        console.log(`JSON file ${index ? 'appended' : 'created'} with ${added.length} new records`);
+        return added.length;
+    }
+
+    /**
+     * Merge the movements into the JSON array file, rewritten through a
+     * temporary file renamed over the original
+     * @private
+     * @param {Movement[]} movements
+     * @returns {Promise<number>} Number of movements added
+     */
+    async mergeFile(movements) {
+        const existing = await this.readExistingMovements();
+        const { movements: allMovements, added } = mergeMovements(existing, movements);
+
+        if (added.length === 0) {
+            console.log('No new movements to write to JSON');
+            return 0;
+        }
+
+        await this.ensureDirectory();
+        const tempPath = `${this.outputPath}.tmp`;
+        await fs.writeFile(tempPath, this.serialize(allMovements));
+        await fs.rename(tempPath, this.outputPath);
+
+        console.log(`JSON file written with ${added.length} new records, ${allMovements.length} in total`);
+        return added.length;
+    }
+
+    /**
+     * Write to stdout, waiting for a slow reader such as a pipe to catch up
+     * @private
+     * @param {string} text
+     */
+    static async writeStdout(text) {
+        if (!process.stdout.write(text)) {
+            await once(process.stdout, 'drain');
+        }
+    }
+}
+
+module.exports = JsonService;
@@ -0,0 +1,293 @@
+const fs = require('fs').promises;
+const path = require('path');
+const CsvService = require('./csvService');
+
+/**
+ * @typedef {import('../utils/movements').Movement} Movement
+ */
+
+/**
+ * @typedef {Object} Partition
+ * @property {string} month - Month of the movements in the file, e.g. `2025-01`
+ * @property {string} file - File name, in the directory of the manifest
+ */
+
+/**
+ * @typedef {Object} Manifest
+ * @property {Partition[]} partitions - Partitions in chronological order
+ */
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+/**
+ * Movements stored in one CSV file per month, e.g. `card_movements-2025-01.csv`
+ * for `card_movements.csv`, listed in a manifest. Every partition is a
+ * CsvService file with its own index. A movement always belongs to the
+ * month of its timestamp, so deduplicating within its partition covers
+ * the whole history, and a sync only touches the months it has movements of.
+ * The days in the previous list carry over from the earlier partitions.
+ */
+class PartitionedCsvService {
+    /**
+     * @param {string} outputPath - Path the partition names derive from, e.g. `card_movements.csv`
+     * @param {Object} [options] - Options of every partition, see CsvService
+     */
+    constructor(outputPath, options = {}) {
+        this.outputPath = outputPath;
+        this.options = options;
+
+        const { dir, name, ext } = path.parse(outputPath);
+        this.dir = dir;
+        this.baseName = name;
+        this.extension = ext || '.csv';
+
+        // The unpartitioned file, split into partitions on the first write
+        this.unpartitioned = new CsvService(outputPath, options);
+        this.format = this.unpartitioned.format;
+    }
+
+    /**
+     * Path of a report, next to the partitions, e.g. `card_movements.metrics.csv`
+     * @param {string} name - Report name
+     * @returns {string}
+     */
+    getReportPath(name) {
+        return this.unpartitioned.getReportPath(name);
+    }
+
+    /**
+     * Path of the manifest, e.g. `card_movements.manifest.json`
+     * @returns {string}
+     */
+    getManifestPath() {
+        return path.join(this.dir, `${this.baseName}.manifest.json`);
+    }
+
+    /**
+     * File name of the partition of a month
+     * @param {string} month - e.g. `2025-01`
+     * @returns {string}
+     */
+    getPartitionFile(month) {
+        return `${this.baseName}-${month}${this.extension}`;
+    }
+
+    /**
+     * Service writing the partition of a month
+     * @private
+     * @param {string} month
+     * @param {Object<string, string>} [previousMoves] - Latest move of every card in the earlier partitions
+     * @returns {CsvService}
+     */
+    getPartition(month, previousMoves) {
+        return new CsvService(path.join(this.dir, this.getPartitionFile(month)), { ...this.options, previousMoves });
+    }
+
+    /**
+     * Run a function on the partitions of some months in month order, each
+     * continuing the latest moves of the cards in the partitions before it
+     * @private
+     * @param {string[]} months - Months of the partitions, in order
+     * @param {function(CsvService, string): Promise<void>} callback - Called with the partition of every month
+     */
+    async forEachPartition(months, callback) {
+        let lastMoves = {};
+        for (const month of months) {
+            const partition = this.getPartition(month, lastMoves);
+            await callback(partition, month);
+            lastMoves = await partition.readLastMoves();
+        }
+    }
+
+    /**
+     * Month of a movement, in UTC
+     * @private
+     * @param {Movement} movement
+     * @returns {string}
+     */
+    static getMonth(movement) {
+        const time = new Date(movement.timestamp).getTime();
+        if (Number.isNaN(time)) {
+            throw new Error(`Invalid movement timestamp: ${movement.timestamp}`);
+        }
+        return new Date(time).toISOString().slice(0, 7);
+    }
+
+    /**
+     * Read the manifest. Without one, the partition files found next to
+     * it are listed instead, e.g. after the manifest was deleted.
+     * @private
+     * @returns {Promise<Manifest|null>} Manifest, null when there is neither a manifest nor a partition
+     */
+    async readManifest() {
+        try {
+            const manifest = JSON.parse(await fs.readFile(this.getManifestPath(), 'utf8'));
+            if (!Array.isArray(manifest.partitions)) {
+                throw new Error('no partitions list');
+            }
+            return manifest;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Cannot read CSV manifest ${this.getManifestPath()}: ${error.message}`);
+            }
+        }
+
+        let files;
+        try {
+            files = await fs.readdir(this.dir || '.');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        const prefix = `${this.baseName}-`;
+        const months = files
+            .filter(file => file.startsWith(prefix) && file.endsWith(this.extension))
+            .map(file => file.slice(prefix.length, file.length - this.extension.length))
+            .filter(month => MONTH_PATTERN.test(month));
+
+        return months.length > 0 ? this.createManifest(months) : null;
+    }
+
+    /**
+     * Manifest listing the partitions of some months
+     * @private
+     * @param {string[]} months
+     * @returns {Manifest}
+     */
+    createManifest(months) {
+        return {
+            partitions: Array.from(new Set(months)).sort().map(month => ({ month, file: this.getPartitionFile(month) }))
+        };
+    }
+
+    /**
+     * Store the manifest, replacing the previous one atomically
+     * @private
+     * @param {Manifest} manifest
+     */
+    async writeManifest(manifest) {
+        const manifestPath = this.getManifestPath();
+        await fs.writeFile(`${manifestPath}.tmp`, `${JSON.stringify(manifest, null, 2)}\n`);
+        await fs.rename(`${manifestPath}.tmp`, manifestPath);
+    }
+
+    /**
+     * Read the movements of every partition, in month order. Before the
+     * first partition is written, the unpartitioned file is read instead.
+     * @returns {Promise<Movement[]>} Movements, empty when there are none
+     * @throws {Error} When a partition cannot be read or parsed
+     */
+    async readExistingMovements() {
+        const manifest = await this.readManifest();
+        if (!manifest) {
+            return this.unpartitioned.readExistingMovements();
+        }
+
+        let movements = [];
+        for (const { month } of manifest.partitions) {
+            movements = movements.concat(await this.getPartition(month).readExistingMovements());
+        }
+        return movements;
+    }
+
+    /**
+     * Keys of the movements of every partition, or of the unpartitioned
+     * file before the first partition is written
+     * @returns {Promise<Set<string>>}
+     */
+    async readKeys() {
+        const manifest = await this.readManifest();
+        if (!manifest) {
+            return this.unpartitioned.readKeys();
+        }
+
+        const keys = new Set();
+        for (const { month } of manifest.partitions) {
+            (await this.getPartition(month).readKeys()).forEach(key => keys.add(key));
+        }
+        return keys;
+    }
+
+    /**
+     * Write movements to the partitions of their months, appending as
+     * CsvService does; partitions without new movements are left untouched.
+     * The first write splits an existing unpartitioned file into partitions,
+     * leaving the file itself in place.
+     * @param {Movement[]} movements - New movements to write
+     * @returns {Promise<number>} Number of movements added to the partitions
+     */
+    async writeMovements(movements) {
+        if (!Array.isArray(movements)) {
+            throw new Error('Movements must be an array');
+        }
+
+        let manifest = await this.readManifest();
+        let pending = movements;
+        if (!manifest) {
+            const existing = await this.unpartitioned.readExistingMovements();
+            if (existing.length > 0) {
+                console.log(`Splitting ${this.outputPath} into monthly partitions, the file is left in place`);
+                pending = existing.concat(movements);
+            }
+            manifest = { partitions: [] };
+        }
+
+        const byMonth = new Map();
+        pending.forEach(movement => {
+            const month = PartitionedCsvService.getMonth(movement);
+            if (!byMonth.has(month)) byMonth.set(month, []);
+            byMonth.get(month).push(movement);
+        });
+
+        const months = Array.from(byMonth.keys()).sort();
+        if (months.length === 0) return 0;
+
+        // Earlier partitions are read for the latest moves the new ones continue
+        const updated = this.createManifest([...manifest.partitions.map(({ month }) => month), ...months]);
+        const last = months[months.length - 1];
+        let added = 0;
+        await this.forEachPartition(updated.partitions.map(({ month }) => month).filter(month => month <= last),
+            async (partition, month) => {
+                if (!byMonth.has(month)) return;
+                console.log(`Writing ${this.getPartitionFile(month)}`);
+                added += await partition.writeMovements(byMonth.get(month));
+            });
+
+        await this.writeManifest(updated);
+        return added;
+    }
+
+    /**
+     * Compact every partition, see CsvService#compact
+     * @returns {Promise<{ rows: number, removed: number }>} Rows kept and duplicate rows removed
+     * @throws {Error} When there are no partitions or one cannot be parsed
+     */
+    async compact() {
+        const manifest = await this.readManifest();
+        if (!manifest) {
+            throw new Error(`No CSV partitions of ${this.outputPath} exist`);
+        }
+
+        const total = { rows: 0, removed: 0 };
+        await this.forEachPartition(manifest.partitions.map(({ month }) => month), async partition => {
+            const { rows, removed } = await partition.compact();
+            total.rows += rows;
+            total.removed += removed;
+        });
+        return total;
+    }
+
+    /**
+     * Write a report table next to the partitions, see CsvService#writeReport
+     * @param {string} name - Report name
+     * @param {string[]} columns - Column titles
+     * @param {Array<Array<string|number>>} rows - Report rows
+     * @returns {Promise<string>} Path of the written report
+     */
+    async writeReport(name, columns, rows) {
+        return this.unpartitioned.writeReport(name, columns, rows);
+    }
+}
+
+module.exports = PartitionedCsvService;
@@ -0,0 +1,151 @@
+const { toMovement } = require('../utils/movements');
+const { classifyTransition } = require('../utils/workflow');
+
+/**
+ * @typedef {import('./trelloService').Action} Action
+ * @typedef {import('./syncStateService').SyncState} SyncState
+ * @typedef {import('../utils/movements').Movement} Movement
+ */
+
+/**
+ * @typedef {Object} BoardSync
+ * @property {string} boardId - Board ID
+ * @property {SyncState|null} syncState - Mark the fetch resumed from
+ * @property {Action[]} actions - Actions not processed before, oldest first
+ * @property {Movement[]} movements - Movements of those actions
+ */
+
+/**
+ * Service for fetching the new movements of a board since its last sync
+ */
+class SyncService {
+    /**
+     * @param {Object} options
+     * @param {import('./trelloService')} options.trelloService - Trello service instance
+     * @param {import('./syncStateService')} options.syncStateService - Sync state service instance
+     */
+    constructor({ trelloService, syncStateService }) {
+        this.trelloService = trelloService;
+        this.syncStateService = syncStateService;
+    }
+
+    /**
+     * Fetch the movements of a board, resuming from the stored high-water
+     * mark unless a full rebuild or an explicit start is requested
+     * @param {string} boardId - Board ID
+     * @param {Object} [options]
+     * @param {boolean} [options.full=false] - Ignore the stored mark
+     * @param {boolean} [options.forceFresh=false] - Bypass the cache
+     * @param {string} [options.since] - Explicit start date or action ID
+     * @param {string} [options.until] - Ignore actions after this date
+     * @param {boolean} [options.enrich=false] - Add the labels, members and due date of the cards
+     * @param {string[]} [options.events=['move']] - Card events to fetch, among the movement EVENT_TYPES
+     * @param {'historical'|'current'} [options.listNames='historical'] - Name lists as they were named
+     *     at the time of each action, or by their current name
+     * @param {import('../utils/workflow').Workflow|null} [options.workflow] - Workflow of the board, to
+     *     classify the stage change of every movement
+     * @returns {Promise<BoardSync>}
+     */
+    async fetchBoard(boardId, options = {}) {
+        const {
+            full = false,
+            forceFresh = false,
+            since,
+            until,
+            enrich = false,
+            events = ['move'],
+            listNames = 'historical',
+            workflow = null
+        } = options;
+
+        const syncState = full ? null : await this.syncStateService.get(boardId);
+        const actions = (await this.trelloService.getBoardActions(boardId, forceFresh, {
+            since: since || (syncState ? syncState.lastActionId : undefined),
+            events
+        })).filter(action =>
+            (!syncState || action.id !== syncState.lastActionId) &&
+            (!until || new Date(action.date) <= new Date(until))
+        );
+
+        if (syncState && !since) {
+            console.log(`Incremental sync of board ${boardId} since ${syncState.lastActionDate}: ${actions.length} new actions`);
+        }
+
+        const named = listNames === 'current' && actions.length > 0
+            ? await this.useCurrentListNames(boardId, actions, forceFresh)
+            : actions;
+        let movements = named.map(toMovement);
+        if (enrich && movements.length > 0) {
+            // Cards are only known as they are now, which regular syncs fetch soon after their moves
+            const details = await this.trelloService.getCardDetails(
+                boardId, movements.map(({ cardId }) => cardId), forceFresh);
+            movements = movements.map(movement => ({ ...movement, ...details.get(movement.cardId) }));
+        }
+        if (workflow) {
+            movements = movements.map(movement => ({ ...movement, transition: classifyTransition(movement, workflow) }));
+        }
+
+        return {
+            boardId,
+            syncState,
+            actions,
+            movements
+        };
+    }
+
+    /**
+     * Rename the lists of actions after their current name, from the list
+     * catalogues of the synced board and of the other boards of cross-board
+     * moves. Lists of boards that cannot be read keep their name.
+     * @private
+     * @param {string} boardId - Synced board ID
+     * @param {Action[]} actions
+     * @param {boolean} forceFresh - Bypass the cache
+     * @returns {Promise<Action[]>}
+     */
+    async useCurrentListNames(boardId, actions, forceFresh) {
+        const boardIds = new Set([boardId]);
+        actions.forEach(({ data }) => {
+            [data.boardBefore, data.boardAfter].forEach(board => board && boardIds.add(board.id));
+        });
+
+        const names = new Map();
+        for (const id of boardIds) {
+            const lists = await this.trelloService.getLists(id, forceFresh).catch(error => {
+                console.error(`Keeping the historical list names of board ${id}:`, error.message);
+                return [];
+            });
+            lists.forEach(list => names.set(list.id, list.name));
+        }
+
+        const rename = list => (list && names.has(list.id) ? { ...list, name: names.get(list.id) } : list);
+        return actions.map(action => ({
+            ...action,
+            data: {
+                ...action.data,
+                list: rename(action.data.list),
+                listBefore: rename(action.data.listBefore),
+                listAfter: rename(action.data.listAfter)
+            }
+        }));
+    }
+
+    /**
+     * Advance the stored mark of a board. Call only once every sink has
+     * been written, so a failed write is retried on the next run.
+     * @param {BoardSync} boardSync - Result of fetchBoard
+     */
+    async commit({ boardId, syncState, actions }) {
+        const newest = actions[actions.length - 1];
+        if (!newest) return;
+
+        if (!syncState || new Date(newest.date) > new Date(syncState.lastActionDate)) {
+            await this.syncStateService.set(boardId, {
+                lastActionId: newest.id,
+                lastActionDate: newest.date
+            });
+        }
+    }
+}
+
+module.exports = SyncService;
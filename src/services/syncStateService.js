@@ -0,0 +1,97 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * @typedef {Object} SyncState
+ * @property {string} lastActionId - ID of the newest processed action
+ * @property {string} lastActionDate - ISO date of the newest processed action
+ * @property {string} syncedAt - ISO date of the sync that recorded the mark
+ */
+
+/**
+ * Service for persisting the per-board sync high-water mark
+ */
+class SyncStateService {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.statePath='.sync-state'] - Path to sync state directory
+     */
+    constructor(options = {}) {
+        const { statePath = '.sync-state' } = options;
+
+        this.statePath = statePath;
+    }
+
+    /**
+     * Gets state file path for a board
+     * @private
+     * @param {string} boardId - Board ID
+     * @returns {string} Full path to state file
+     */
+    getStateFilePath(boardId) {
+        return path.join(this.statePath, `${boardId}.json`);
+    }
+
+    /**
+     * Retrieves the stored sync state of a board
+     * @param {string} boardId - Board ID
+     * @returns {Promise<SyncState|null>} Stored state or null if never synced
+     */
+    async get(boardId) {
+        try {
+            const data = await fs.readFile(this.getStateFilePath(boardId), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+
+            console.error('Sync state read error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Stores the sync state of a board
+     * @param {string} boardId - Board ID
+     * @param {Object} mark - Newest processed action
+     * @param {string} mark.lastActionId - Action ID
+     * @param {string} mark.lastActionDate - Action date
+     * @returns {Promise<SyncState>} Stored state
+     */
+    async set(boardId, { lastActionId, lastActionDate }) {
+        const state = {
+            lastActionId,
+            lastActionDate,
+            syncedAt: new Date().toISOString()
+        };
+
+        try {
+            await fs.mkdir(this.statePath, { recursive: true });
+            await fs.writeFile(this.getStateFilePath(boardId), JSON.stringify(state, null, 2));
+        } catch (error) {
+            console.error('Sync state write error:', error);
+            throw error;
+        }
+
+        return state;
+    }
+
+    /**
+     * Removes the stored sync state of a board
+     * @param {string} boardId - Board ID
+     */
+    async clear(boardId) {
+        try {
+            await fs.unlink(this.getStateFilePath(boardId));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            console.error('Sync state delete error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = SyncStateService;
@@ -0,0 +1,233 @@
+const axios = require('axios');
+const {
+    TrelloApiError,
+    TrelloAuthError,
+    TrelloNotFoundError,
+    TrelloRateLimitError
+} = require('../errors');
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN']);
+
+/**
+ * @typedef {Object} TrelloClientOptions
+ * @property {string} apiKey - Trello API key
+ * @property {string} token - Trello token
+ * @property {string} [baseURL='https://api.trello.com/1'] - API root
+ * @property {number} [maxRetries=5] - Retries after the first attempt
+ * @property {number} [retryDelay=500] - Base delay of the exponential backoff in milliseconds
+ * @property {number} [maxRetryDelay=30000] - Upper bound of a single backoff in milliseconds
+ * @property {number} [maxConcurrent=5] - Requests allowed in flight at once
+ */
+
+/**
+ * HTTP layer shared by every Trello request. Follows Trello's rate-limit
+ * headers, retries throttled and failed requests with exponential backoff
+ * and jitter, and caps how many requests run at once.
+ */
+class TrelloClient {
+    /**
+     * @param {TrelloClientOptions} options
+     */
+    constructor(options = {}) {
+        const {
+            apiKey,
+            token,
+            baseURL = 'https://api.trello.com/1',
+            maxRetries = 5,
+            retryDelay = 500,
+            maxRetryDelay = 30 * 1000,
+            maxConcurrent = 5
+        } = options;
+
+        this.apiKey = apiKey;
+        this.token = token;
+        this.baseURL = baseURL;
+        this.maxRetries = maxRetries;
+        this.retryDelay = retryDelay;
+        this.maxRetryDelay = maxRetryDelay;
+        this.maxConcurrent = maxConcurrent;
+
+        this.active = 0;
+        this.queue = [];
+        this.pausedUntil = 0;
+    }
+
+    /**
+     * Send a GET request to the Trello API
+     * @param {string} path - API path, e.g. `/members/me/boards`
+     * @param {Object} [params] - Query parameters besides the credentials
+     * @returns {Promise<any>} Response body
+     */
+    async get(path, params = {}) {
+        await this.acquire();
+        try {
+            return await this.requestWithRetry(path, params);
+        } finally {
+            this.release();
+        }
+    }
+
+    /**
+     * Wait for a free request slot
+     * @private
+     */
+    async acquire() {
+        if (this.active < this.maxConcurrent) {
+            this.active++;
+            return;
+        }
+        await new Promise(resolve => this.queue.push(resolve));
+    }
+
+    /**
+     * Hand the request slot to the next waiting request
+     * @private
+     */
+    release() {
+        const next = this.queue.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+
+    /**
+     * Send a request, retrying throttled and transient failures
+     * @private
+     * @param {string} path - API path
+     * @param {Object} params - Query parameters
+     * @returns {Promise<any>} Response body
+     */
+    async requestWithRetry(path, params) {
+        for (let attempt = 0; ; attempt++) {
+            await this.waitForRateLimit();
+
+            try {
+                const response = await axios.get(`${this.baseURL}${path}`, {
+                    params: {
+                        key: this.apiKey,
+                        token: this.token,
+                        ...params
+                    }
+                });
+
+                this.updateRateLimit(response.headers);
+                return response.data;
+            } catch (error) {
+                if (error.response) {
+                    this.updateRateLimit(error.response.headers);
+                }
+
+                if (attempt >= this.maxRetries || !TrelloClient.isRetryable(error)) {
+                    throw TrelloClient.toTrelloError(error, path);
+                }
+
+                const delay = this.getRetryDelay(error, attempt);
+                const reason = error.response ? `status ${error.response.status}` : error.code;
+                console.error(`Trello request ${path} failed with ${reason}, retrying in ${delay}ms`);
+                await TrelloClient.sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Pause until the rate-limit window announced by Trello has passed
+     * @private
+     */
+    async waitForRateLimit() {
+        const wait = this.pausedUntil - Date.now();
+        if (wait > 0) {
+            await TrelloClient.sleep(wait);
+        }
+    }
+
+    /**
+     * Record the rate-limit headers of a response. When the token or key
+     * has no requests left in the current window, later requests wait for
+     * the window to end.
+     * @private
+     * @param {Object} [headers] - Response headers
+     */
+    updateRateLimit(headers = {}) {
+        ['token', 'key'].forEach(scope => {
+            const remaining = headers[`x-rate-limit-api-${scope}-remaining`];
+            const interval = Number(headers[`x-rate-limit-api-${scope}-interval-ms`]);
+
+            if (remaining !== undefined && Number(remaining) <= 0 && interval > 0) {
+                this.pausedUntil = Math.max(this.pausedUntil, Date.now() + interval);
+            }
+        });
+    }
+
+    /**
+     * Delay before the next attempt: the server's Retry-After when given,
+     * otherwise exponential backoff with jitter
+     * @private
+     * @param {Error} error - Failed attempt
+     * @param {number} attempt - Zero-based attempt number
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(error, attempt) {
+        const retryAfter = error.response && Number(error.response.headers['retry-after']);
+        if (retryAfter > 0) {
+            return Math.min(retryAfter * 1000, this.maxRetryDelay);
+        }
+
+        const backoff = Math.min(this.retryDelay * 2 ** attempt, this.maxRetryDelay);
+        return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+    }
+
+    /**
+     * Check whether a failed request may succeed when retried
+     * @private
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    static isRetryable(error) {
+        if (error.response) {
+            return RETRYABLE_STATUSES.has(error.response.status);
+        }
+        return RETRYABLE_CODES.has(error.code);
+    }
+
+    /**
+     * Map a failed request to a Trello error
+     * @private
+     * @param {Error} error - Axios error
+     * @param {string} path - Requested API path
+     * @returns {Error}
+     */
+    static toTrelloError(error, path) {
+        if (!error.response) {
+            return error;
+        }
+
+        const { status, data } = error.response;
+        const detail = typeof data === 'string' && data ? `: ${data}` : '';
+        const details = { status, path };
+
+        if (status === 401 || status === 403) {
+            return new TrelloAuthError(`Trello rejected the API key or token (${status})${detail}`, details);
+        }
+        if (status === 404) {
+            return new TrelloNotFoundError(`Trello resource not found: ${path}${detail}`, details);
+        }
+        if (status === 429) {
+            return new TrelloRateLimitError(`Trello rate limit exceeded for ${path}`, details);
+        }
+        return new TrelloApiError(`Trello request ${path} failed with status ${status}${detail}`, details);
+    }
+
+    /**
+     * @private
+     * @param {number} ms
+     * @returns {Promise<void>}
+     */
+    static sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = TrelloClient;
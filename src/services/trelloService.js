@@ -1,20 +1,60 @@
-const axios = require('axios');
-const config = require('../config/config');
+const { getConfig } = require('../config/config');
 const CacheService = require('./cacheService');
+const TrelloClient = require('./trelloClient');
+const { TrelloApiError, TrelloNotFoundError, ConfigError } = require('../errors');
+const { getEventType } = require('../utils/movements');
+
+// Action types that can record each card event
+const EVENT_ACTION_TYPES = {
+    move: ['updateCard', 'moveCardToBoard', 'moveCardFromBoard'],
+    create: ['createCard', 'copyCard'],
+    archive: ['updateCard'],
+    delete: ['deleteCard'],
+    due: ['updateCard'],
+    checklist: ['updateCheckItemStateOnCard']
+};
+
+// Maximum time between the two halves of a cross-board move
+const CROSS_BOARD_PAIR_WINDOW = 60 * 1000;
+
+// Routes Trello accepts in one batch request
+const BATCH_SIZE = 10;
 
 /**
  * @typedef {Object} Board
  * @property {string} id - Board ID
  * @property {string} name - Board name
+ * @property {string} url - Board URL
  */
 
 /**
  * @typedef {Object} Action
+ * @property {string} id - Action ID
  * @property {string} type - Action type
+ * @property {string} date - ISO date of the action
  * @property {Object} data - Action data
  * @property {Object} data.card - Card information
  * @property {Object} [data.listBefore] - Previous list
  * @property {Object} [data.listAfter] - New list
+ * @property {Object} [data.boardBefore] - Source board of a cross-board move
+ * @property {Object} [data.boardAfter] - Target board of a cross-board move
+ * @property {string} [data.pairedActionId] - ID of the other half of a cross-board move
+ * @property {string} [idMemberCreator] - ID of the member who performed the action
+ * @property {Object} [memberCreator] - Member who performed the action, with `fullName` and `username`
+ */
+
+/**
+ * @typedef {Object} List
+ * @property {string} id - List ID
+ * @property {string} name - Current list name
+ * @property {boolean} closed - Whether the list is archived
+ */
+
+/**
+ * @typedef {Object} CardDetails
+ * @property {string} labels - Label names, comma-separated, the color for unnamed labels
+ * @property {string} members - Full names of the card's members, comma-separated
+ * @property {string} due - ISO due date, empty without one
  */
 
 class TrelloService {
@@ -23,28 +63,30 @@ class TrelloService {
      * @param {string} [options.apiKey] - Trello API key
      * @param {string} [options.token] - Trello token
      * @param {CacheService} [options.cacheService] - Cache service instance
+     * @param {number} [options.pageSize=1000] - Actions requested per page (Trello allows up to 1000)
+     * @param {TrelloClient} [options.client] - HTTP client instance
+     * @param {import('./trelloClient').TrelloClientOptions} [options.clientOptions] - Options of the default HTTP client
      */
     constructor(options = {}) {
+        const config = getConfig();
         this.apiKey = options.apiKey || config.trello.apiKey;
         this.token = options.token || config.trello.token;
-        this.baseURL = 'https://api.trello.com/1';
-        this.cacheService = options.cacheService || new CacheService();
+        this.cacheService = options.cacheService || new CacheService({
+            cachePath: config.cache.path,
+            lifetime: config.cache.lifetime,
+            staleAfter: config.cache.staleAfter
+        });
+        this.pageSize = options.pageSize || 1000;
 
         if (!this.apiKey || !this.token) {
-            throw new Error('Trello API key and token are required');
+            throw new ConfigError('Trello API key and token are required');
         }
-    }
 
-    /**
-     * Get common request parameters
-     * @private
-     * @returns {Object} Common parameters
-     */
-    getCommonParams() {
-        return {
-            key: this.apiKey,
+        this.client = options.client || new TrelloClient({
+            ...options.clientOptions,
+            apiKey: this.apiKey,
             token: this.token
-        };
+        });
     }
 
     /**
@@ -65,6 +107,7 @@ class TrelloService {
             return await this.fetchBoards();
         } catch (error) {
             console.error('Error fetching boards:', error.message);
+            if (error instanceof TrelloApiError) throw error;
             throw new Error(`Failed to fetch boards: ${error.message}`);
         }
     }
@@ -75,13 +118,12 @@ class TrelloService {
      * @returns {Promise<Board[]>}
      */
     async fetchBoards() {
-        const response = await axios.get(`${this.baseURL}/members/me/boards`, {
-            params: this.getCommonParams()
-        });
+        const data = await this.client.get('/members/me/boards');
         
-        const boards = response.data.map(board => ({
+        const boards = data.map(board => ({
             id: board.id,
-            name: board.name
+            name: board.name,
+            url: board.url
         }));
 
         await this.cacheService.set('boards', boards);
@@ -89,54 +131,296 @@ class TrelloService {
     }
 
     /**
-     * Fetch board actions from Trello
+     * Fetch the lists of a board from Trello, archived ones included
      * @param {string} boardId - Board ID
      * @param {boolean} [forceFresh=false] - Force fresh data fetch
-     * @returns {Promise<Action[]>} List of actions
+     * @returns {Promise<List[]>} Lists with their current names
      */
-    async getBoardActions(boardId, forceFresh = false) {
+    async getLists(boardId, forceFresh = false) {
+        const cacheKey = `board_lists_${boardId}`;
+
+        try {
+            if (!forceFresh) {
+                const cached = await this.cacheService.get(cacheKey,
+                    () => this.fetchLists(boardId));
+                if (cached) return cached;
+            }
+
+            return await this.fetchLists(boardId);
+        } catch (error) {
+            console.error('Error fetching lists:', error.message);
+            if (error instanceof TrelloApiError) throw error;
+            throw new Error(`Failed to fetch lists: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetch the lists of a board directly from Trello API
+     * @private
+     * @param {string} boardId - Board ID
+     * @returns {Promise<List[]>}
+     */
+    async fetchLists(boardId) {
+        const data = await this.client.get(`/boards/${boardId}/lists`, { filter: 'all' });
+
+        const lists = data.map(list => ({
+            id: list.id,
+            name: list.name,
+            closed: Boolean(list.closed)
+        }));
+
+        await this.cacheService.set(`board_lists_${boardId}`, lists);
+        return lists;
+    }
+
+    /**
+     * Build the cache key for a board's full action history
+     * @private
+     * @param {string} boardId - Board ID
+     * @param {string[]} [events=['move']] - Tracked card events
+     * @returns {string}
+     */
+    getActionsCacheKey(boardId, events = ['move']) {
+        const key = `board_actions_${boardId}`;
+        // Moves alone keep the key of caches written before other events were tracked
+        return events.length === 1 && events[0] === 'move' ? key : `${key}_${[...events].sort().join('_')}`;
+    }
+
+    /**
+     * Fetch board actions from Trello. Only the full history is cached:
+     * history since a mark is what changed since then, which a cached copy
+     * would hide until it expires.
+     * @param {string} boardId - Board ID
+     * @param {boolean} [forceFresh=false] - Force fresh data fetch
+     * @param {Object} [options]
+     * @param {string} [options.since] - Only fetch actions after this date or action ID
+     * @param {string[]} [options.events=['move']] - Card events to fetch, among the movement EVENT_TYPES
+     * @returns {Promise<Action[]>} List of actions, oldest first
+     */
+    async getBoardActions(boardId, forceFresh = false, options = {}) {
         if (!boardId) {
             throw new Error('Board ID is required');
         }
 
-        const cacheKey = `board_actions_${boardId}`;
+        const { since, events = ['move'] } = options;
+        const cacheKey = this.getActionsCacheKey(boardId, events);
         
         try {
-            if (!forceFresh) {
+            if (!forceFresh && !since) {
                 const cached = await this.cacheService.get(cacheKey,
-                    () => this.fetchBoardActions(boardId));
+                    () => this.fetchBoardActions(boardId, since, events));
                 if (cached) return cached;
             }
 
-            return await this.fetchBoardActions(boardId);
+            return await this.fetchBoardActions(boardId, since, events);
         } catch (error) {
             console.error('Error fetching board actions:', error.message);
+            if (error instanceof TrelloNotFoundError) {
+                throw new TrelloNotFoundError(`Board ${boardId} was not found or is not accessible`, {
+                    status: error.status,
+                    path: error.path
+                });
+            }
+            if (error instanceof TrelloApiError) throw error;
             throw new Error(`Failed to fetch board actions: ${error.message}`);
         }
     }
 
     /**
-     * Fetch board actions directly from Trello API
+     * Fetch every page of board actions directly from Trello API
      * @private
      * @param {string} boardId - Board ID
-     * @returns {Promise<Action[]>}
+     * @param {string} [since] - Only fetch actions after this date or action ID
+     * @param {string[]} [events=['move']] - Card events to fetch
+     * @returns {Promise<Action[]>} Deduplicated actions, oldest first
      */
-    async fetchBoardActions(boardId) {
-        const response = await axios.get(`${this.baseURL}/boards/${boardId}/actions`, {
-            params: {
-                ...this.getCommonParams(),
-                filter: 'updateCard'
+    async fetchBoardActions(boardId, since, events = ['move']) {
+        const actionsById = new Map();
+        const filter = Array.from(new Set(events.flatMap(event => EVENT_ACTION_TYPES[event]))).join(',');
+        let before;
+
+        // Trello returns actions newest first, so each page continues
+        // from the oldest action of the previous one
+        while (true) {
+            const page = await this.client.get(`/boards/${boardId}/actions`, {
+                filter,
+                limit: this.pageSize,
+                ...(before && { before }),
+                ...(since && { since })
+            });
+
+            page.forEach(action => actionsById.set(action.id, action));
+
+            const oldest = page[page.length - 1];
+            if (page.length < this.pageSize || !oldest || oldest.id === before) {
+                break;
             }
-        });
-        
-        const actions = response.data.filter(action => 
-            action.type === 'updateCard' && 
-            (action.data.listBefore || action.data.listAfter)
-        );
+            before = oldest.id;
+        }
+
+        const eventActions = Array.from(actionsById.values())
+            .filter(action => TrelloService.isTrackedAction(action, events));
 
-        await this.cacheService.set(`board_actions_${boardId}`, actions);
+        const actions = (await this.resolveCrossBoardMoves(eventActions))
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        if (!since) {
+            await this.cacheService.set(this.getActionsCacheKey(boardId, events), actions);
+        }
         return actions;
     }
+
+    /**
+     * Labels, members and due date of cards, as they are now. Details are
+     * cached per board; only the cards missing from the cache are fetched,
+     * ten per batch request. Deleted or inaccessible cards get empty details.
+     * @param {string} boardId - Board the cards were synced from, the cache key
+     * @param {string[]} cardIds - Card IDs
+     * @param {boolean} [forceFresh=false] - Refetch every card
+     * @returns {Promise<Map<string, CardDetails>>} Details by card ID
+     */
+    async getCardDetails(boardId, cardIds, forceFresh = false) {
+        const cacheKey = `card_details_${boardId}`;
+        const cached = forceFresh ? null : await this.cacheService.get(cacheKey);
+        const details = new Map(Object.entries(cached || {}));
+
+        const missing = Array.from(new Set(cardIds.filter(id => id && !details.has(id))));
+        if (missing.length === 0) return details;
+
+        try {
+            for (let start = 0; start < missing.length; start += BATCH_SIZE) {
+                const ids = missing.slice(start, start + BATCH_SIZE);
+                const responses = await this.client.get('/batch', {
+                    urls: ids.map(id => `/cards/${id}?members=true`).join(',')
+                });
+
+                ids.forEach((id, index) => {
+                    const card = (responses[index] || {})['200'];
+                    details.set(id, card ? TrelloService.toCardDetails(card) : { labels: '', members: '', due: '' });
+                });
+            }
+        } catch (error) {
+            console.error('Error fetching card details:', error.message);
+            if (error instanceof TrelloApiError) throw error;
+            throw new Error(`Failed to fetch card details: ${error.message}`);
+        }
+
+        await this.cacheService.set(cacheKey, Object.fromEntries(details));
+        return details;
+    }
+
+    /**
+     * Details of a card from Trello
+     * @private
+     * @param {Object} card - Trello card, with its members
+     * @returns {CardDetails}
+     */
+    static toCardDetails(card) {
+        return {
+            labels: (card.labels || []).map(label => label.name || label.color).filter(Boolean).join(', '),
+            members: (card.members || []).map(member => member.fullName || member.username).join(', '),
+            due: card.due ? new Date(card.due).toISOString() : ''
+        };
+    }
+
+    /**
+     * Check whether an action records one of the tracked card events
+     * @private
+     * @param {Action} action
+     * @param {string[]} events - Tracked card events
+     * @returns {boolean}
+     */
+    static isTrackedAction(action, events) {
+        const eventType = getEventType(action);
+        return events.includes(eventType === 'unarchive' ? 'archive' : eventType);
+    }
+
+    /**
+     * Fetch the cross-board move actions of a card directly from Trello API
+     * @private
+     * @param {string} cardId - Card ID
+     * @returns {Promise<Action[]>}
+     */
+    async fetchCardBoardMoves(cardId) {
+        return this.client.get(`/cards/${cardId}/actions`, {
+            filter: 'moveCardToBoard,moveCardFromBoard'
+        });
+    }
+
+    /**
+     * Complete cross-board moves with their source and target boards and lists.
+     *
+     * Trello records a cross-board move as two actions, `moveCardFromBoard` on
+     * the source board and `moveCardToBoard` on the target board, each knowing
+     * only its own list. The other half is looked up through the card's actions
+     * so every move carries both sides, and both halves share the date of the
+     * `moveCardToBoard` action so they resolve to the same movement.
+     * @private
+     * @param {Action[]} actions - Card event actions of a board
+     * @returns {Promise<Action[]>}
+     */
+    async resolveCrossBoardMoves(actions) {
+        const cardMoves = new Map();
+        let boardNames = null;
+
+        const findCounterpart = async (half) => {
+            const cardId = half.data.card.id;
+            if (!cardMoves.has(cardId)) {
+                cardMoves.set(cardId, this.fetchCardBoardMoves(cardId).catch(error => {
+                    console.error(`Error fetching board moves of card ${cardId}:`, error.message);
+                    return [];
+                }));
+            }
+
+            const counterpartType = half.type === 'moveCardToBoard'
+                ? 'moveCardFromBoard'
+                : 'moveCardToBoard';
+            const candidates = await cardMoves.get(cardId);
+
+            return candidates.find(candidate =>
+                candidate.type === counterpartType &&
+                Math.abs(new Date(candidate.date) - new Date(half.date)) <= CROSS_BOARD_PAIR_WINDOW
+            ) || null;
+        };
+
+        const withBoardName = async (board) => {
+            if (board.name) return board;
+
+            if (!boardNames) {
+                const boards = await this.getBoards().catch(() => []);
+                boardNames = new Map(boards.map(({ id, name }) => [id, name]));
+            }
+            return { ...board, name: boardNames.get(board.id) || board.id };
+        };
+
+        const resolved = [];
+        for (const action of actions) {
+            if (action.type !== 'moveCardToBoard' && action.type !== 'moveCardFromBoard') {
+                resolved.push(action);
+                continue;
+            }
+
+            const counterpart = await findCounterpart(action);
+            const [from, to] = action.type === 'moveCardFromBoard'
+                ? [action, counterpart]
+                : [counterpart, action];
+
+            resolved.push({
+                ...action,
+                date: to ? to.date : action.date,
+                data: {
+                    ...action.data,
+                    boardBefore: await withBoardName(from ? from.data.board : to.data.boardSource),
+                    boardAfter: await withBoardName(to ? to.data.board : from.data.boardTarget),
+                    listBefore: from ? from.data.list : null,
+                    listAfter: to ? to.data.list : null,
+                    pairedActionId: counterpart ? counterpart.id : null
+                }
+            });
+        }
+
+        return resolved;
+    }
 }
 
 module.exports = TrelloService;
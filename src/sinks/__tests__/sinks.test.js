@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSinks, writeSinks } = require('..');
+const { ConfigError } = require('../../errors');
+
+const movement = (actionId, timestamp) => ({
+    cardName: 'Test Card',
+    oldLocation: 'List 1',
+    newLocation: 'List 2',
+    timestamp,
+    actionId
+});
+
+const board1 = { id: 'board1', name: 'Sprint' };
+const board2 = { id: 'board2', name: 'Backlog' };
+
+describe('sinks', () => {
+    let dir;
+    let consoleSpies;
+    let config;
+
+    beforeEach(() => {
+        consoleSpies = ['log', 'error'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trello-tracker-sinks-'));
+        config = {
+            csv: { path: path.join(dir, 'card_movements.csv') },
+            json: {},
+            sheets: { summary: true },
+            analytics: {},
+            sinks: { enabled: ['csv', 'json', 'sheets'] },
+            tracking: { output: 'combined' }
+        };
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        consoleSpies.forEach(spy => spy.mockRestore());
+    });
+
+    describe('createSinks', () => {
+        it('should create the enabled sinks that are configured', () => {
+            expect(createSinks({ config, values: {}, boards: [] }).map(({ name }) => name)).toEqual(['csv']);
+
+            const values = { json: path.join(dir, 'movements.ndjson'), sheet: 'sheet-id' };
+            expect(createSinks({ config, values, boards: [] }).map(({ name }) => name)).toEqual(['csv', 'json', 'sheets']);
+        });
+
+        it('should leave out disabled sinks', () => {
+            config.sinks.enabled = ['json'];
+            config.json.path = path.join(dir, 'movements.ndjson');
+
+            expect(createSinks({ config, values: {}, boards: [] }).map(({ name }) => name)).toEqual(['json']);
+        });
+
+        it('should reject unknown sinks', () => {
+            config.sinks.enabled = ['csv', 'kafka'];
+
+            expect(() => createSinks({ config, values: {}, boards: [] })).toThrow(ConfigError);
+            expect(() => createSinks({ config, values: {}, boards: [] }))
+                .toThrow('Unknown sinks in "sinks.enabled": kafka, expected some of: csv, json, sheets');
+        });
+    });
+
+    describe('writeSinks', () => {
+        const target = (name, batches, keys, write) => ({
+            name,
+            batches,
+            readKeys: async () => new Set(keys),
+            writeMovements: write
+        });
+
+        it('should pass each target the movements it lacks and report per target', async () => {
+            const write = jest.fn(async movements => movements.length);
+            const batches = [
+                { board: board1, movements: [movement('a2', '2024-01-02T00:00:00.000Z'), movement('a1', '2024-01-01T00:00:00.000Z')] }
+            ];
+            const sink = { getTargets: jest.fn(given => [target('file', given, ['a1'], write)]) };
+
+            const results = await writeSinks([{ name: 'test', sink }], batches);
+
+            expect(write).toHaveBeenCalledWith([expect.objectContaining({ actionId: 'a2' })]);
+            expect(results).toEqual([{ sink: 'test', target: 'file', boards: ['board1'], written: 1, skipped: 1 }]);
+        });
+
+        it('should keep writing other targets after a failure', async () => {
+            const batches = [
+                { board: board1, movements: [movement('a1', '2024-01-01T00:00:00.000Z')] },
+                { board: board2, movements: [movement('a2', '2024-01-02T00:00:00.000Z')] }
+            ];
+            const failing = {
+                getTargets: given => given.map(batch => target(batch.board.name, [batch], [], async () => {
+                    if (batch.board === board1) throw new Error('quota exceeded');
+                    return 1;
+                })),
+                finish: jest.fn(async () => {})
+            };
+            const working = { getTargets: given => [target('file', given, [], async movements => movements.length)] };
+
+            const results = await writeSinks([{ name: 'sheets', sink: failing }, { name: 'csv', sink: working }], batches);
+
+            expect(results.map(({ sink, target: name, written, error }) => [sink, name, written, error && error.message]))
+                .toEqual([
+                    ['sheets', 'Sprint', 0, 'quota exceeded'],
+                    ['sheets', 'Backlog', 1, undefined],
+                    ['csv', 'file', 2, undefined]
+                ]);
+            expect(failing.finish).toHaveBeenCalled();
+        });
+
+        it('should report a failing finish step', async () => {
+            const sink = { getTargets: () => [], finish: async () => { throw new Error('no summary'); } };
+
+            const [result] = await writeSinks([{ name: 'sheets', sink }], []);
+
+            expect(result).toMatchObject({ sink: 'sheets', boards: [], error: new Error('no summary') });
+        });
+    });
+
+    describe('sheets sink', () => {
+        it('should give every board its own tab apart from the report tabs', () => {
+            const boards = [board1, board2, { id: 'board3', name: 'sprint' }, { id: 'board4', name: 'Summary' }];
+            const values = { sheet: 'sheet-id', 'tab-per-board': true };
+            const { sink } = createSinks({ config, values, boards }).find(({ name }) => name === 'sheets');
+
+            const targets = sink.getTargets(boards.map(board => ({ board, movements: [] })));
+
+            expect(targets.map(({ name }) => name))
+                .toEqual(['Sprint (board1)', 'Backlog', 'sprint (board3)', 'Summary (board4)']);
+        });
+    });
+
+    describe('file sinks', () => {
+        const batches = [
+            { board: board1, movements: [movement('a1', '2024-01-01T00:00:00.000Z')] },
+            { board: board2, movements: [movement('a2', '2024-01-02T00:00:00.000Z')] }
+        ];
+
+        it('should write one CSV file per board with separate output', async () => {
+            config.tracking.output = 'separate';
+            const sinks = createSinks({ config, values: {}, boards: [board1, board2] });
+
+            const results = await writeSinks(sinks, batches);
+
+            expect(results.map(({ target }) => path.basename(target)))
+                .toEqual(['card_movements-sprint.csv', 'card_movements-backlog.csv']);
+            expect(fs.existsSync(path.join(dir, 'card_movements-sprint.csv'))).toBe(true);
+        });
+
+        it('should skip the movements already written on the next sync', async () => {
+            const values = { json: path.join(dir, 'movements.ndjson') };
+            await writeSinks(createSinks({ config, values, boards: [board1, board2] }), batches);
+
+            const results = await writeSinks(createSinks({ config, values, boards: [board1, board2] }), batches);
+
+            expect(results.map(({ sink, written, skipped }) => [sink, written, skipped]))
+                .toEqual([['csv', 0, 2], ['json', 0, 2]]);
+        });
+    });
+});
@@ -0,0 +1,53 @@
+const path = require('path');
+const { createCsvService } = require('../services/csvOutput');
+
+/**
+ * File path of the per-board CSV output of each board, from the board
+ * name with the board ID added when two boards share a name
+ * @param {string} outputPath - Combined output path, e.g. `card_movements.csv`
+ * @param {Array<{ id: string, name: string }>} boards
+ * @returns {Map<string, string>} File path by board ID
+ */
+function getBoardOutputPaths(outputPath, boards) {
+    const { dir, name: baseName, ext } = path.parse(outputPath);
+    const slugs = boards.map(({ id, name }) =>
+        (name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || id)
+    );
+
+    return new Map(boards.map(({ id }, index) => {
+        const slug = slugs[index];
+        const unique = slugs.indexOf(slug) === slugs.lastIndexOf(slug);
+        return [id, path.join(dir, `${baseName}-${unique ? slug : `${slug}-${id}`}${ext || '.csv'}`)];
+    }));
+}
+
+/**
+ * The CSV file, or one file per board with separate output
+ * @type {import('./index').SinkModule}
+ */
+module.exports = {
+    name: 'csv',
+
+    create({ config, values, boards }) {
+        const outputPath = values.output || config.csv.path;
+
+        return {
+            getTargets(batches) {
+                const boardPaths = getBoardOutputPaths(outputPath, boards);
+                const files = config.tracking.output === 'separate'
+                    ? batches.map(batch => [boardPaths.get(batch.board.id), [batch]])
+                    : [[outputPath, batches]];
+
+                return files.map(([filePath, fileBatches]) => {
+                    const service = createCsvService(filePath, config.csv);
+                    return {
+                        name: filePath,
+                        batches: fileBatches,
+                        readKeys: () => service.readKeys(),
+                        writeMovements: movements => service.writeMovements(movements)
+                    };
+                });
+            }
+        };
+    }
+};
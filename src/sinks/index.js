@@ -0,0 +1,142 @@
+const { ConfigError } = require('../errors');
+const { selectNewMovements } = require('../utils/movements');
+
+/**
+ * @typedef {import('../utils/movements').Movement} Movement
+ * @typedef {import('../config/config').Config} Config
+ */
+
+/**
+ * @typedef {Object} Batch
+ * @property {{ id: string, name: string }} board - Synced board
+ * @property {Movement[]} movements - New movements of the board
+ */
+
+/**
+ * @typedef {Object} SinkContext
+ * @property {Config} config - Configuration
+ * @property {Object<string, string|boolean>} values - Options of the sync command
+ * @property {Array<{ id: string, name: string }>} boards - Every board of the sync, also the ones that failed
+ */
+
+/**
+ * @typedef {Object} SinkTarget
+ * @property {string} name - Where the movements go, e.g. a file path or a tab, shown in the results
+ * @property {Batch[]} batches - Boards whose movements go there
+ * @property {function(): Promise<Set<string>>} readKeys - Keys of the movements already there
+ * @property {function(Movement[]): Promise<number>} writeMovements - Write movements missing from the
+ *     target, in chronological order, resolving to the number written
+ */
+
+/**
+ * @typedef {Object} Sink
+ * @property {function(Batch[]): SinkTarget[]} getTargets - Where the movements of the synced boards go
+ * @property {function(): Promise<void>} [finish] - Called once every target was written, e.g. for summaries
+ */
+
+/**
+ * @typedef {Object} SinkModule
+ * @property {string} name - Name in the sinks.enabled setting
+ * @property {function(SinkContext): Sink|null} create - Sink of a sync, null when its settings are missing
+ */
+
+/**
+ * @typedef {Object} SinkResult
+ * @property {string} sink - Sink name
+ * @property {string} target - Target name
+ * @property {string[]} boards - IDs of the boards written to the target
+ * @property {number} written - Movements written
+ * @property {number} skipped - Movements already there
+ * @property {Error} [error] - Why the write failed
+ */
+
+/**
+ * Available sinks, in write order
+ * @type {SinkModule[]}
+ */
+const SINKS = [
+    require('./csv'),
+    require('./json'),
+    require('./sheets')
+];
+
+/**
+ * Create the enabled sinks that are configured
+ * @param {SinkContext} context
+ * @returns {Array<{ name: string, sink: Sink }>}
+ * @throws {ConfigError} On unknown sink names
+ */
+function createSinks(context) {
+    const { enabled } = context.config.sinks;
+    const unknown = enabled.filter(name => !SINKS.some(module => module.name === name));
+    if (unknown.length > 0) {
+        throw new ConfigError(`Unknown sinks in "sinks.enabled": ${unknown.join(', ')}, ` +
+            `expected some of: ${SINKS.map(({ name }) => name).join(', ')}`);
+    }
+
+    return SINKS
+        .filter(({ name }) => enabled.includes(name))
+        .map(({ name, create }) => ({ name, sink: create(context) }))
+        .filter(({ sink }) => sink);
+}
+
+/**
+ * Write the movements missing from one target
+ * @param {string} sinkName
+ * @param {SinkTarget} target
+ * @returns {Promise<SinkResult>}
+ */
+async function writeTarget(sinkName, target) {
+    const movements = target.batches.flatMap(batch => batch.movements);
+    const result = {
+        sink: sinkName,
+        target: target.name,
+        boards: target.batches.map(({ board }) => board.id),
+        written: 0,
+        skipped: 0
+    };
+
+    try {
+        const added = selectNewMovements(movements, await target.readKeys());
+        result.written = await target.writeMovements(added);
+        result.skipped = movements.length - result.written;
+    } catch (error) {
+        console.error(`Failed to write to ${sinkName} ${target.name}:`, error.message);
+        result.error = error;
+    }
+    return result;
+}
+
+/**
+ * Write synced movements to every sink, one target at a time. A failing
+ * target does not stop the others; its error is part of its result.
+ * @param {Array<{ name: string, sink: Sink }>} sinks
+ * @param {Batch[]} batches - Movements of the synced boards
+ * @returns {Promise<SinkResult[]>}
+ */
+async function writeSinks(sinks, batches) {
+    const results = [];
+
+    for (const { name, sink } of sinks) {
+        for (const target of sink.getTargets(batches)) {
+            results.push(await writeTarget(name, target));
+        }
+
+        if (sink.finish) {
+            try {
+                await sink.finish();
+            } catch (error) {
+                console.error(`Failed to finish ${name}:`, error.message);
+                results.push({ sink: name, target: '', boards: [], written: 0, skipped: 0, error });
+            }
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    SINKS,
+    createSinks,
+    writeSinks
+};
@@ -0,0 +1,27 @@
+const JsonService = require('../services/jsonService');
+
+/**
+ * The JSON file of `--json` or the json settings, or stdout
+ * @type {import('./index').SinkModule}
+ */
+module.exports = {
+    name: 'json',
+
+    create({ config, values }) {
+        const outputPath = values.json || config.json.path;
+        if (!outputPath) return null;
+
+        const service = new JsonService(outputPath, { format: values['json-format'] || config.json.format });
+
+        return {
+            getTargets(batches) {
+                return [{
+                    name: service.isStdout() ? 'stdout' : outputPath,
+                    batches,
+                    readKeys: () => service.readKeys(),
+                    writeMovements: movements => service.writeMovements(movements)
+                }];
+            }
+        };
+    }
+};
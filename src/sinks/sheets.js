@@ -0,0 +1,85 @@
+const GoogleSheetsService = require('../services/googleSheetsService');
+const AnalyticsService = require('../services/analyticsService');
+const { getMovementKey } = require('../utils/movements');
+
+// Tabs written by the summary and the reports, which board tabs must not take over
+const REPORT_TABS = ['Summary', 'Card Metrics', 'Cumulative Flow', 'Member Activity', 'Regressions'];
+
+/**
+ * Tab of each board with a tab per board, named after the board with the
+ * board ID added when two boards share a name or the name is a report tab.
+ * Sheets compares tab names case-insensitively, so do these.
+ * @param {Array<{ id: string, name: string }>} boards
+ * @returns {Map<string, string>} Tab name by board ID
+ */
+function getBoardTabNames(boards) {
+    const names = boards.map(({ id, name }) => name.trim() || id);
+    const keys = names.map(name => name.toLowerCase());
+    const reserved = REPORT_TABS.map(name => name.toLowerCase());
+
+    return new Map(boards.map(({ id }, index) => {
+        const key = keys[index];
+        const unique = keys.indexOf(key) === keys.lastIndexOf(key) && !reserved.includes(key);
+        return [id, unique ? names[index] : `${names[index]} (${id})`];
+    }));
+}
+
+/**
+ * The Google Sheet, in one tab or a tab per board, followed by the
+ * summary tab computed from every movement of the written tabs
+ * @type {import('./index').SinkModule}
+ */
+module.exports = {
+    name: 'sheets',
+
+    create({ config, values, boards }) {
+        const spreadsheetId = values.sheet || config.sheets.spreadsheetId;
+        if (!spreadsheetId) return null;
+
+        const service = new GoogleSheetsService({
+            ...config.sheets,
+            sheetName: values.tab || config.sheets.sheetName,
+            writeMode: values['sheet-mode'] || config.sheets.writeMode
+        });
+        const tabPerBoard = config.tracking.output === 'separate' ||
+            Boolean(values['tab-per-board'] || config.sheets.tabPerBoard);
+
+        // Every movement of each tab written, for the summary tab
+        const tabs = [];
+
+        return {
+            getTargets(batches) {
+                const boardTabs = getBoardTabNames(boards);
+                const groups = tabPerBoard
+                    ? batches.map(batch => [boardTabs.get(batch.board.id), [batch]])
+                    : [[service.sheetName, batches]];
+
+                return groups.map(([sheetName, tabBatches]) => {
+                    let existing = 0;
+                    return {
+                        name: sheetName || 'first tab',
+                        batches: tabBatches,
+                        async readKeys() {
+                            const movements = await service.readExistingMovements(spreadsheetId, sheetName);
+                            existing = movements.length;
+                            return new Set(movements.map(getMovementKey));
+                        },
+                        async writeMovements(movements) {
+                            const all = await service.writeMovements(spreadsheetId, movements, sheetName ? { sheetName } : {});
+                            tabs.push(all);
+                            return all.length - existing;
+                        }
+                    };
+                });
+            },
+
+            async finish() {
+                const history = tabs.flat();
+                if (!config.sheets.summary || history.length === 0) return;
+
+                const analyticsService = new AnalyticsService(config.analytics);
+                await service.writeSummary(spreadsheetId, analyticsService.computeDashboard(history));
+            }
+        };
+    }
+};
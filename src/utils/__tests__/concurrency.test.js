@@ -0,0 +1,30 @@
+const { mapWithConcurrency } = require('../concurrency');
+
+describe('mapWithConcurrency', () => {
+    it('should keep results in item order', async () => {
+        const results = await mapWithConcurrency([30, 10, 20], 3, async (delay, index) => {
+            await new Promise(resolve => setTimeout(resolve, delay));
+            return index;
+        });
+
+        expect(results).toEqual([0, 1, 2]);
+    });
+
+    it('should never run more calls than the limit', async () => {
+        let inFlight = 0;
+        let maxInFlight = 0;
+
+        await mapWithConcurrency(Array.from({ length: 7 }), 3, async () => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            inFlight--;
+        });
+
+        expect(maxInFlight).toBe(3);
+    });
+
+    it('should handle empty input', async () => {
+        await expect(mapWithConcurrency([], 2, async () => 1)).resolves.toEqual([]);
+    });
+});
@@ -0,0 +1,96 @@
+const { resolveFormat, isSameFormat, detectFormat, addDerivedFields, DEFAULT_TITLES } = require('../csvSchema');
+
+describe('csvSchema', () => {
+    const titles = new Map(Object.entries(DEFAULT_TITLES).map(([id, title]) => [title, id]));
+
+    describe('resolveFormat', () => {
+        it('should default to the movement columns', () => {
+            const format = resolveFormat();
+
+            expect(format.columns.map(({ id }) => id)).toEqual([
+                'cardName', 'oldLocation', 'newLocation', 'timestamp', 'actionId', 'cardId',
+                'cardShortLink', 'listBeforeId', 'listAfterId', 'boardId', 'boardName', 'memberId', 'memberName', 'eventType'
+            ]);
+            expect(format).toMatchObject({ delimiter: ',', encoding: 'utf8', bom: false });
+        });
+
+        it('should put the core columns first and expand groups once', () => {
+            const format = resolveFormat({ columns: ['timestamp', 'duration', 'boardId', 'ids'], titles: { boardId: 'Board' } });
+
+            expect(format.columns).toEqual([
+                { id: 'cardName', title: 'Card Name' },
+                { id: 'oldLocation', title: 'Old Board/List Name' },
+                { id: 'newLocation', title: 'New Board/List Name' },
+                { id: 'timestamp', title: 'Timestamp of Movement' },
+                { id: 'durationInPreviousList', title: 'Days in Previous List' },
+                { id: 'boardId', title: 'Board' },
+                { id: 'actionId', title: 'Action ID' },
+                { id: 'cardId', title: 'Card ID' },
+                { id: 'cardShortLink', title: 'Card Short Link' },
+                { id: 'listBeforeId', title: 'Old List ID' },
+                { id: 'listAfterId', title: 'New List ID' }
+            ]);
+        });
+
+        it('should tell formats apart', () => {
+            expect(isSameFormat(resolveFormat(), resolveFormat({ columns: ['core', 'ids', 'board', 'member', 'event'] }))).toBe(true);
+            expect(isSameFormat(resolveFormat(), resolveFormat({ bom: true }))).toBe(false);
+            expect(isSameFormat(resolveFormat(), resolveFormat({ titles: { cardName: 'Card' } }))).toBe(false);
+        });
+    });
+
+    describe('detectFormat', () => {
+        it('should detect the delimiter and keep unknown columns', () => {
+            const head = Buffer.from('Card Name;Old Board/List Name;New Board/List Name;Timestamp of Movement;Notes\nCard;A;B;2024');
+
+            expect(detectFormat(head, { encoding: 'utf8', titles })).toEqual({
+                columns: [
+                    { id: 'cardName', title: 'Card Name' },
+                    { id: 'oldLocation', title: 'Old Board/List Name' },
+                    { id: 'newLocation', title: 'New Board/List Name' },
+                    { id: 'timestamp', title: 'Timestamp of Movement' },
+                    { id: null, title: 'Notes' }
+                ],
+                delimiter: ';',
+                encoding: 'utf8',
+                bom: false
+            });
+        });
+
+        it('should detect the encoding from the byte order mark', () => {
+            const head = Buffer.concat([
+                Buffer.from([0xef, 0xbb, 0xbf]),
+                Buffer.from('Card Name,Old Board/List Name,New Board/List Name,Timestamp of Movement\n')
+            ]);
+
+            expect(detectFormat(head, { encoding: 'latin1', titles })).toMatchObject({ encoding: 'utf8', bom: true, delimiter: ',' });
+        });
+    });
+
+    describe('addDerivedFields', () => {
+        it('should add the days since the previous move of the card', () => {
+            const lastMoves = { card1: '2024-01-01T00:00:00.000Z' };
+
+            const records = addDerivedFields([
+                { cardId: 'card1', timestamp: '2024-01-02T12:00:00.000Z' },
+                { cardId: 'card2', timestamp: '2024-01-03T00:00:00.000Z' },
+                { cardId: 'card1', timestamp: '2023-12-31T00:00:00.000Z' }
+            ], lastMoves);
+
+            expect(records.map(({ durationInPreviousList }) => durationInPreviousList)).toEqual([1.5, '', '']);
+            expect(lastMoves).toEqual({ card1: '2024-01-02T12:00:00.000Z', card2: '2024-01-03T00:00:00.000Z' });
+        });
+
+        it('should count events leaving the card in place without restarting the count', () => {
+            const lastMoves = { card1: '2024-01-01T00:00:00.000Z' };
+
+            const records = addDerivedFields([
+                { cardId: 'card1', timestamp: '2024-01-02T00:00:00.000Z', eventType: 'due' },
+                { cardId: 'card1', timestamp: '2024-01-03T00:00:00.000Z', eventType: 'archive' }
+            ], lastMoves);
+
+            expect(records.map(({ durationInPreviousList }) => durationInPreviousList)).toEqual([1, 2]);
+            expect(lastMoves).toEqual({ card1: '2024-01-01T00:00:00.000Z' });
+        });
+    });
+});
@@ -0,0 +1,209 @@
+const { toMovement, getEventType, mergeMovements, selectNewMovements, getMovementKey } = require('../movements');
+
+describe('movements', () => {
+    describe('toMovement', () => {
+        it('should carry the Trello identifiers and the member of a list move', () => {
+            const movement = toMovement({
+                id: 'action1',
+                type: 'updateCard',
+                date: '2024-01-01T10:00:00.000Z',
+                idMemberCreator: 'member1',
+                memberCreator: { id: 'member1', fullName: 'Ann Lee', username: 'annlee' },
+                data: {
+                    card: { id: 'card1', name: 'Card', shortLink: 'abc123' },
+                    board: { id: 'board1', name: 'Board' },
+                    listBefore: { id: 'list1', name: 'To Do' },
+                    listAfter: { id: 'list2', name: 'Doing' }
+                }
+            });
+
+            expect(movement).toEqual({
+                cardName: 'Card',
+                oldLocation: 'To Do',
+                newLocation: 'Doing',
+                timestamp: '2024-01-01T10:00:00.000Z',
+                actionId: 'action1',
+                cardId: 'card1',
+                cardShortLink: 'abc123',
+                listBeforeId: 'list1',
+                listAfterId: 'list2',
+                boardId: 'board1',
+                boardName: 'Board',
+                memberId: 'member1',
+                memberName: 'Ann Lee',
+                labels: '',
+                members: '',
+                due: '',
+                eventType: 'move',
+                transition: ''
+            });
+        });
+
+        it('should share one action ID between both halves of a cross-board move', () => {
+            const data = {
+                card: { id: 'card1', name: 'Card' },
+                boardBefore: { id: 'boardA', name: 'Board A' },
+                boardAfter: { id: 'boardB', name: 'Board B' },
+                listBefore: { id: 'listA', name: 'Done' },
+                listAfter: { id: 'listB', name: 'Inbox' }
+            };
+
+            const fromSide = toMovement({
+                id: 'from1',
+                type: 'moveCardFromBoard',
+                date: '2024-01-01T10:00:01.000Z',
+                data: { ...data, board: { id: 'boardA' }, pairedActionId: 'to1' }
+            });
+            const toSide = toMovement({
+                id: 'to1',
+                type: 'moveCardToBoard',
+                date: '2024-01-01T10:00:01.000Z',
+                data: { ...data, board: { id: 'boardB' }, pairedActionId: 'from1' }
+            });
+
+            expect(fromSide.actionId).toBe('to1');
+            expect(toSide.actionId).toBe('to1');
+            expect(fromSide.oldLocation).toBe('Board A / Done');
+            expect(fromSide.newLocation).toBe('Board B / Inbox');
+        });
+    });
+
+    describe('toMovement events', () => {
+        const cardAction = (type, data) => ({
+            id: 'action1',
+            type,
+            date: '2024-01-01T10:00:00.000Z',
+            data: {
+                card: { id: 'card1', name: 'Card' },
+                board: { id: 'board1', name: 'Board' },
+                list: { id: 'list1', name: 'To Do' },
+                ...data
+            }
+        });
+
+        it('should bring a created card from N/A into its list', () => {
+            const movement = toMovement(cardAction('createCard'));
+
+            expect(movement).toEqual(expect.objectContaining({
+                oldLocation: 'N/A',
+                newLocation: 'To Do',
+                listBeforeId: '',
+                listAfterId: 'list1',
+                eventType: 'create'
+            }));
+        });
+
+        it('should leave an archived card in its list', () => {
+            const movement = toMovement(cardAction('updateCard', {
+                card: { id: 'card1', name: 'Card', closed: true },
+                old: { closed: false }
+            }));
+
+            expect(movement).toEqual(expect.objectContaining({
+                oldLocation: 'To Do',
+                newLocation: 'To Do',
+                eventType: 'archive'
+            }));
+        });
+    });
+
+    describe('getEventType', () => {
+        const action = (type, data = {}) => ({ type, data: { card: { id: 'card1' }, ...data } });
+
+        it('should tell the card events apart', () => {
+            expect(getEventType(action('updateCard', { listBefore: {}, listAfter: {} }))).toBe('move');
+            expect(getEventType(action('moveCardToBoard'))).toBe('move');
+            expect(getEventType(action('copyCard'))).toBe('create');
+            expect(getEventType(action('updateCard', { card: { closed: false }, old: { closed: true } }))).toBe('unarchive');
+            expect(getEventType(action('deleteCard'))).toBe('delete');
+            expect(getEventType(action('updateCard', { old: { due: null } }))).toBe('due');
+            expect(getEventType(action('updateCheckItemStateOnCard', { checkItem: { state: 'complete' } }))).toBe('checklist');
+        });
+
+        it('should ignore other updates and unchecked items', () => {
+            expect(getEventType(action('updateCard', { old: { name: 'Old' } }))).toBeNull();
+            expect(getEventType(action('updateCheckItemStateOnCard', { checkItem: { state: 'incomplete' } }))).toBeNull();
+            expect(getEventType(action('commentCard'))).toBeNull();
+        });
+    });
+
+    describe('getMovementKey', () => {
+        it('should fall back to descriptive fields without an action ID', () => {
+            expect(getMovementKey({
+                cardName: 'Card',
+                oldLocation: 'A',
+                newLocation: 'B',
+                timestamp: '2024-01-01'
+            })).toBe('Card-A-B-2024-01-01');
+        });
+    });
+
+    describe('selectNewMovements', () => {
+        it('should keep unknown movements once, in chronological order', () => {
+            const knownKeys = new Set(['a1']);
+
+            const added = selectNewMovements([
+                { actionId: 'a3', timestamp: '2024-01-03T00:00:00.000Z' },
+                { actionId: 'a1', timestamp: '2024-01-01T00:00:00.000Z' },
+                { actionId: 'a2', timestamp: '2024-01-02T00:00:00.000Z' },
+                { actionId: 'a3', timestamp: '2024-01-03T00:00:00.000Z' }
+            ], knownKeys);
+
+            expect(added.map(({ actionId }) => actionId)).toEqual(['a2', 'a3']);
+            expect(added[0]).toHaveProperty('boardName', '');
+            expect(knownKeys).toEqual(new Set(['a1', 'a2', 'a3']));
+        });
+    });
+
+    describe('mergeMovements', () => {
+        const legacyRow = {
+            cardName: 'Card',
+            oldLocation: 'A',
+            newLocation: 'B',
+            timestamp: '2024-01-02T00:00:00.000Z'
+        };
+
+        it('should add unknown movements in chronological order', () => {
+            const { movements, added, upgraded } = mergeMovements(
+                [{ ...legacyRow, actionId: 'action2' }],
+                [{ ...legacyRow, timestamp: '2024-01-01T00:00:00.000Z', actionId: 'action1' }]
+            );
+
+            expect(movements.map(m => m.actionId)).toEqual(['action1', 'action2']);
+            expect(added).toHaveLength(1);
+            expect(upgraded).toBe(0);
+        });
+
+        it('should upgrade legacy rows matching a new movement', () => {
+            const { movements, added, upgraded } = mergeMovements(
+                [legacyRow],
+                [{ ...legacyRow, actionId: 'action1', cardId: 'card1' }]
+            );
+
+            expect(movements).toHaveLength(1);
+            expect(movements[0]).toEqual(expect.objectContaining({
+                actionId: 'action1',
+                cardId: 'card1'
+            }));
+            expect(added).toHaveLength(0);
+            expect(upgraded).toBe(1);
+        });
+
+        it('should skip movements already known by action ID', () => {
+            const { added, upgraded } = mergeMovements(
+                [{ ...legacyRow, actionId: 'action1' }],
+                [{ ...legacyRow, cardName: 'Renamed', actionId: 'action1' }]
+            );
+
+            expect(added).toHaveLength(0);
+            expect(upgraded).toBe(0);
+        });
+
+        it('should deduplicate the new movements themselves', () => {
+            const movement = { ...legacyRow, actionId: 'action1' };
+            const { movements } = mergeMovements([], [movement, movement]);
+
+            expect(movements).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,60 @@
+const { resolveWorkflow, classifyTransition, isRegression } = require('../workflow');
+const { ConfigError } = require('../../errors');
+
+describe('workflow', () => {
+    const settings = {
+        stages: ['backlog', 'active', 'review', 'done'],
+        lists: { 'To Do': 'backlog', 'In Progress': 'active', list3: 'review', 'Done': 'done' },
+        boards: {
+            board2: { stages: ['open', 'closed'], lists: { 'Open': 'open', 'Closed': 'closed' } }
+        }
+    };
+
+    describe('resolveWorkflow', () => {
+        it('should prefer the workflow of the board', () => {
+            expect(resolveWorkflow(settings, 'board1')).toEqual({ stages: settings.stages, lists: settings.lists });
+            expect(resolveWorkflow(settings, 'board2')).toEqual(settings.boards.board2);
+        });
+
+        it('should return null without mapped lists', () => {
+            expect(resolveWorkflow({ stages: ['backlog', 'done'] }, 'board1')).toBeNull();
+        });
+
+        it('should reject lists mapped to unknown stages', () => {
+            const resolve = () => resolveWorkflow({ stages: ['backlog', 'done'], lists: { 'QA': 'testing' } }, 'board1');
+
+            expect(resolve).toThrow(ConfigError);
+            expect(resolve).toThrow('Unknown stages in "workflow.lists": QA → testing, expected one of: backlog, done');
+        });
+    });
+
+    describe('classifyTransition', () => {
+        const workflow = resolveWorkflow(settings, 'board1');
+        const move = (oldLocation, newLocation, extra = {}) => ({
+            oldLocation, newLocation, listBeforeId: '', listAfterId: '', eventType: 'move', ...extra
+        });
+
+        it('should classify moves between stages', () => {
+            expect(classifyTransition(move('To Do', 'In Progress'), workflow)).toBe('forward');
+            expect(classifyTransition(move('To Do', 'Done'), workflow)).toBe('skip');
+            expect(classifyTransition(move('In Progress', 'To Do'), workflow)).toBe('backward');
+            expect(classifyTransition(move('Done', 'In Progress'), workflow)).toBe('re-open');
+        });
+
+        it('should look lists up by ID first', () => {
+            expect(classifyTransition(move('In Progress', 'Code Review', { listAfterId: 'list3' }), workflow)).toBe('forward');
+        });
+
+        it('should leave unmapped lists, moves within a stage and other events unclassified', () => {
+            expect(classifyTransition(move('To Do', 'Icebox'), workflow)).toBe('');
+            expect(classifyTransition(move('In Progress', 'In Progress'), workflow)).toBe('');
+            expect(classifyTransition(move('N/A', 'To Do', { eventType: 'create' }), workflow)).toBe('');
+        });
+    });
+
+    describe('isRegression', () => {
+        it('should flag backward moves and re-opened cards', () => {
+            expect(['forward', 'backward', 'skip', 're-open', ''].filter(isRegression)).toEqual(['backward', 're-open']);
+        });
+    });
+});
@@ -0,0 +1,29 @@
+/**
+ * Map items through an async function, running at most `limit` calls at once
+ * @template T, R
+ * @param {T[]} items - Items to map
+ * @param {number} limit - Maximum number of calls in flight
+ * @param {function(T, number): Promise<R>} fn - Mapping function
+ * @returns {Promise<R[]>} Results in the order of the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = Array.from(
+        { length: Math.max(1, Math.min(limit, items.length)) },
+        worker
+    );
+    await Promise.all(workers);
+
+    return results;
+}
+
+module.exports = { mapWithConcurrency };
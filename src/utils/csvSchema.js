@@ -0,0 +1,199 @@
+const { parse } = require('csv-parse/sync');
+const { MOVEMENT_COLUMNS } = require('./movements');
+
+/**
+ * @typedef {import('./movements').Movement} Movement
+ */
+
+/**
+ * @typedef {Object} CsvColumn
+ * @property {string|null} id - Field written to the column, null for a column of unknown content
+ * @property {string} title - Header title
+ */
+
+/**
+ * @typedef {Object} CsvFormat
+ * @property {CsvColumn[]} columns - Columns in file order
+ * @property {string} delimiter - Field delimiter
+ * @property {'utf8'|'utf16le'|'latin1'} encoding - Text encoding
+ * @property {boolean} bom - Whether the file starts with a byte order mark
+ */
+
+/**
+ * @typedef {Object} CsvSchemaOptions
+ * @property {string[]} [columns] - Column groups or column IDs written after the core columns, in order
+ * @property {Object<string, string>} [titles] - Header titles by column ID
+ * @property {','|';'} [delimiter=','] - Field delimiter
+ * @property {'utf8'|'utf16le'|'latin1'} [encoding='utf8'] - Text encoding
+ * @property {boolean} [bom=false] - Start the file with a byte order mark, which Excel needs to detect UTF-8
+ * @property {'none'|'month'} [partition='none'] - One file, or one file per month of the movements
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Default header title of every column
+ */
+const DEFAULT_TITLES = {
+    ...Object.fromEntries(MOVEMENT_COLUMNS.map(({ id, title }) => [id, title])),
+    durationInPreviousList: 'Days in Previous List'
+};
+
+/**
+ * Columns selectable by group. The core columns identify a movement and
+ * are always written first.
+ */
+const COLUMN_GROUPS = {
+    core: ['cardName', 'oldLocation', 'newLocation', 'timestamp'],
+    ids: ['actionId', 'cardId', 'cardShortLink', 'listBeforeId', 'listAfterId', 'boardId'],
+    board: ['boardName'],
+    member: ['memberId', 'memberName'],
+    card: ['labels', 'members', 'due'],
+    event: ['eventType'],
+    workflow: ['transition'],
+    duration: ['durationInPreviousList']
+};
+
+const DEFAULT_COLUMNS = ['core', 'ids', 'board', 'member', 'event'];
+
+// Names accepted in the `columns` setting
+const COLUMN_NAMES = [...Object.keys(COLUMN_GROUPS), ...Object.keys(DEFAULT_TITLES)];
+
+const ENCODINGS = ['utf8', 'utf16le', 'latin1'];
+
+// Delimiters csv-writer can write
+const DELIMITERS = [',', ';'];
+
+// Delimiters recognized in files whose format is unknown, e.g. edited by hand
+const DETECTED_DELIMITERS = [...DELIMITERS, '\t', '|'];
+
+// Ways to split the movements into files
+const PARTITIONS = ['none', 'month'];
+
+const BOMS = [
+    { encoding: 'utf8', bytes: Buffer.from([0xef, 0xbb, 0xbf]) },
+    { encoding: 'utf16le', bytes: Buffer.from([0xff, 0xfe]) }
+];
+
+/**
+ * Build the format of the files to write from the CSV settings
+ * @param {CsvSchemaOptions} [options]
+ * @returns {CsvFormat}
+ * @throws {Error} On unknown columns
+ */
+function resolveFormat(options = {}) {
+    const { columns = DEFAULT_COLUMNS, titles = {}, delimiter = ',', encoding = 'utf8', bom = false } = options;
+
+    const ids = [...COLUMN_GROUPS.core, ...columns.flatMap(name => {
+        if (COLUMN_GROUPS[name]) return COLUMN_GROUPS[name];
+        if (DEFAULT_TITLES[name]) return [name];
+        throw new Error(`Unknown CSV column "${name}", expected one of: ${COLUMN_NAMES.join(', ')}`);
+    })];
+
+    return {
+        columns: Array.from(new Set(ids)).map(id => ({ id, title: titles[id] || DEFAULT_TITLES[id] })),
+        delimiter,
+        encoding,
+        bom
+    };
+}
+
+/**
+ * Whether two formats write identical files
+ * @param {CsvFormat} a
+ * @param {CsvFormat} b
+ * @returns {boolean}
+ */
+function isSameFormat(a, b) {
+    return a.delimiter === b.delimiter &&
+        a.encoding === b.encoding &&
+        a.bom === b.bom &&
+        a.columns.length === b.columns.length &&
+        a.columns.every((column, index) =>
+            column.id === b.columns[index].id && column.title === b.columns[index].title);
+}
+
+/**
+ * Work out the format of an existing file from its first bytes: the byte
+ * order mark gives the encoding, and the delimiter is the one splitting
+ * the header into the most known titles.
+ * @param {Buffer} head - First bytes of the file, the whole header line included
+ * @param {Object} options
+ * @param {string} options.encoding - Encoding assumed without a byte order mark
+ * @param {Map<string, string>} options.titles - Column ID by known header title
+ * @returns {CsvFormat}
+ * @throws {Error} When the header lacks a core column
+ */
+function detectFormat(head, { encoding, titles }) {
+    const bom = BOMS.find(({ bytes }) => head.subarray(0, bytes.length).equals(bytes));
+    const candidates = bom ? [bom.encoding] : Array.from(new Set([encoding, 'utf8']));
+
+    let best = null;
+    candidates.forEach(candidate => {
+        const text = head.subarray(bom ? bom.bytes.length : 0).toString(candidate);
+        const line = text.split(/\r?\n/)[0];
+
+        DETECTED_DELIMITERS.forEach(delimiter => {
+            let header;
+            try {
+                [header = []] = parse(line, { delimiter, relax_quotes: true });
+            } catch {
+                return;
+            }
+
+            const columns = header.map(title => ({ id: titles.get(title.trim()) || null, title: title.trim() }));
+            const known = columns.filter(({ id }) => id).length;
+            if (!best || known > best.known) {
+                best = { known, format: { columns, delimiter, encoding: candidate, bom: Boolean(bom) } };
+            }
+        });
+    });
+
+    const ids = best ? best.format.columns.map(({ id }) => id) : [];
+    const missing = COLUMN_GROUPS.core.filter(id => !ids.includes(id));
+    if (missing.length > 0) {
+        throw new Error(`the header has no ${missing.map(id => `"${DEFAULT_TITLES[id]}"`).join(', ')} column`);
+    }
+
+    return best.format;
+}
+
+/**
+ * Add the derived columns to chronological movements
+ * @param {Movement[]} movements - Movements in chronological order
+ * @param {Object<string, string>} lastMoves - Timestamp of the latest known move by card, updated in place
+ * @returns {Array<Movement & { durationInPreviousList: number|string }>} Records with the days spent in
+ *     the previous list, empty for the first known move of a card or when its previous move is unknown.
+ *     Events leaving the card in its list, e.g. archiving, get the days in that list so far.
+ */
+function addDerivedFields(movements, lastMoves) {
+    return movements.map(movement => {
+        const card = movement.cardId || movement.cardName;
+        const previous = lastMoves[card];
+        const elapsed = previous ? new Date(movement.timestamp) - new Date(previous) : NaN;
+        const placement = ['', 'move', 'create'].includes(movement.eventType || '');
+
+        if (placement && (!previous || elapsed >= 0)) {
+            lastMoves[card] = movement.timestamp;
+        }
+
+        return {
+            ...movement,
+            durationInPreviousList: elapsed >= 0 ? Math.round((elapsed / DAY) * 100) / 100 : ''
+        };
+    });
+}
+
+module.exports = {
+    DEFAULT_TITLES,
+    DEFAULT_COLUMNS,
+    COLUMN_GROUPS,
+    COLUMN_NAMES,
+    ENCODINGS,
+    DELIMITERS,
+    PARTITIONS,
+    resolveFormat,
+    isSameFormat,
+    detectFormat,
+    addDerivedFields
+};
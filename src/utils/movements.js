@@ -0,0 +1,244 @@
+/**
+ * @typedef {import('../services/trelloService').Action} Action
+ */
+
+/**
+ * @typedef {Object} Movement
+ * @property {string} cardName - Name of the card
+ * @property {string} oldLocation - Previous location
+ * @property {string} newLocation - New location
+ * @property {string} timestamp - ISO timestamp
+ * @property {string} actionId - Trello action ID, shared by both halves of a cross-board move
+ * @property {string} cardId - Trello card ID
+ * @property {string} cardShortLink - Trello card short link
+ * @property {string} listBeforeId - Previous list ID
+ * @property {string} listAfterId - New list ID
+ * @property {string} boardId - ID of the board the action was recorded on
+ * @property {string} boardName - Name of the board the action was recorded on
+ * @property {string} memberId - ID of the member who moved the card
+ * @property {string} memberName - Full name of the member who moved the card
+ * @property {string} labels - Label names of the card, comma-separated, when cards are enriched
+ * @property {string} members - Full names of the card's members, comma-separated, when cards are enriched
+ * @property {string} due - ISO due date of the card, when cards are enriched
+ * @property {string} eventType - What happened to the card, one of EVENT_TYPES or an archive's
+ *     `unarchive` counterpart, empty for rows recorded before events were tracked, which are moves
+ * @property {string} transition - Stage change in the board's workflow, one of the workflow TRANSITIONS,
+ *     empty without a workflow or a stage change
+ */
+
+/**
+ * Card events that can be tracked. `archive` also covers unarchiving.
+ */
+const EVENT_TYPES = ['move', 'create', 'archive', 'delete', 'due', 'checklist'];
+
+/**
+ * Movement fields in output column order. The first four are the
+ * original columns, so files and sheets written before the identifiers
+ * were added keep their layout.
+ */
+const MOVEMENT_COLUMNS = [
+    { id: 'cardName', title: 'Card Name' },
+    { id: 'oldLocation', title: 'Old Board/List Name' },
+    { id: 'newLocation', title: 'New Board/List Name' },
+    { id: 'timestamp', title: 'Timestamp of Movement' },
+    { id: 'actionId', title: 'Action ID' },
+    { id: 'cardId', title: 'Card ID' },
+    { id: 'cardShortLink', title: 'Card Short Link' },
+    { id: 'listBeforeId', title: 'Old List ID' },
+    { id: 'listAfterId', title: 'New List ID' },
+    { id: 'boardId', title: 'Board ID' },
+    { id: 'boardName', title: 'Board Name' },
+    { id: 'memberId', title: 'Member ID' },
+    { id: 'memberName', title: 'Moved By' },
+    { id: 'labels', title: 'Labels' },
+    { id: 'members', title: 'Card Members' },
+    { id: 'due', title: 'Due Date' },
+    { id: 'eventType', title: 'Event' },
+    { id: 'transition', title: 'Transition' }
+];
+
+/**
+ * Format a list as a movement location, prefixed with its board for cross-board moves
+ * @param {Object} [list] - Trello list
+ * @param {Object} [board] - Trello board
+ * @returns {string}
+ */
+function formatLocation(list, board) {
+    const listName = list ? list.name : 'N/A';
+    return board ? `${board.name} / ${listName}` : listName;
+}
+
+/**
+ * Card event recorded by a Trello action
+ * @param {Action} action
+ * @returns {string|null} Event type, `unarchive` for unarchived cards, null for other actions
+ */
+function getEventType(action) {
+    const { data } = action;
+
+    switch (action.type) {
+        case 'moveCardToBoard':
+        case 'moveCardFromBoard':
+            return 'move';
+        case 'createCard':
+        case 'copyCard':
+            return 'create';
+        case 'deleteCard':
+            return 'delete';
+        case 'updateCheckItemStateOnCard':
+            return data.checkItem && data.checkItem.state === 'complete' ? 'checklist' : null;
+        case 'updateCard':
+            if (data.listBefore || data.listAfter) return 'move';
+            if (data.old && 'closed' in data.old) return data.card.closed ? 'archive' : 'unarchive';
+            if (data.old && 'due' in data.old) return 'due';
+            return null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Map a Trello card action to a Movement record. Events other than moves
+ * leave the card where it is, so both locations are its list, or N/A when
+ * the action does not tell; a created card comes from N/A.
+ * @param {Action} action
+ * @returns {Movement}
+ */
+function toMovement(action) {
+    const { card, board, list, boardBefore, boardAfter, pairedActionId } = action.data;
+    const eventType = getEventType(action) || 'move';
+    const { listBefore, listAfter } = eventType === 'move'
+        ? action.data
+        : { listBefore: eventType === 'create' ? null : list, listAfter: list };
+
+    return {
+        cardName: card.name,
+        oldLocation: formatLocation(listBefore, boardBefore),
+        newLocation: formatLocation(listAfter, boardAfter),
+        timestamp: new Date(action.date).toISOString(),
+        // Both halves of a cross-board move dedupe on the moveCardToBoard action
+        actionId: action.type === 'moveCardFromBoard' && pairedActionId
+            ? pairedActionId
+            : action.id,
+        cardId: card.id || '',
+        cardShortLink: card.shortLink || '',
+        listBeforeId: (listBefore && listBefore.id) || '',
+        listAfterId: (listAfter && listAfter.id) || '',
+        boardId: (board && board.id) || '',
+        boardName: (board && board.name) || '',
+        memberId: action.idMemberCreator || '',
+        memberName: action.memberCreator ? action.memberCreator.fullName || action.memberCreator.username || '' : '',
+        labels: '',
+        members: '',
+        due: '',
+        eventType,
+        transition: ''
+    };
+}
+
+/**
+ * Build a record with every movement field from a partial one
+ * @param {Object} record - Partial movement, e.g. a row from an older four-column file
+ * @returns {Movement}
+ */
+function normalizeMovement(record) {
+    return Object.fromEntries(
+        MOVEMENT_COLUMNS.map(({ id }) => [id, record[id] || ''])
+    );
+}
+
+/**
+ * Key of a movement from its descriptive fields, used for rows recorded
+ * before action IDs were stored
+ * @param {Movement} movement
+ * @returns {string}
+ */
+function getLegacyMovementKey(movement) {
+    return `${movement.cardName}-${movement.oldLocation}-${movement.newLocation}-${movement.timestamp}`;
+}
+
+/**
+ * Generate unique key for movement
+ * @param {Movement} movement
+ * @returns {string}
+ */
+function getMovementKey(movement) {
+    return movement.actionId || getLegacyMovementKey(movement);
+}
+
+/**
+ * New movements to write somewhere, deduplicated against the keys of the
+ * movements already there and among themselves, in chronological order
+ * @param {Movement[]} movements - Movements to write
+ * @param {Set<string>} knownKeys - Keys of the movements already written, updated in place
+ * @param {function(Movement): string} [getKey=getMovementKey] - Key of a movement
+ * @returns {Movement[]} Normalized movements missing from the keys
+ */
+function selectNewMovements(movements, knownKeys, getKey = getMovementKey) {
+    const added = [];
+    movements.map(normalizeMovement).forEach(movement => {
+        const key = getKey(movement);
+        if (knownKeys.has(key)) return;
+        knownKeys.add(key);
+        added.push(movement);
+    });
+
+    return added.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Merge new movements into existing ones, deduplicated by action ID.
+ * Existing rows without an action ID are matched by their descriptive
+ * fields and upgraded in place with the identifiers of the new movement.
+ * @param {Movement[]} existingMovements - Movements already written
+ * @param {Movement[]} movements - New movements
+ * @returns {{ movements: Movement[], added: Movement[], upgraded: number }}
+ *     All movements sorted chronologically, the added ones and the number of upgraded rows
+ */
+function mergeMovements(existingMovements, movements) {
+    const merged = existingMovements.map(normalizeMovement);
+    const knownKeys = new Set(merged.map(getMovementKey));
+    const legacyRows = new Map(
+        merged
+            .map((movement, index) => [movement, index])
+            .filter(([movement]) => !movement.actionId)
+            .map(([movement, index]) => [getLegacyMovementKey(movement), index])
+    );
+
+    const added = [];
+    let upgraded = 0;
+
+    movements.map(normalizeMovement).forEach(movement => {
+        const key = getMovementKey(movement);
+        if (knownKeys.has(key)) return;
+        knownKeys.add(key);
+
+        const legacyIndex = legacyRows.get(getLegacyMovementKey(movement));
+        if (movement.actionId && legacyIndex !== undefined) {
+            merged[legacyIndex] = movement;
+            legacyRows.delete(getLegacyMovementKey(movement));
+            upgraded++;
+            return;
+        }
+
+        merged.push(movement);
+        added.push(movement);
+    });
+
+    merged.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    return { movements: merged, added, upgraded };
+}
+
+module.exports = {
+    EVENT_TYPES,
+    MOVEMENT_COLUMNS,
+    formatLocation,
+    getEventType,
+    toMovement,
+    normalizeMovement,
+    getMovementKey,
+    getLegacyMovementKey,
+    selectNewMovements,
+    mergeMovements
+};
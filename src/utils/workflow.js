@@ -0,0 +1,91 @@
+const { ConfigError } = require('../errors');
+
+/**
+ * @typedef {import('./movements').Movement} Movement
+ */
+
+/**
+ * @typedef {Object} WorkflowSettings
+ * @property {string[]} [stages] - Stages in workflow order, the last one where cards are done
+ * @property {Object<string, string>} [lists] - Stage of each list, by list name or list ID
+ * @property {Object<string, { stages?: string[], lists: Object<string, string> }>} [boards] - Workflows of
+ *     single boards, by board ID, using the stages above unless they list their own
+ */
+
+/**
+ * @typedef {Object} Workflow
+ * @property {string[]} stages - Stages in workflow order
+ * @property {Object<string, string>} lists - Stage of each list, by list name or list ID
+ */
+
+/**
+ * Classes of stage changes
+ */
+const TRANSITIONS = ['forward', 'backward', 'skip', 're-open'];
+
+// Transitions reported as regressions
+const REGRESSIONS = ['backward', 're-open'];
+
+/**
+ * Workflow of a board from the workflow settings
+ * @param {WorkflowSettings} settings - The workflow settings
+ * @param {string} boardId - Board ID
+ * @returns {Workflow|null} The board's workflow, null when no list is mapped
+ * @throws {ConfigError} When a list is mapped to an unknown stage
+ */
+function resolveWorkflow(settings, boardId) {
+    const board = (settings.boards || {})[boardId];
+    const stages = (board && board.stages) || settings.stages || [];
+    const lists = board ? board.lists : settings.lists;
+    if (!lists || Object.keys(lists).length === 0) return null;
+
+    const unknown = Object.entries(lists).filter(([, stage]) => !stages.includes(stage));
+    if (unknown.length > 0) {
+        const where = board ? `"workflow.boards.${boardId}.lists"` : '"workflow.lists"';
+        throw new ConfigError(`Unknown stages in ${where}: ` +
+            `${unknown.map(([list, stage]) => `${list} → ${stage}`).join(', ')}, ` +
+            `expected one of: ${stages.join(', ')}`);
+    }
+
+    return { stages, lists };
+}
+
+/**
+ * Classify the stage change of a movement. Lists are looked up by ID,
+ * then by name. A move out of the last stage is a re-open, other moves
+ * to an earlier stage go backward, and moves past the next stage skip.
+ * @param {Movement} movement
+ * @param {Workflow} workflow
+ * @returns {string} One of TRANSITIONS, empty for unmapped lists, moves within
+ *     a stage and events other than moves
+ */
+function classifyTransition(movement, workflow) {
+    if (movement.eventType && movement.eventType !== 'move') return '';
+
+    const stageOf = (listId, location) => {
+        const stage = workflow.lists[listId] || workflow.lists[location];
+        return stage ? workflow.stages.indexOf(stage) : -1;
+    };
+    const from = stageOf(movement.listBeforeId, movement.oldLocation);
+    const to = stageOf(movement.listAfterId, movement.newLocation);
+
+    if (from === -1 || to === -1 || from === to) return '';
+    if (to > from) return to === from + 1 ? 'forward' : 'skip';
+    return from === workflow.stages.length - 1 ? 're-open' : 'backward';
+}
+
+/**
+ * Whether a transition is a regression
+ * @param {string} transition
+ * @returns {boolean}
+ */
+function isRegression(transition) {
+    return REGRESSIONS.includes(transition);
+}
+
+module.exports = {
+    TRANSITIONS,
+    resolveWorkflow,
+    classifyTransition,
+    isRegression
+};